@@ -4,6 +4,18 @@
 
 import { CANVAS_W, CANVAS_H, TILE } from './constants.js';
 
+const FOLLOW_X    = 0.08;      // share of the distance to the target closed per frame
+const FOLLOW_Y    = 0.1;
+const DEAD_TOP    = 0.3;       // vertical dead zone, as fractions of the view height: the
+const DEAD_BOTTOM = 0.62;      //   players move between these lines without scrolling it
+const EDGE        = TILE * 2;  // room kept between a followed player and the top/bottom
+const LOOK_AHEAD  = TILE * 3;  // furthest the view leads a climb or a fall
+const LOOK_GAIN   = 48;        // px of lead per px/frame of smoothed vertical speed…
+const LOOK_MIN    = 0.5;       // …beyond this much, so hopping in place leads nowhere
+const CLIMB_EASE  = 0.02;      // smoothing of that speed, so single jumps barely count
+
+const clamp = (v, lo, hi) => Math.max(lo, Math.min(hi, v));
+
 export class Camera {
   constructor(levelWidthPx, levelHeightPx) {
     this.x = 0;
@@ -12,10 +24,19 @@ export class Camera {
     this.h = CANVAS_H;
     this.levelW = levelWidthPx;
     this.levelH = levelHeightPx;
+
+    this._climb   = 0;     // smoothed vertical speed of the followed players, px/frame (+ = down)
+    this._lastMid = null;  // their vertical centre last frame
+    this._placed  = false; // false until the first follow() – which jumps there instead of gliding
   }
 
-  /** Follow the average position of both players. */
-  follow(players, dt = 1) {
+  /**
+   * Follow the average position of `players`. Vertically the view only
+   * scrolls once they leave the dead zone, leads the way they are climbing
+   * or falling, and keeps all of them in view when they fit – otherwise
+   * `lead` (the local player) stays in view and the rest go off-screen.
+   */
+  follow(players, lead = null, dt = 1) {
     const active = players.filter(p => !p.dead);
     if (!active.length) return;
 
@@ -23,12 +44,52 @@ export class Camera {
     const avgX = active.reduce((s, p) => s + p.x + p.w / 2, 0) / active.length;
     const targetX = avgX - this.w / 2;
 
-    // Lerp toward target
-    this.x += (targetX - this.x) * 0.08 * dt;
+    const top    = Math.min(...active.map(p => p.y));
+    const bottom = Math.max(...active.map(p => p.y + p.h));
+    const mid    = (top + bottom) / 2;
+    // A jump of more than a tile is a respawn or the group changing, not motion
+    if (this._lastMid !== null && Math.abs(mid - this._lastMid) < TILE) {
+      this._climb += (mid - this._lastMid - this._climb) * CLIMB_EASE * dt;
+    }
+    this._lastMid = mid;
+    const speed = Math.max(0, Math.abs(this._climb) - LOOK_MIN) * Math.sign(this._climb);
+    const look  = clamp(speed * LOOK_GAIN, -LOOK_AHEAD, LOOK_AHEAD);
+
+    // Target Y: move the dead zone just far enough to hold the (looked-ahead) centre
+    const focus = mid + look;
+    let targetY = this._placed ? this.y : focus - this.h * DEAD_BOTTOM;  // low: room to jump
+    if (focus < targetY + this.h * DEAD_TOP)    targetY = focus - this.h * DEAD_TOP;
+    if (focus > targetY + this.h * DEAD_BOTTOM) targetY = focus - this.h * DEAD_BOTTOM;
+
+    if (bottom - top <= this.h - 2 * EDGE) {
+      targetY = clamp(targetY, bottom + EDGE - this.h, top - EDGE);
+    } else if (lead && !lead.dead) {
+      targetY = clamp(targetY, lead.y + lead.h + EDGE - this.h, lead.y - EDGE);
+    }
+
+    if (this._placed) {
+      // Lerp toward target
+      this.x += (targetX - this.x) * FOLLOW_X * dt;
+      this.y += (targetY - this.y) * FOLLOW_Y * dt;
+    } else {
+      this.x = targetX;
+      this.y = targetY;
+      this._placed = true;
+    }
+    this._clamp();
+  }
+
+  /** Move by dx, dy (the free spectator camera), staying inside the level. */
+  pan(dx, dy = 0) {
+    this.x += dx;
+    this.y += dy;
+    this._clamp();
+  }
 
-    // Clamp
-    this.x = Math.max(0, Math.min(this.levelW - this.w, this.x));
-    this.y = 0; // for now, no vertical scrolling
+  /** Keep the view inside the level; one shorter than the view stays at the top. */
+  _clamp() {
+    this.x = clamp(this.x, 0, Math.max(0, this.levelW - this.w));
+    this.y = clamp(this.y, 0, Math.max(0, this.levelH - this.h));
   }
 
   /** Convert world coordinates to screen coordinates. */
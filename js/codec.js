@@ -0,0 +1,241 @@
+// ============================================================
+//  codec.js  –  compact binary encoding for state sync packets
+// ============================================================
+
+/** How a synced field is written. Entity classes list theirs in NET_FIELDS. */
+export const FIELD = {
+  INT:   0,  // rounded, zigzag varint
+  FIXED: 1,  // two decimals, sent as a varint of value × 100
+  BOOL:  2,
+  STR:   3,  // utf-8, length-prefixed
+  SLOTS: 4,  // inventory: [{ type, ammo }], ammo may be Infinity
+};
+
+const MAX_BYTES = 1 << 16;
+
+// ── Byte streams ─────────────────────────────────────────────
+
+export class ByteWriter {
+  constructor(size = 256) {
+    this._buf = new Uint8Array(size);
+    this.length = 0;
+  }
+
+  u8(v) {
+    if (this.length === this._buf.length) {
+      const grown = new Uint8Array(this._buf.length * 2);
+      grown.set(this._buf);
+      this._buf = grown;
+    }
+    this._buf[this.length++] = v;
+  }
+
+  /** Unsigned LEB128. */
+  uint(v) {
+    v = Math.max(0, Math.floor(v));
+    while (v >= 0x80) {
+      this.u8((v % 0x80) | 0x80);
+      v = Math.floor(v / 0x80);
+    }
+    this.u8(v);
+  }
+
+  /** Signed, zigzag-mapped so small negatives stay small. */
+  int(v) {
+    v = Math.round(v) || 0;
+    this.uint(v < 0 ? -2 * v - 1 : 2 * v);
+  }
+
+  str(s) {
+    const bytes = new TextEncoder().encode(s ?? '');
+    this.uint(bytes.length);
+    for (const b of bytes) this.u8(b);
+  }
+
+  bytes() {
+    return this._buf.slice(0, this.length);
+  }
+}
+
+export class ByteReader {
+  constructor(bytes) {
+    this._buf = bytes instanceof Uint8Array ? bytes : new Uint8Array(bytes);
+    this._pos = 0;
+    if (this._buf.length > MAX_BYTES) throw new RangeError('packet too large');
+  }
+
+  get done() {
+    return this._pos >= this._buf.length;
+  }
+
+  u8() {
+    if (this._pos >= this._buf.length) throw new RangeError('read past end of packet');
+    return this._buf[this._pos++];
+  }
+
+  uint() {
+    let v = 0, scale = 1, b;
+    do {
+      b = this.u8();
+      v += (b & 0x7f) * scale;
+      scale *= 0x80;
+    } while (b & 0x80 && scale < 2 ** 49);
+    return v;
+  }
+
+  int() {
+    const z = this.uint();
+    return z % 2 ? -(z + 1) / 2 : z / 2;
+  }
+
+  str() {
+    const len = this.uint();
+    if (this._pos + len > this._buf.length) throw new RangeError('read past end of packet');
+    const s = new TextDecoder().decode(this._buf.subarray(this._pos, this._pos + len));
+    this._pos += len;
+    return s;
+  }
+}
+
+// ── Fields ───────────────────────────────────────────────────
+
+function writeField(w, kind, v) {
+  switch (kind) {
+    case FIELD.INT:   w.int(v); break;
+    case FIELD.FIXED: w.int(v * 100); break;
+    case FIELD.BOOL:  w.u8(v ? 1 : 0); break;
+    case FIELD.STR:   w.str(v); break;
+    case FIELD.SLOTS:
+      w.uint(v.length);
+      for (const s of v) {
+        w.str(s.type);
+        w.uint(s.ammo === Infinity ? 0 : s.ammo + 1);
+      }
+      break;
+  }
+}
+
+function readField(r, kind) {
+  switch (kind) {
+    case FIELD.INT:   return r.int();
+    case FIELD.FIXED: return r.int() / 100;
+    case FIELD.BOOL:  return r.u8() !== 0;
+    case FIELD.STR:   return r.str();
+    case FIELD.SLOTS: {
+      const n = r.uint(), slots = [];
+      for (let i = 0; i < n; i++) {
+        const type = r.str(), ammo = r.uint();
+        slots.push({ type, ammo: ammo === 0 ? Infinity : ammo - 1 });
+      }
+      return slots;
+    }
+  }
+}
+
+function sameField(kind, a, b) {
+  if (kind !== FIELD.SLOTS) return a === b;
+  if (!a || !b || a.length !== b.length) return false;
+  return a.every((s, i) => s.type === b[i].type && s.ammo === b[i].ammo);
+}
+
+// ── Entity lists ─────────────────────────────────────────────
+// Each entity is keyed by `id`. Only entities with at least one changed
+// field are written – as the id, a bit mask of the changed fields (the
+// "dirty flags") and those fields' values; entities missing from the new
+// list are written as a list of removed ids.
+
+function encodeEntities(w, list, baseList, fields) {
+  const base = new Map((baseList ?? []).map(e => [e.id, e]));
+  const changed = [];
+  for (const e of list) {
+    const prev = base.get(e.id);
+    let mask = 0;
+    fields.forEach(([key, kind], i) => {
+      if (!prev || !sameField(kind, e[key], prev[key])) mask |= 1 << i;
+    });
+    if (mask) changed.push([e, mask]);
+    base.delete(e.id);
+  }
+
+  w.uint(changed.length);
+  for (const [e, mask] of changed) {
+    w.uint(e.id);
+    w.uint(mask);
+    fields.forEach(([key, kind], i) => {
+      if (mask & (1 << i)) writeField(w, kind, e[key]);
+    });
+  }
+  w.uint(base.size);
+  for (const id of base.keys()) w.uint(id);
+}
+
+function decodeEntities(r, baseList, fields) {
+  const out = new Map((baseList ?? []).map(e => [e.id, e]));
+  const n = r.uint();
+  for (let i = 0; i < n; i++) {
+    const id = r.uint(), mask = r.uint();
+    const e = { ...(out.get(id) ?? { id }) };
+    fields.forEach(([key, kind], bit) => {
+      if (mask & (1 << bit)) e[key] = readField(r, kind);
+    });
+    out.set(id, e);
+  }
+  const removed = r.uint();
+  for (let i = 0; i < removed; i++) out.delete(r.uint());
+  return [...out.values()];
+}
+
+// ── Snapshots ────────────────────────────────────────────────
+
+/**
+ * Encode a state sync against `base`, an earlier state the receiver has
+ * acknowledged (null → everything is sent). `layout` names the entity lists
+ * with their NET_FIELDS, and the remaining keys that travel as JSON when they
+ * changed:
+ *   { entities: { players: Player.NET_FIELDS, … }, other: ['coins', …] }
+ */
+export function encodeSnapshot(state, base, layout) {
+  const w = new ByteWriter();
+  w.uint(state.frame);
+  w.uint(state.seed ?? 0);
+  w.uint(base ? base.frame + 1 : 0);
+
+  for (const [key, fields] of Object.entries(layout.entities)) {
+    encodeEntities(w, state[key] ?? [], base?.[key], fields);
+  }
+
+  let mask = 0;
+  const json = [];
+  layout.other.forEach((key, i) => {
+    const s = JSON.stringify(state[key] ?? null);
+    if (!base || s !== JSON.stringify(base[key] ?? null)) {
+      mask |= 1 << i;
+      json.push(s);
+    }
+  });
+  w.uint(mask);
+  for (const s of json) w.str(s);
+  return w.bytes();
+}
+
+/**
+ * Rebuild the full state from a packet. `getBase(frame)` returns the state
+ * the packet was encoded against; if we no longer have it the packet cannot
+ * be decoded and null is returned. Throws on a malformed packet.
+ */
+export function decodeSnapshot(bytes, layout, getBase) {
+  const r = new ByteReader(bytes);
+  const frame = r.uint(), seed = r.uint(), baseRef = r.uint();
+  const base = baseRef ? getBase(baseRef - 1) : null;
+  if (baseRef && !base) return null;
+
+  const state = { frame, seed };
+  for (const [key, fields] of Object.entries(layout.entities)) {
+    state[key] = decodeEntities(r, base?.[key], fields);
+  }
+  const mask = r.uint();
+  layout.other.forEach((key, i) => {
+    state[key] = mask & (1 << i) ? JSON.parse(r.str()) : base[key];
+  });
+  return state;
+}
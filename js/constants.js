@@ -15,6 +15,8 @@ export const GRAVITY_FALL = 0.60;    // gravity while descending (snappy)
 export const CANVAS_W = 832;        // 26 tiles wide (viewport)
 export const CANVAS_H = 480;        // 15 tiles tall
 
+export const MAX_PLAYERS = 4;       // host + up to 3 clients
+
 // Tile IDs
 export const T = {
   AIR:    0,
@@ -80,9 +82,19 @@ export const POWER = {
 
 // Network message types
 export const MSG = {
-  INPUT:   'input',
-  STATE:   'state',
-  EVENT:   'event',
-  READY:   'ready',
-  RESTART: 'restart',
+  INPUT:    'input',
+  STATE:    'state',
+  EVENT:    'event',
+  READY:    'ready',     // client → host: ready toggle in the pre-game lobby
+  RESTART:  'restart',
+  JOIN:     'join',      // client → host: request a player slot
+  WELCOME:  'welcome',   // host → client: assigned slot + current level
+  SNAPSHOT: 'snapshot',  // host → client: full world on (re)join
+  BIND:     'bind',      // client ↔ host: attach the unreliable channel to a slot
+  KICK:     'kick',      // host → client: you are being disconnected (reason)
+  PING:     'ping',      // either way: sender's timestamp, answered with PONG
+  PONG:     'pong',      // either way: the PING's timestamp echoed back (→ RTT)
+  LOBBY:    'lobby',     // host → all: roster (names, ready) and the room's level/mode
+  PAUSE:    'pause',     // client → host: pause/resume request; host → all: the decision
+  LEVEL:    'level',     // host → client: one chunk of a custom level file (levelshare.js)
 };
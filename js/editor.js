@@ -0,0 +1,1018 @@
+// ============================================================
+//  editor.js  –  in-browser level editor
+// ============================================================
+//
+// Edits a level file (see levelfile.js) and draws it with Level.draw. The
+// left mouse button uses the current tool – paint, erase, fill, select,
+// player start or goal – and the right one erases (or removes the goal, or
+// drops the selection). main.js swaps the editor for a Game on the same file
+// to play-test it.
+
+import { T, SPAWN, TILE, CANVAS_W, CANVAS_H, MAX_PLAYERS } from './constants.js';
+import { Level } from './level.js';
+import { Camera } from './camera.js';
+import { createEnemy } from './enemies.js';
+import { Coin } from './collectibles.js';
+import { WeaponCrate } from './items.js';
+import { Sprites, PLAYER_PALETTES, playerSprite } from './sprites.js';
+import {
+  LEVEL_FORMAT, LEVEL_FILE_VERSION, MAX_LEVEL_COLS, MAX_LEVEL_ROWS, MAX_ENTITIES,
+  ENTITY_TYPES, PLATFORM_DEFAULTS, SPAWN_CRATE, SPAWN_PLATFORM, SPAWN_QBLOCK_MUSHROOM, SPAWN_QBLOCK_FLOWER,
+  validateLevelFile, readLevelFile, downloadLevelFile,
+} from './levelfile.js';
+
+const DRAFT_KEY  = 'marioonline-editor';  // localStorage: the level being edited
+const DRAFT_DELAY = 1000;                 // ms after the last edit before the draft is saved
+const MAX_UNDO   = 200;                   // edits kept for undo
+const MAX_LAYERS = 8;
+const PAN_SPEED  = 12;                    // px per frame with the arrow keys (doubled with Shift)
+const NEW_COLS   = 64;
+const NEW_ROWS   = 15;
+
+const TOOL_KEYS = { KeyB: 'paint', KeyE: 'erase', KeyF: 'fill', KeyM: 'select', KeyP: 'spawn', KeyG: 'goal' };
+
+// Entity types that walk and take a `dir` prop
+const WALKERS = new Set(['goomba', 'koopa', 'firebro', 'icegoomba', 'lizard', 'flyer']);
+
+// Tiles Level.draw leaves blank (invisible, or drawn by the game itself) get a label
+const HIDDEN_TILES = {
+  [T.CLOUD_L]: 'CL', [T.CLOUD_R]: 'CR', [T.SKY]: 'SKY', [T.SOLID_INVISIBLE]: 'INV', [T.PLATFORM]: 'PLT',
+};
+
+const typing = (e) => /^(INPUT|SELECT|TEXTAREA)$/.test(e.target?.tagName);
+
+/** A fresh level to start from: sky over two rows of ground. */
+function newLevel(cols = NEW_COLS, rows = NEW_ROWS) {
+  const data = new Array(cols * rows).fill(T.AIR);
+  data.fill(T.GROUND, (rows - 2) * cols);
+  return {
+    format:  LEVEL_FORMAT,
+    version: LEVEL_FILE_VERSION,
+    name:    'My level',
+    width:   cols,
+    height:  rows,
+    background: { top: '#5C94FC', bottom: '#5C94FC' },
+    music:   null,
+    layers:  [{ name: 'main', data }],
+    entities: [],
+    spawns:  [{ col: 2, row: rows - 3 }, { col: 4, row: rows - 3 }],
+    goal:    { col: cols - 4, row: rows - 3 },
+  };
+}
+
+function drawHiddenTile(ctx, tile, sx, sy) {
+  ctx.strokeStyle = 'rgba(255,255,255,0.6)';
+  ctx.lineWidth = 1;
+  ctx.setLineDash([3, 3]);
+  ctx.strokeRect(sx + 0.5, sy + 0.5, TILE - 1, TILE - 1);
+  ctx.setLineDash([]);
+  ctx.fillStyle = '#ffffff';
+  ctx.font = 'bold 9px monospace';
+  ctx.textAlign = 'center';
+  ctx.fillText(HIDDEN_TILES[tile], sx + TILE / 2, sy + TILE / 2 + 3);
+}
+
+/** The moving platform `e` with its travel range shaded. */
+function platformPreview(e) {
+  const w     = e.props?.width ?? PLATFORM_DEFAULTS.width;
+  const range = e.props?.range ?? PLATFORM_DEFAULTS.range;
+  const x = e.col * TILE;
+  const y = (e.row - 1) * TILE;
+  return {
+    x, y,
+    draw(ctx, cam) {
+      const px = x - cam.x, py = y - cam.y;
+      ctx.fillStyle = 'rgba(136,85,34,0.3)';
+      ctx.fillRect(px - range, py, w + 2 * range, 14);
+      ctx.fillStyle = '#885522';
+      ctx.fillRect(px, py, w, 14);
+      ctx.fillStyle = '#AA7744';
+      ctx.fillRect(px + 2, py + 2, w - 4, 5);
+    },
+  };
+}
+
+/** Something that draws file entity `e` where the game would spawn it: { x, y, draw(ctx, cam) }. */
+function entityPreview(e) {
+  const type = ENTITY_TYPES[e.type];
+  const x = e.col * TILE;
+  const y = e.row * TILE;
+  switch (type) {
+    case SPAWN.COIN:     return new Coin(x + 8, y);
+    case SPAWN_CRATE:    return new WeaponCrate(x + 2, y - TILE);
+    case SPAWN_PLATFORM: return platformPreview(e);
+    case SPAWN_QBLOCK_MUSHROOM:
+    case SPAWN_QBLOCK_FLOWER: {
+      // The block's contents, drawn small over it
+      const spr = type === SPAWN_QBLOCK_MUSHROOM ? Sprites.MUSHROOM() : Sprites.FLOWER();
+      return { x, y, draw: (ctx, cam) => ctx.drawImage(spr, x - cam.x + TILE / 4, y - cam.y + TILE / 4, TILE / 2, TILE / 2) };
+    }
+    default: {
+      const enemy = createEnemy(type, e.col, e.row);
+      if (e.props?.dir === 'right') enemy.vx = Math.abs(enemy.vx);
+      return enemy;
+    }
+  }
+}
+
+/**
+ * The editor: owns the level file being edited, its undo history and the
+ * #editor-bar controls, and draws into the game canvas while active.
+ * The file is kept valid after every edit and saved as a draft in the browser.
+ */
+export class LevelEditor {
+  /** `bar`: the #editor-bar element with the tool, palette and file controls. */
+  constructor(canvas, bar, storage = globalThis.localStorage) {
+    this.canvas   = canvas;
+    this.ctx      = canvas.getContext('2d');
+    this._bar     = bar;
+    this._storage = storage;
+    this.doc      = this._loadDraft() ?? newLevel();
+
+    this.tool      = 'paint';
+    this.brush     = { tile: T.GROUND };  // or { entity: 'goomba' }
+    this.layer     = this.doc.layers.findIndex(l => l.name === 'main');  // index being edited
+    this.slot      = 0;       // player start the spawn tool places
+    this.selection = null;    // { c0, r0, c1, r1 } corners as dragged (select tool)
+    this.active    = true;    // false while play-testing: input belongs to the game
+    this._clipboard = null;   // { w, h, tiles, entities } copied from a selection
+    this._undo     = [];      // what each edit changed (see _commit)…
+    this._redo     = [];      // …and each undone one
+    this._pending  = null;    // the edit being made: what it started from and the tiles it set
+    this._gesture  = null;    // { button, col, row } while a mouse button is down
+    this._draftTimer = null;  // draft save waiting for the edits to pause
+    this._hover    = null;    // { col, row } under the pointer
+    this._held     = new Set();  // keys down (arrows pan)
+    this.camera    = null;
+
+    this.onPlay = null;  // () => {}  Play pressed (set by main.js)
+    this.onQuit = null;  // () => {}  Close pressed
+
+    const $ = (id) => bar.querySelector('#' + id);
+    this._ui = {
+      tools:   [...bar.querySelectorAll('[data-tool]')],
+      palette: $('editor-palette'),
+      slot:    $('editor-slot'),
+      layer:   $('editor-layer'),
+      addLayer: $('editor-add-layer'),
+      undo:    $('editor-undo'),
+      redo:    $('editor-redo'),
+      width:   $('editor-width'),
+      height:  $('editor-height'),
+      resize:  $('editor-resize'),
+      name:    $('editor-name'),
+      bgTop:   $('editor-bg-top'),
+      bgBottom: $('editor-bg-bottom'),
+      fresh:   $('editor-new'),
+      import:  $('editor-import'),
+      file:    $('editor-file'),
+      export:  $('editor-export'),
+      play:    $('editor-play'),
+      quit:    $('editor-quit'),
+      props:   $('editor-props'),
+      pos:     $('editor-pos'),
+      status:  $('editor-status'),
+    };
+    this._buildPalette();
+    this._bindUI();
+
+    this._onPointerDown = (e) => this._pointerDown(e);
+    this._onPointerMove = (e) => this._pointerMove(e);
+    this._onPointerUp   = (e) => this._pointerUp(e);
+    this._onWheel       = (e) => this._wheel(e);
+    this._onContextMenu = (e) => e.preventDefault();
+    this._onKeyDown     = (e) => this._keyDown(e);
+    this._onKeyUp       = (e) => this._held.delete(e.code);
+    this._onResize      = () => this._resize();
+    this._onPageHide    = () => { if (this._draftTimer) this._writeDraft(); };
+    canvas.addEventListener('pointerdown', this._onPointerDown);
+    canvas.addEventListener('pointermove', this._onPointerMove);
+    canvas.addEventListener('pointerup',   this._onPointerUp);
+    canvas.addEventListener('wheel',       this._onWheel, { passive: false });
+    canvas.addEventListener('contextmenu', this._onContextMenu);
+    window.addEventListener('keydown', this._onKeyDown);
+    window.addEventListener('keyup',   this._onKeyUp);
+    window.addEventListener('resize',  this._onResize);
+    window.addEventListener('pagehide', this._onPageHide);
+
+    this._rebuild();
+    this._moveCamera(0, Infinity);  // start at the ground
+    this.resume();
+  }
+
+  // ── Play-testing ─────────────────────────────────────────
+
+  /** A checked copy of the level for a Game (or a download). Throws when it is not playable. */
+  playable() {
+    return validateLevelFile(JSON.parse(JSON.stringify(this.doc)));
+  }
+
+  /** Hand the canvas and keyboard to a play-test. */
+  suspend() {
+    this.active   = false;
+    if (this._gesture) {
+      this._gesture = null;
+      this._commit();
+    }
+    if (this._draftTimer) this._writeDraft();
+    this._held.clear();
+    this._bar.classList.add('hidden');
+  }
+
+  /** Back from a play-test (or first shown). */
+  resume() {
+    this.active = true;
+    this._bar.classList.remove('hidden');
+    this._resize();
+  }
+
+  // ── Editing ──────────────────────────────────────────────
+
+  setTool(tool) {
+    this.tool = tool;
+    if (tool !== 'select') this._select(null);
+    this._syncUI();
+  }
+
+  undo() {
+    if (!this._undo.length || this._gesture) return;
+    const change = this._undo.pop();
+    this._redo.push(change);
+    this._restore(change, 0);
+  }
+
+  redo() {
+    if (!this._redo.length || this._gesture) return;
+    const change = this._redo.pop();
+    this._undo.push(change);
+    this._restore(change, 1);
+  }
+
+  /**
+   * Change the level size. Rows come and go at the top and columns at the
+   * right, so the ground stays where it is; anything left outside is dropped
+   * and player starts are pulled back inside.
+   */
+  resize(cols, rows) {
+    const { width, height } = this.doc;
+    cols = Math.max(1, Math.min(MAX_LEVEL_COLS, Math.round(cols) || width));
+    rows = Math.max(1, Math.min(MAX_LEVEL_ROWS, Math.round(rows) || height));
+    if (cols === width && rows === height) return;
+    const dy = rows - height;
+    const keeps = (p) => p.col < cols && p.row + dy >= 0 && p.row + dy < rows;
+
+    this._edit(() => {
+      const doc = this.doc;
+      for (const layer of doc.layers) {
+        const data = new Array(cols * rows).fill(T.AIR);
+        for (let row = Math.max(0, dy); row < rows && row - dy < height; row++) {
+          for (let col = 0; col < Math.min(cols, width); col++) {
+            data[row * cols + col] = layer.data[(row - dy) * width + col];
+          }
+        }
+        layer.data = data;
+      }
+      doc.entities = doc.entities.filter(keeps).map(e => ({ ...e, row: e.row + dy }));
+      doc.spawns = doc.spawns.map(sp => ({
+        col: Math.min(sp.col, cols - 1),
+        row: Math.max(0, Math.min(rows - 1, sp.row + dy)),
+      }));
+      const goal = doc.goal;
+      if (goal && goal.row === undefined) doc.goal = goal.col < cols ? goal : null;
+      else if (goal) doc.goal = keeps(goal) ? { col: goal.col, row: goal.row + dy } : null;
+      doc.width  = cols;
+      doc.height = rows;
+    });
+    this._select(null);
+    const camY = this.camera.y + dy * TILE;
+    this._rebuild();
+    this._moveCamera(this.camera.x, camY);
+  }
+
+  /** Add an empty scenery layer (drawn behind the playfield) and edit it. */
+  addLayer() {
+    if (this.doc.layers.length >= MAX_LAYERS) {
+      this.status(`A level has at most ${MAX_LAYERS} layers.`, true);
+      return;
+    }
+    const names = new Set(this.doc.layers.map(l => l.name));
+    let n = 1;
+    while (names.has('scenery ' + n)) n++;
+    this._edit(() => {
+      this.doc.layers.push({ name: 'scenery ' + n, data: new Array(this.doc.width * this.doc.height).fill(T.AIR) });
+    });
+    this.layer = this.doc.layers.length - 1;
+    this._rebuild();
+  }
+
+  /** Start over on an empty level (undoable). */
+  newLevel() {
+    this._replace(newLevel());
+    this.status('New level.');
+  }
+
+  async importFile(file) {
+    try {
+      const doc = await readLevelFile(file);
+      this._replace(doc);
+      this.status(`Imported "${doc.name}".`);
+    } catch (err) {
+      this.status(err.message, true);
+    }
+  }
+
+  exportFile() {
+    try {
+      downloadLevelFile(this.playable());
+      this.status('Exported.');
+    } catch (err) {
+      this.status(err.message, true);
+    }
+  }
+
+  _replace(doc) {
+    this._edit(() => { this.doc = doc; });
+    this.layer = doc.layers.findIndex(l => l.name === 'main');
+    this._select(null);
+    this._rebuild();
+    this._moveCamera(0, Infinity);
+  }
+
+  /** Run `change` on the file as one undoable edit (or as part of the mouse gesture in progress). */
+  _edit(change) {
+    if (this._pending) {
+      change();
+      return;
+    }
+    this._begin();
+    change();
+    this._commit();
+  }
+
+  /**
+   * Open an edit. _setTile logs the tiles it changes; the rest of the file is
+   * small, so it is compared field by field when the edit closes.
+   */
+  _begin() {
+    this._pending = { fields: this._fields(), layers: this._layerRefs(), tiles: new Map() };
+  }
+
+  /**
+   * Close the open edit and keep what it changed for undo – an edit that
+   * changed nothing is not kept. A change holds
+   *   tiles:  [[layer, index, old, new], …] set in place,
+   *   fields: { key: [old JSON, new JSON] } for the file's other fields,
+   *   layers: [old, new] layer lists, when an edit replaced the layers
+   *           themselves (resize, new layer, another file) – else null.
+   */
+  _commit() {
+    const { fields, layers, tiles } = this._pending;
+    this._pending = null;
+    const change = { tiles: [...tiles.values()].filter(([, , from, to]) => from !== to), fields: {}, layers: null };
+    const now = this._fields();
+    for (const key of new Set([...Object.keys(fields), ...Object.keys(now)])) {
+      if (fields[key] !== now[key]) change.fields[key] = [fields[key], now[key]];
+    }
+    const after = this._layerRefs();
+    if (after.length !== layers.length || after.some((l, i) => l.name !== layers[i].name || l.data !== layers[i].data)) {
+      change.layers = [layers, after];
+    }
+    if (!change.tiles.length && !Object.keys(change.fields).length && !change.layers) return;
+    this._undo.push(change);
+    if (this._undo.length > MAX_UNDO) this._undo.shift();
+    this._redo = [];
+    this._saveDraft();
+    this._syncUI();
+  }
+
+  /** Put the file back the way `change` left it (`side` 1) or found it (0). */
+  _restore(change, side) {
+    const doc = this.doc;
+    for (const [key, values] of Object.entries(change.fields)) {
+      if (values[side] === undefined) delete doc[key];
+      else doc[key] = JSON.parse(values[side]);
+    }
+    if (change.layers) doc.layers = change.layers[side].map(l => ({ ...l }));
+    for (const [layer, i, from, to] of change.tiles) doc.layers[layer].data[i] = side ? to : from;
+    this.layer = Math.min(this.layer, doc.layers.length - 1);
+    this._select(null);
+    this._rebuild();
+    this._saveDraft();
+  }
+
+  /** The file's fields other than its layers, each as JSON. */
+  _fields() {
+    const fields = {};
+    for (const [key, value] of Object.entries(this.doc)) {
+      if (key !== 'layers') fields[key] = JSON.stringify(value);
+    }
+    return fields;
+  }
+
+  /** Shallow copies of the layers: their tile arrays by reference, to tell whether an edit replaced them. */
+  _layerRefs() {
+    return this.doc.layers.map(l => ({ ...l }));
+  }
+
+  /** Recreate the Level and entity previews from the file after a change to its shape. */
+  _rebuild() {
+    this.level = new Level(this.doc);
+    const cam = this.camera;
+    this.camera = new Camera(this.level.widthPx, this.level.heightPx);
+    if (cam) this._moveCamera(cam.x, cam.y);
+    this._previewEntities();
+    this._syncUI();
+  }
+
+  _previewEntities() {
+    this._previews = this.doc.entities.map(entityPreview);
+  }
+
+  _moveCamera(x, y) {
+    const cam = this.camera;
+    cam.x = Math.max(0, Math.min(cam.levelW - cam.w, x));
+    cam.y = Math.max(0, Math.min(cam.levelH - cam.h, y));
+  }
+
+  _inside(col, row) {
+    return col >= 0 && row >= 0 && col < this.doc.width && row < this.doc.height;
+  }
+
+  _onMain() {
+    return this.doc.layers[this.layer].name === 'main';
+  }
+
+  _tileAt(col, row) {
+    return this.doc.layers[this.layer].data[row * this.doc.width + col];
+  }
+
+  /** Set a tile of layer `index` (the one being edited by default) in the file and the Level drawn. */
+  _setTile(col, row, tile, index = this.layer) {
+    if (!this._inside(col, row)) return;
+    const layer = this.doc.layers[index];
+    const i = row * this.doc.width + col;
+    const logged = this._pending?.tiles.get(index + ':' + i);
+    if (logged) logged[3] = tile;
+    else this._pending?.tiles.set(index + ':' + i, [index, i, layer.data[i], tile]);
+    layer.data[i] = tile;
+    const rows = layer.name === 'main'
+      ? this.level.tiles
+      : this.level.scenery[this.doc.layers.filter(l => l.name !== 'main').indexOf(layer)];
+    rows[row][col] = tile;
+  }
+
+  _entitiesIn(rect) {
+    return this.doc.entities.filter(e => e.col >= rect.c0 && e.col <= rect.c1 && e.row >= rect.r0 && e.row <= rect.r1);
+  }
+
+  _removeEntities(rect) {
+    const gone = new Set(this._entitiesIn(rect));
+    if (!gone.size) return;
+    this.doc.entities = this.doc.entities.filter(e => !gone.has(e));
+    this._previewEntities();
+  }
+
+  /** Put a `type` entity in a cell, replacing the one there. Block contents also place their block. */
+  _placeEntity(type, col, row, props) {
+    if (!this._inside(col, row)) return;
+    this._removeEntities({ c0: col, r0: row, c1: col, r1: row });
+    if (this.doc.entities.length >= MAX_ENTITIES) {
+      this.status(`A level has at most ${MAX_ENTITIES} entities.`, true);
+      return;
+    }
+    const e = { type, col, row };
+    if (props) e.props = { ...props };
+    this.doc.entities.push(e);
+    if (type === 'mushroom' || type === 'flower') {
+      this._setTile(col, row, T.QBLOCK, this.doc.layers.findIndex(l => l.name === 'main'));
+    }
+    this._previewEntities();
+  }
+
+  _erase(col, row) {
+    this._setTile(col, row, T.AIR);
+    if (this._onMain()) this._removeEntities({ c0: col, r0: row, c1: col, r1: row });
+  }
+
+  /** Flood the area of equal tiles around a cell with the brush tile. */
+  _fill(col, row) {
+    if (this.brush.entity) {
+      this.status('Fill paints tiles – pick one from the palette.', true);
+      return;
+    }
+    const { width, height } = this.doc;
+    const data = this.doc.layers[this.layer].data;
+    const from = data[row * width + col];
+    const to   = this.brush.tile;
+    if (from === to) return;
+    const stack = [[col, row]];
+    while (stack.length) {
+      const [c, r] = stack.pop();
+      if (c < 0 || r < 0 || c >= width || r >= height || data[r * width + c] !== from) continue;
+      this._setTile(c, r, to);
+      stack.push([c + 1, r], [c - 1, r], [c, r + 1], [c, r - 1]);
+    }
+  }
+
+  /** Move the start of the chosen player slot; earlier slots the file leaves out get their implied place. */
+  _placeSpawn(col, row) {
+    const spawns = this.doc.spawns;
+    for (let i = spawns.length; i < this.slot; i++) {
+      spawns.push({ col: Math.min(spawns[0].col + i, this.doc.width - 1), row: spawns[0].row });
+    }
+    spawns[this.slot] = { col, row };
+  }
+
+  /** One cell of the current tool; `button` 2 is the right mouse button. */
+  _apply(col, row, button) {
+    if (!this._inside(col, row)) return;
+    if (button === 2) {
+      if (this.tool === 'goal') this.doc.goal = null;
+      else this._erase(col, row);
+      return;
+    }
+    switch (this.tool) {
+      case 'paint':
+        if (this.brush.entity) this._placeEntity(this.brush.entity, col, row);
+        else this._setTile(col, row, this.brush.tile);
+        break;
+      case 'erase': this._erase(col, row); break;
+      case 'fill':  this._fill(col, row); break;
+      case 'spawn': this._placeSpawn(col, row); break;
+      case 'goal':  this.doc.goal = { col, row }; break;
+    }
+  }
+
+  // ── Selection and clipboard ──────────────────────────────
+
+  /** The selection with its corners in order and inside the level, or null. */
+  _rect() {
+    const s = this.selection;
+    if (!s) return null;
+    const { width, height } = this.doc;
+    const clampC = (c) => Math.max(0, Math.min(width - 1, c));
+    const clampR = (r) => Math.max(0, Math.min(height - 1, r));
+    return {
+      c0: clampC(Math.min(s.c0, s.c1)), c1: clampC(Math.max(s.c0, s.c1)),
+      r0: clampR(Math.min(s.r0, s.r1)), r1: clampR(Math.max(s.r0, s.r1)),
+    };
+  }
+
+  _select(selection) {
+    this.selection = selection;
+    this._renderProps();
+  }
+
+  _copy() {
+    const rect = this._rect();
+    if (!rect) return;
+    const tiles = [];
+    for (let row = rect.r0; row <= rect.r1; row++) {
+      for (let col = rect.c0; col <= rect.c1; col++) tiles.push(this._tileAt(col, row));
+    }
+    const entities = this._onMain()
+      ? this._entitiesIn(rect).map(e => ({ type: e.type, col: e.col - rect.c0, row: e.row - rect.r0, props: e.props }))
+      : [];
+    this._clipboard = { w: rect.c1 - rect.c0 + 1, h: rect.r1 - rect.r0 + 1, tiles, entities };
+    this.status(`Copied ${this._clipboard.w}×${this._clipboard.h}.`);
+  }
+
+  _clearSelection() {
+    const rect = this._rect();
+    if (!rect) return;
+    for (let row = rect.r0; row <= rect.r1; row++) {
+      for (let col = rect.c0; col <= rect.c1; col++) this._setTile(col, row, T.AIR);
+    }
+    if (this._onMain()) this._removeEntities(rect);
+  }
+
+  /** Paste the clipboard with its top-left corner under the pointer. */
+  _paste() {
+    const clip = this._clipboard;
+    const at = this._hover;
+    if (!clip || !at || !this._inside(at.col, at.row)) return;
+    this._edit(() => {
+      clip.tiles.forEach((tile, i) => this._setTile(at.col + i % clip.w, at.row + Math.floor(i / clip.w), tile));
+      for (const e of clip.entities) this._placeEntity(e.type, at.col + e.col, at.row + e.row, e.props);
+    });
+    this.setTool('select');
+    this._select({ c0: at.col, r0: at.row, c1: at.col + clip.w - 1, r1: at.row + clip.h - 1 });
+  }
+
+  /** Props fields for the one entity in the selection. */
+  _renderProps() {
+    const box = this._ui.props;
+    box.innerHTML = '';
+    const rect = this._rect();
+    const found = rect ? this._entitiesIn(rect) : [];
+    if (found.length !== 1) return;
+    const e = found[0];
+    const what = document.createElement('span');
+    what.textContent = `${e.type} (${e.col}, ${e.row})`;
+    box.append(what);
+    if (WALKERS.has(e.type)) box.append(this._propField(e, 'dir', ['left', 'right']));
+    if (e.type === 'platform') {
+      for (const key of ['range', 'speed', 'width']) box.append(this._propField(e, key));
+    }
+  }
+
+  /** One prop of `entity`: a choice of `choices`, or a number. Default values are left out of the file. */
+  _propField(entity, key, choices = null) {
+    const field = document.createElement(choices ? 'select' : 'input');
+    if (choices) {
+      for (const c of choices) field.add(new Option(c, c));
+      field.value = entity.props?.[key] ?? choices[0];
+    } else {
+      field.type  = 'number';
+      field.min   = 0;
+      field.max   = 4096;
+      field.step  = key === 'speed' ? 0.1 : 1;
+      field.value = entity.props?.[key] ?? PLATFORM_DEFAULTS[key];
+    }
+    field.addEventListener('change', () => {
+      let value = choices ? field.value : Number(field.value);
+      if (!choices) value = Math.max(0, Math.min(4096, value || 0));
+      const fallback = choices ? choices[0] : PLATFORM_DEFAULTS[key];
+      this._edit(() => {
+        const props = { ...entity.props, [key]: value };
+        if (value === fallback) delete props[key];
+        if (Object.keys(props).length) entity.props = props;
+        else delete entity.props;
+      });
+      this._previewEntities();
+    });
+    const label = document.createElement('label');
+    label.append(key + ' ', field);
+    return label;
+  }
+
+  // ── Input ────────────────────────────────────────────────
+
+  /** Level cell under a pointer event. */
+  _cellAt(e) {
+    const rect = this.canvas.getBoundingClientRect();
+    const x = (e.clientX - rect.left) * this.canvas.width  / rect.width  + this.camera.x;
+    const y = (e.clientY - rect.top)  * this.canvas.height / rect.height + this.camera.y;
+    return { col: Math.floor(x / TILE), row: Math.floor(y / TILE) };
+  }
+
+  _pointerDown(e) {
+    if (!this.active || this._gesture || (e.button !== 0 && e.button !== 2)) return;
+    const { col, row } = this._cellAt(e);
+    this.canvas.setPointerCapture?.(e.pointerId);
+    this._begin();
+    this._gesture = { button: e.button, col, row };
+    if (this.tool === 'select') this._select(e.button === 0 ? { c0: col, r0: row, c1: col, r1: row } : null);
+    else this._apply(col, row, e.button);
+  }
+
+  _pointerMove(e) {
+    if (!this.active) return;
+    const cell = this._cellAt(e);
+    this._hover = cell;
+    this._ui.pos.textContent = this._inside(cell.col, cell.row) ? `${cell.col}, ${cell.row}` : '';
+    const g = this._gesture;
+    if (!g) return;
+    if (this.tool === 'select') {
+      if (this.selection) Object.assign(this.selection, { c1: cell.col, r1: cell.row });
+    } else if (this.tool !== 'fill') {
+      // Every cell on the way, so a quick drag leaves no gaps
+      const steps = Math.max(Math.abs(cell.col - g.col), Math.abs(cell.row - g.row));
+      for (let i = 1; i <= steps; i++) {
+        this._apply(Math.round(g.col + (cell.col - g.col) * i / steps),
+                    Math.round(g.row + (cell.row - g.row) * i / steps), g.button);
+      }
+      g.col = cell.col;
+      g.row = cell.row;
+    }
+  }
+
+  _pointerUp(e) {
+    const g = this._gesture;
+    if (!g || e.button !== g.button) return;
+    this._gesture = null;
+    if (this.tool === 'select') this._renderProps();
+    this._commit();
+  }
+
+  /** The wheel scrolls the level: up and down in tall levels, sideways otherwise (or with Shift). */
+  _wheel(e) {
+    if (!this.active) return;
+    e.preventDefault();
+    const cam = this.camera;
+    const vertical = cam.levelH > cam.h && !e.shiftKey;
+    this._moveCamera(cam.x + e.deltaX + (vertical ? 0 : e.deltaY), cam.y + (vertical ? e.deltaY : 0));
+  }
+
+  _keyDown(e) {
+    if (!this.active || typing(e)) return;
+    this._held.add(e.code);
+    const ctrl = e.ctrlKey || e.metaKey;
+    if (ctrl && e.code === 'KeyZ') {
+      if (e.shiftKey) this.redo();
+      else this.undo();
+    } else if (ctrl && e.code === 'KeyY') this.redo();
+    else if (ctrl && e.code === 'KeyC') this._copy();
+    else if (ctrl && e.code === 'KeyX') {
+      this._copy();
+      this._edit(() => this._clearSelection());
+    } else if (ctrl && e.code === 'KeyV') this._paste();
+    else if (ctrl) return;
+    else if (e.code === 'Delete' || e.code === 'Backspace') this._edit(() => this._clearSelection());
+    else if (e.code === 'Escape') this._select(null);
+    else if (TOOL_KEYS[e.code]) this.setTool(TOOL_KEYS[e.code]);
+    else if (!e.code.startsWith('Arrow')) return;
+    e.preventDefault();
+  }
+
+  // ── Toolbar ──────────────────────────────────────────────
+
+  /** One swatch per tile (T) and entity type, drawn the way the game draws them. */
+  _buildPalette() {
+    const box = this._ui.palette;
+    box.innerHTML = '';
+    const swatch = (brush, title, paint) => {
+      const btn = document.createElement('button');
+      btn.className = 'editor-swatch';
+      btn.title = title;
+      btn.brush = brush;
+      const c = document.createElement('canvas');
+      c.width = c.height = TILE;
+      paint(c.getContext('2d'));
+      btn.append(c);
+      btn.addEventListener('click', () => {
+        this.brush = brush;
+        if (this.tool !== 'paint' && !(this.tool === 'fill' && brush.tile !== undefined)) this.setTool('paint');
+        this._syncUI();
+      });
+      box.append(btn);
+    };
+
+    for (const [name, tile] of Object.entries(T)) {
+      if (tile === T.AIR) continue;
+      const one = new Level({ ...newLevel(1, 1), layers: [{ name: 'main', data: [tile] }],
+                              spawns: [{ col: 0, row: 0 }], goal: null });
+      swatch({ tile }, name.toLowerCase().replace(/_/g, ' '), (ctx) => {
+        one.draw(ctx, { x: 0, y: 0, w: TILE, h: TILE });
+        if (HIDDEN_TILES[tile]) drawHiddenTile(ctx, tile, 0, 0);
+      });
+    }
+    for (const type of Object.keys(ENTITY_TYPES)) {
+      const preview = entityPreview({ type, col: 0, row: 1 });
+      swatch({ entity: type }, type, (ctx) => preview.draw(ctx, { x: 0, y: preview.y, w: TILE, h: TILE }));
+    }
+  }
+
+  _bindUI() {
+    const ui = this._ui;
+    for (const btn of ui.tools) btn.addEventListener('click', () => this.setTool(btn.dataset.tool));
+    for (let i = 0; i < MAX_PLAYERS; i++) ui.slot.add(new Option(`P${i + 1} start`, i));
+    ui.slot.addEventListener('change', () => {
+      this.slot = Number(ui.slot.value);
+      this.setTool('spawn');
+    });
+    ui.layer.addEventListener('change', () => {
+      this.layer = Number(ui.layer.value);
+      this._select(null);
+    });
+    ui.addLayer.addEventListener('click', () => this.addLayer());
+    ui.undo.addEventListener('click', () => this.undo());
+    ui.redo.addEventListener('click', () => this.redo());
+    ui.resize.addEventListener('click', () => this.resize(Number(ui.width.value), Number(ui.height.value)));
+    ui.name.addEventListener('change', () => {
+      this._edit(() => { this.doc.name = ui.name.value.trim().slice(0, 40) || 'Untitled'; });
+      ui.name.value = this.doc.name;
+    });
+    ui.bgTop.addEventListener('change', () => this._edit(() => { this.doc.background.top = ui.bgTop.value; }));
+    ui.bgBottom.addEventListener('change', () => this._edit(() => { this.doc.background.bottom = ui.bgBottom.value; }));
+    ui.fresh.addEventListener('click', () => this.newLevel());
+    ui.import.addEventListener('click', () => ui.file.click());
+    ui.file.addEventListener('change', () => {
+      const file = ui.file.files[0];
+      ui.file.value = '';  // the same file can be picked again
+      if (file) this.importFile(file);
+    });
+    ui.export.addEventListener('click', () => this.exportFile());
+    ui.play.addEventListener('click', () => { if (this.onPlay) this.onPlay(); });
+    ui.quit.addEventListener('click', () => { if (this.onQuit) this.onQuit(); });
+  }
+
+  /** Show the editor's state in the toolbar. */
+  _syncUI() {
+    const ui = this._ui;
+    const doc = this.doc;
+    for (const btn of ui.tools) btn.classList.toggle('active', btn.dataset.tool === this.tool);
+    for (const btn of ui.palette.children) {
+      btn.classList.toggle('active', btn.brush.tile === this.brush.tile && btn.brush.entity === this.brush.entity);
+    }
+    ui.slot.value = this.slot;
+    ui.layer.innerHTML = '';
+    doc.layers.forEach((l, i) => ui.layer.add(new Option(l.name === 'main' ? 'main (playfield)' : l.name, i)));
+    ui.layer.value = this.layer;
+    ui.undo.disabled = !this._undo.length;
+    ui.redo.disabled = !this._redo.length;
+    ui.width.value  = doc.width;
+    ui.height.value = doc.height;
+    ui.name.value   = doc.name;
+    // <input type="color"> only takes #rrggbb
+    const full = (c) => c.length === 4 ? '#' + [...c.slice(1)].map(d => d + d).join('') : c;
+    ui.bgTop.value    = full(doc.background.top);
+    ui.bgBottom.value = full(doc.background.bottom);
+  }
+
+  status(text, isError = false) {
+    this._ui.status.textContent = text;
+    this._ui.status.className   = 'status-msg' + (isError ? ' error' : '');
+  }
+
+  // ── Draft ────────────────────────────────────────────────
+
+  _loadDraft() {
+    try {
+      return validateLevelFile(JSON.parse(this._storage?.getItem(DRAFT_KEY) ?? 'null'));
+    } catch {
+      return null;  // none yet, storage blocked, or not a level any more
+    }
+  }
+
+  /** Save the file as the draft once the edits pause for DRAFT_DELAY – not on every stroke. */
+  _saveDraft() {
+    clearTimeout(this._draftTimer);
+    this._draftTimer = setTimeout(() => this._writeDraft(), DRAFT_DELAY);
+  }
+
+  /** Save the draft now. A failure is shown: without a draft the level is lost on reload. */
+  _writeDraft() {
+    clearTimeout(this._draftTimer);
+    this._draftTimer = null;
+    try {
+      this._storage?.setItem(DRAFT_KEY, JSON.stringify(this.doc));
+    } catch (err) {
+      this.status(err?.name === 'QuotaExceededError'
+        ? 'The level is too big to keep as a draft here – export it to save it.'
+        : 'Could not save a draft (storage blocked) – export the level to save it.', true);
+    }
+  }
+
+  // ── Rendering ────────────────────────────────────────────
+
+  /** Called each animation frame by main.js. */
+  tick() {
+    if (!this.active) return;
+    const held = (code) => this._held.has(code);
+    const speed = PAN_SPEED * (held('ShiftLeft') || held('ShiftRight') ? 2 : 1);
+    const dx = (held('ArrowRight') ? speed : 0) - (held('ArrowLeft') ? speed : 0);
+    const dy = (held('ArrowDown') ? speed : 0) - (held('ArrowUp') ? speed : 0);
+    if (dx || dy) this._moveCamera(this.camera.x + dx, this.camera.y + dy);
+    this.level.update(1);
+    this.render();
+  }
+
+  render() {
+    const ctx = this.ctx;
+    const cam = this.camera;
+    const doc = this.doc;
+
+    const grad = ctx.createLinearGradient(0, 0, 0, CANVAS_H);
+    grad.addColorStop(0, doc.background.top);
+    grad.addColorStop(1, doc.background.bottom);
+    ctx.fillStyle = grad;
+    ctx.fillRect(0, 0, CANVAS_W, CANVAS_H);
+    // Beyond the edges of a level smaller than the view
+    ctx.fillStyle = '#1a0a2e';
+    ctx.fillRect(cam.levelW - cam.x, 0, CANVAS_W, CANVAS_H);
+    ctx.fillRect(0, cam.levelH - cam.y, CANVAS_W, CANVAS_H);
+
+    this.level.draw(ctx, cam);
+    this._drawHiddenTiles(ctx);
+    for (const p of this._previews) p.draw(ctx, cam);
+    this._drawGoal(ctx);
+    this._drawSpawns(ctx);
+    this._drawGrid(ctx);
+    this._drawCursor(ctx);
+  }
+
+  _visibleCells(each) {
+    const cam = this.camera;
+    const c0 = Math.max(0, Math.floor(cam.x / TILE));
+    const c1 = Math.min(this.doc.width - 1, Math.floor((cam.x + cam.w) / TILE));
+    const r0 = Math.max(0, Math.floor(cam.y / TILE));
+    const r1 = Math.min(this.doc.height - 1, Math.floor((cam.y + cam.h) / TILE));
+    for (let row = r0; row <= r1; row++) {
+      for (let col = c0; col <= c1; col++) each(col, row, col * TILE - cam.x, row * TILE - cam.y);
+    }
+  }
+
+  _drawHiddenTiles(ctx) {
+    const layers = [...this.level.scenery, this.level.tiles];
+    this._visibleCells((col, row, sx, sy) => {
+      for (const tiles of layers) {
+        if (HIDDEN_TILES[tiles[row][col]]) drawHiddenTile(ctx, tiles[row][col], sx, sy);
+      }
+    });
+  }
+
+  _drawGoal(ctx) {
+    const goal = this.doc.goal;
+    if (!goal) return;
+    const cam = this.camera;
+    const fx = goal.col * TILE - cam.x;
+    ctx.fillStyle = '#B0B0B0';
+    ctx.fillRect(fx + 14, 0, 4, CANVAS_H);
+    ctx.fillStyle = '#E8C84A';
+    ctx.fillRect(fx + 4, 8, 20, 14);
+    if (goal.row !== undefined) {
+      ctx.strokeStyle = '#E8C84A';
+      ctx.lineWidth = 2;
+      ctx.strokeRect(fx + 1, goal.row * TILE - cam.y + 1, TILE - 2, TILE - 2);
+    }
+  }
+
+  /** Every player start; the ones Level fills in (not in the file) are faded. */
+  _drawSpawns(ctx) {
+    const cam = this.camera;
+    const spawns = this.doc.spawns;
+    ctx.save();
+    ctx.font = 'bold 11px monospace';
+    ctx.textAlign = 'center';
+    for (let i = MAX_PLAYERS - 1; i >= 0; i--) {
+      const sp = spawns[i] ?? { col: Math.min(spawns[0].col + i, this.doc.width - 1), row: spawns[0].row };
+      const sx = sp.col * TILE - cam.x;
+      const sy = sp.row * TILE - cam.y;
+      ctx.globalAlpha = spawns[i] ? 1 : 0.35;
+      ctx.drawImage(playerSprite(PLAYER_PALETTES[i], 'IDLE'), sx, sy);
+      ctx.fillStyle = PLAYER_PALETTES[i].color;
+      ctx.fillText('P' + (i + 1), sx + TILE / 2, sy - 3);
+    }
+    ctx.restore();
+  }
+
+  _drawGrid(ctx) {
+    const cam = this.camera;
+    const w = Math.min(cam.w, cam.levelW - cam.x);
+    const h = Math.min(cam.h, cam.levelH - cam.y);
+    ctx.strokeStyle = 'rgba(255,255,255,0.12)';
+    ctx.lineWidth = 1;
+    ctx.beginPath();
+    for (let x = -cam.x % TILE; x <= w; x += TILE) {
+      ctx.moveTo(Math.round(x) + 0.5, 0);
+      ctx.lineTo(Math.round(x) + 0.5, h);
+    }
+    for (let y = -cam.y % TILE; y <= h; y += TILE) {
+      ctx.moveTo(0, Math.round(y) + 0.5);
+      ctx.lineTo(w, Math.round(y) + 0.5);
+    }
+    ctx.stroke();
+  }
+
+  _drawCursor(ctx) {
+    const cam = this.camera;
+    const rect = this._rect();
+    if (rect) {
+      ctx.fillStyle = 'rgba(232,200,74,0.15)';
+      ctx.strokeStyle = '#E8C84A';
+      ctx.lineWidth = 2;
+      ctx.setLineDash([6, 4]);
+      const x = rect.c0 * TILE - cam.x, y = rect.r0 * TILE - cam.y;
+      const w = (rect.c1 - rect.c0 + 1) * TILE, h = (rect.r1 - rect.r0 + 1) * TILE;
+      ctx.fillRect(x, y, w, h);
+      ctx.strokeRect(x + 1, y + 1, w - 2, h - 2);
+      ctx.setLineDash([]);
+    }
+    const at = this._hover;
+    if (at && this._inside(at.col, at.row)) {
+      ctx.strokeStyle = this.tool === 'erase' ? '#e87878' : '#ffffff';
+      ctx.lineWidth = 2;
+      ctx.strokeRect(at.col * TILE - cam.x + 1, at.row * TILE - cam.y + 1, TILE - 2, TILE - 2);
+    }
+  }
+
+  _resize() {
+    if (!this.active) return;
+    const ar = CANVAS_W / CANVAS_H;
+    const winW = window.innerWidth;
+    const winH = window.innerHeight - this._bar.offsetHeight;
+    let cw = winW;
+    let ch = winW / ar;
+    if (ch > winH) { ch = winH; cw = winH * ar; }
+    this.canvas.width  = CANVAS_W;
+    this.canvas.height = CANVAS_H;
+    this.canvas.style.width  = cw + 'px';
+    this.canvas.style.height = ch + 'px';
+  }
+
+  destroy() {
+    const canvas = this.canvas;
+    canvas.removeEventListener('pointerdown', this._onPointerDown);
+    canvas.removeEventListener('pointermove', this._onPointerMove);
+    canvas.removeEventListener('pointerup',   this._onPointerUp);
+    canvas.removeEventListener('wheel',       this._onWheel);
+    canvas.removeEventListener('contextmenu', this._onContextMenu);
+    window.removeEventListener('keydown', this._onKeyDown);
+    window.removeEventListener('keyup',   this._onKeyUp);
+    window.removeEventListener('resize',  this._onResize);
+    window.removeEventListener('pagehide', this._onPageHide);
+    if (this._draftTimer) this._writeDraft();
+    this._bar.classList.add('hidden');
+  }
+}
@@ -5,6 +5,8 @@
 import { GRAVITY, MAX_FALL, TILE } from './constants.js';
 import { resolveEntity } from './physics.js';
 import { Sprites } from './sprites.js';
+import { rng } from './rng.js';
+import { FIELD } from './codec.js';
 
 const GOOMBA_SPD  = 1.2;
 const KOOPA_SPD   = 1.5;
@@ -12,8 +14,20 @@ const SHELL_SPD   = 7;
 const STOMP_SCORE = 100;
 const SHELL_SCORE = 200;
 
+/** Binary layout of serialize() for state sync (codec.js) – every key but id. */
+export const ENEMY_NET_FIELDS = [
+  ['type', FIELD.STR], ['x', FIELD.INT], ['y', FIELD.INT], ['vx', FIELD.FIXED], ['vy', FIELD.FIXED],
+  ['dead', FIELD.BOOL], ['remove', FIELD.BOOL],
+  ['shelled', FIELD.BOOL], ['shellMoving', FIELD.BOOL], ['h', FIELD.INT],
+];
+
 let _nextId = 1;
 
+/** Restart enemy ids so level enemies get the same ids on every peer. */
+export function resetEnemyIds() {
+  _nextId = 1;
+}
+
 // ── Base enemy ────────────────────────────────────────────
 
 class Enemy {
@@ -32,6 +46,7 @@ class Enemy {
     this._anim    = 0;
     this._animTimer = 0;
     this._deathTimer = 0;
+    this._rng     = rng.fork();  // own stream – independent of update order
   }
 
   _baseUpdate(level, dt) {
@@ -82,6 +97,7 @@ class Enemy {
       x:    Math.round(this.x),
       y:    Math.round(this.y),
       vx:   +this.vx.toFixed(2),
+      vy:   +this.vy.toFixed(2),
       dead: this.dead,
       remove: this.remove,
       // Koopa shell state (ignored by other enemy types)
@@ -247,7 +263,7 @@ export class FireBro extends Enemy {
     this.vx   = 0;
     this._spd = 0.8;
     this.type = 'FireBro';
-    this._fireTimer = 80 + Math.floor(Math.random() * 60);
+    this._fireTimer = 80 + this._rng.int(60);
     this._fireballs = []; // internal projectiles
   }
 
@@ -259,7 +275,7 @@ export class FireBro extends Enemy {
     // Fire periodically
     this._fireTimer -= dt;
     if (this._fireTimer <= 0) {
-      this._fireTimer = 90 + Math.floor(Math.random() * 60);
+      this._fireTimer = 90 + this._rng.int(60);
       const dir = this.vx < 0 ? -1 : 1;
       this._fireballs.push({ x: this.x + this.w/2, y: this.y + 10, vx: dir * 4.5, vy: -2, life: 80, r: 6 });
     }
@@ -464,7 +480,7 @@ export class Flyer extends Enemy {
     this._spd     = 1.6;
     this.type     = 'Flyer';
     this._flyY    = y;   // original spawn Y
-    this._flyT    = Math.random() * Math.PI * 2;
+    this._flyT    = this._rng.next() * Math.PI * 2;
     this._hasWings = true;
   }
 
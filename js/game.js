@@ -4,21 +4,37 @@
 
 import {
   TILE, SPAWN, POWER, PSTATE, MSG, CANVAS_W, CANVAS_H, T, HAZARD_TILES,
+  MAX_PLAYERS,
 } from './constants.js';
-import { Level, LEVEL_COUNT, SPAWN_CRATE } from './level.js';
-import { Player }             from './player.js';
+import { Level, LEVEL_COUNT, LEVEL_NAMES, SPAWN_CRATE } from './level.js';
+import { SPAWN_PLATFORM, PLATFORM_DEFAULTS } from './levelfile.js';
+import { Player, PLAYER_NET_FIELDS } from './player.js';
 import { Camera }             from './camera.js';
-import { Goomba, Koopa, FireBro, IceGoomba, Lizard, Flyer, createEnemy } from './enemies.js';
+import {
+  Goomba, Koopa, FireBro, IceGoomba, Lizard, Flyer, createEnemy, resetEnemyIds,
+  ENEMY_NET_FIELDS,
+} from './enemies.js';
 import {
   Coin, PowerUp, Particle, ScorePop, spawnBrickBreak,
 } from './collectibles.js';
 import { overlaps, stompCheck, resolveEntityVsObj } from './physics.js';
-import { preloadSprites, Sprites }    from './sprites.js';
+import { preloadSprites, Sprites, PLAYER_PALETTES } from './sprites.js';
 import {
   ITEM, ITEM_ICON, CRATE_DROPS,
   WeaponCrate, Bullet, Rocket, GrenadeProj, Explosion,
-  GrappleHook, SwordSwing, DrawObject,
+  GrappleHook, SwordSwing, DrawObject, DRAWOBJ_NET_FIELDS,
 } from './items.js';
+import { SnapshotBuffer } from './interp.js';
+import { rng, newSeed }    from './rng.js';
+import { RollbackSession, cloneState } from './rollback.js';
+import { encodeSnapshot, decodeSnapshot } from './codec.js';
+import { netStats }     from './network.js';
+import { BandwidthMeter, linkQuality } from './netdiag.js';
+import { netSim, netSimActive } from './netsim.js';
+import { MAX_STROKE_PTS, GAME_VERSION, validateMessage } from './protocol.js';
+import { TimeTrial, formatTime, formatDelta } from './timetrial.js';
+import { ReplayRecorder, downloadReplay } from './replay.js';
+import { CFG } from './config.js';
 
 const STATE = {
   LOADING: 'loading',
@@ -26,42 +42,103 @@ const STATE = {
   PAUSED:  'paused',
   WIN:     'win',
   GAMEOVER:'gameover',
+  RESULTS: 'results',  // versus: match over, winner screen up
 };
 
 const SYNC_RATE = 3;   // send state every N frames (host only)
+const STEP_MS   = 1000 / 60;  // fixed simulation step – every peer runs at 60 Hz
+const MAX_STEPS = 5;          // catch-up cap per tick after a stall
+const LERP_SNAP = 64;         // moves larger than this in one step are drawn unsmoothed
+const MAX_INPUT_QUEUE = 8;     // host: buffered inputs per client before old ones are dropped
+const MAX_PENDING_INPUTS = 120; // client: unacknowledged inputs kept for replay
+const STATE_HISTORY   = 32;    // state syncs kept as delta baselines (~1.6 s)
+const DRAWN_ID_STRIDE = 1e6;   // drawn object ids: creator pid × stride + sequence
+const FREE_CAM      = 'free';  // spectator camera target: steered with the arrow keys
+const SPECTATOR_PAN = 8;       // free camera speed, px per step (doubled while running)
+const PAUSE_BEAT    = 60;      // host: re-announce a pause this often (frames) for late joiners
+const ROUND_OVER_FRAMES = 3 * 60;  // win / game over screen before the next level
+const FRAG_LIMIT    = 10;      // versus: kills that win the match…
+const MATCH_FRAMES  = 3 * 60 * 60;  // …or most kills when this runs out (3 min)
+const KILL_POINTS   = 1000;    // versus: score for knocking out another player
+const KILL_FEED_FRAMES = 240;  // versus: how long a knockout stays listed
+const RESULTS_FRAMES = 8 * 60; // versus: winner screen before the next match
+const REPLAY_SPEEDS = [0.25, 0.5, 1, 2, 4, 8];  // replay playback rates ([-] / [=])
+const REPLAY_CHECKPOINT = 300; // replay: frames between saved worlds that seeking rewinds to
+const REPLAY_SKIP   = 5 * 60;  // replay: frames [ and ] jump back / ahead
+
+// Binary state sync: entity lists with per-field dirty flags, the rest as JSON when changed
+const STATE_LAYOUT = {
+  entities: { players: PLAYER_NET_FIELDS, enemies: ENEMY_NET_FIELDS, drawn: DRAWOBJ_NET_FIELDS },
+  other:    ['active', 'acks', 'coins', 'platforms', 'powerUps', 'tiles', 'spectators'],
+};
+
+// Constant data referenced from world state – never copied by rollback saves
+const SHARED_STATE = new WeakSet(PLAYER_PALETTES);
+
+// Diagnostics overlay / HUD indicator colours per link quality (see netdiag.js)
+const QUALITY_COLOR = { good: '#78e87a', fair: '#e8c84a', poor: '#e87878' };
+const QUALITY_RANK  = ['good', 'fair', 'poor'];
+
+// Client-originated events the host forwards to every other client
+const RELAYED_EVENTS = new Set(['CHAT', 'DRAW_OBJ']);
 
 export class Game {
   constructor(canvas, network, localPlayerIndex) {
     this.canvas   = canvas;
     this.ctx      = canvas.getContext('2d');
     this.net      = network;
-    this.localIdx = localPlayerIndex;  // 0 = P1 (Mario/host), 1 = P2 (Luigi/client)
-    this.isHost   = localPlayerIndex === 0;
+    this.localIdx = localPlayerIndex;  // player slot this tab controls (host is usually 0)
+    this.isHost   = network ? network.isHost : true;  // solo counts as host
+    this.spectating = !!network?.spectating;  // watching only: no player of our own
+    this.spectators = 0;        // how many watch the session (host: its network, client: state syncs)
+    this.spectateTarget = null; // spectator camera: pid to follow, null = everyone, or FREE_CAM
 
     this._state       = STATE.LOADING;
     this._levelIndex  = 0;
+    this.seed         = 0;     // world RNG seed of the current level (shared by all peers)
     this._frame       = 0;
     this._syncTimer   = 0;
     this._rafId       = null;
     this._winTimer    = 0;
-
-    this._localInput  = null;  // Input instance set by main.js
-    this._remoteInput = {      // Last received input from peer
-      left: false, right: false, jump: false, run: false, fire: false,
-    };
-
-    // Host starts solo – P2 activates on connection
-    // Client is always connected (they joined to get here)
-    this.peerConnected = !this.isHost;
+    this._pendingRestart = null;  // { level, frames, newRun }: counting down after a win, game over or match
+                                  //   (level null: a client waiting for the host's RESTART)
+    this._resimulating   = false; // rollback: replaying frames that were already shown
+    this._shownMsgs      = [];    // recent '<frame>:<text>' keys, so a resimulation shows none twice
+    this._lastTick    = null;  // timestamp of the previous tick()
+    this._accum       = 0;     // simulation time owed, in ms
+
+    this._localInput   = null;  // Input instance set by main.js
+    this._remoteInputs = {};    // pid → last input applied for that player (host only)
+    this._inputQueues  = {};    // pid → [{ seq, keys }] received, not yet simulated (host only)
+    this._ackSeq       = {};    // pid → seq of the last input simulated (host only)
+    this._inputSeq     = 0;     // seq stamped on our next MSG.INPUT
+    this._pendingInputs = [];   // [{ seq, keys }] sent but not yet acknowledged (client only)
+    this.rollback      = null;  // RollbackSession when playing in rollback mode
+    this._strokeOut    = null;  // rollback: finished pencil stroke waiting to join our input
+    this._tileAcks     = {};    // pid → level tile version that client has (host only)
+    this._tileVer      = 0;     // host tile version we have caught up to (client only)
+    this._interp       = new SnapshotBuffer();  // recent host states for remote entities (client only)
+    this._stateFrame   = -1;    // host frame of the newest MSG.STATE applied (client only)
+    this._stateHistory = new Map();  // frame → state sync, delta baselines (host: sent, client: decoded)
+    this._stateAcks    = {};    // pid → newest state frame that client decoded (host only)
+    this._stateAckFrame = -1;   // newest decoded state frame, echoed in MSG.INPUT (client only)
+    this._drawnSeq     = Math.floor(Math.random() * DRAWN_ID_STRIDE);  // ids survive a page reload
+
+    // Player slots currently in the session. Host starts solo and adds
+    // clients as they join; a client learns the roster from state syncs.
+    this._activePids = new Set(this.spectating ? [] : [this.localIdx]);
+    if (!this.isHost) this._activePids.add(network?.hostPid ?? 0);
     this._peerCode     = null;  // shown on-canvas while waiting
+    this.rejoinPids    = [];    // after promotion: client slots held for their owners
 
     this._canvas_scale = 1;
     this._resize();
-    window.addEventListener('resize', () => this._resize());
+    this._onResize = () => this._resize();
+    window.addEventListener('resize', this._onResize);
 
     // Set up network message handler
     if (this.net) {
-      this.net.onMessage = (msg) => this._handleNetMsg(msg);
+      this.net.onMessage = (msg, pid) => this._handleNetMsg(msg, pid);
     }
 
     // Item system state
@@ -74,46 +151,682 @@ export class Game {
     // Chat
     this._chatLog      = [];  // [{pid, name, text, timer}]
     this._speechBubble = {};  // { [pid]: {text, timer} }
+
+    // Network diagnostics overlay ([\] toggles it)
+    this.showNetStats = false;
+    this._bandwidth   = new BandwidthMeter(netStats);
+
+    // Pause ([Esc]/[P]): the host decides and tells everyone, so all stop together
+    this._pausedBy  = null;   // { pid, reason } while STATE.PAUSED
+    this._menu      = null;   // { page, index } while the pause menu is open
+    this._menuItems = [];     // last drawn menu rows, for mouse hit tests
+    this._pauseBeat = 0;
+    this.autoPause  = true;   // main.js requests a pause when the tab is hidden
+    this.onQuit     = null;   // (message?) => {}  "Quit to lobby", or a failed session (set by main.js)
+
+    // Versus: players hurt each other and score kills instead of racing to the goal
+    this.versus       = false;
+    this._killFeed    = [];     // [{ key, killer, victim, how, timer }]
+
+    this.timeTrial = null;      // TimeTrial when racing the clock solo (useTimeTrial)
+    this.customLevel = null;    // level file played instead of the built-in levels (useCustomLevel)
+    this.playtest    = false;   // editor play-test: P2 mirrors the local input (usePlaytest)
+    this._playtestKeys = {};    // play-test: this frame's local input, for P2
+
+    // Replays: each level is recorded wherever the whole world is simulated
+    this._recorder     = null;  // ReplayRecorder of the level being played (host, solo, rollback)
+    this.replay        = null;  // ReplayPlayer when watching a recording (useReplay)
+    this._replayPaused = false;
+    this._replaySpeed  = REPLAY_SPEEDS.indexOf(1);
+    this._replayAccum  = 0;     // frames owed at playback rates below 1
+    this._checkpoints  = new Map();  // replay: frame → { world, active } to rewind to
+    this._cfgBefore    = null;  // replay: physics settings to restore afterwards
   }
 
   setInput(inputInstance) {
     this._localInput = inputInstance;
-    inputInstance.onChatSubmit = (text) => this._sendChat(text);
+    // Spectators only read the chat
+    if (!this.spectating) inputInstance.onChatSubmit = (text) => this._sendChat(text);
   }
 
   /** Attach (or replace) the network after game has already started. */
   setNet(network) {
     this.net = network;
-    if (network) network.onMessage = (msg) => this._handleNetMsg(msg);
+    if (network) network.onMessage = (msg, pid) => this._handleNetMsg(msg, pid);
+  }
+
+  /** True once at least one other player is in the session. */
+  get peerConnected() {
+    return this._activePids.size > 1;
+  }
+
+  /** True when anyone – player or spectator – receives what we broadcast. */
+  get _hasAudience() {
+    return this.peerConnected || this.spectators > 0;
+  }
+
+  /** Display name for `pid`: the one picked in the lobby, else the character's. */
+  playerName(pid) {
+    return this.net?.roster.get(pid)?.name || this.replay?.names[pid]
+      || (PLAYER_PALETTES[pid]?.name ?? 'P' + (pid + 1));
+  }
+
+  /** Players whose slot is taken (local player always included). */
+  _activePlayers() {
+    return this.players.filter(p => this._activePids.has(p.id));
+  }
+
+  /** First living teammate of `player`, or null – used as a respawn anchor. */
+  _aliveTeammate(player) {
+    if (this.versus) return null;  // no teammates: everyone respawns at their own spawn point
+    return this._activePlayers().find(p => p !== player && !p.dead) ?? null;
+  }
+
+  /** Call when a peer connects mid-game (host only). `resumed` = they got their old slot back. */
+  onPeerJoined(pid, resumed = false) {
+    if (this._recorder) {
+      this._recorder.event(this._frame + 1, 'join', pid, resumed);
+      this._recorder.name(pid, this.playerName(pid));
+    }
+    this._activePids.add(pid);
+    this._peerCode = null;
+    delete this._stateAcks[pid];  // new connection: its first state sync is a full one
+    const p = this.players[pid];
+    // A returning player keeps where they were; a new one starts at their spawn point
+    if (!resumed) p.respawn();
+    // The joiner gets the whole world; everyone else learns the new roster
+    if (this.net) {
+      this._sendSnapshot(pid);
+      this._syncSoon();
+    }
+    // Rollback peers must step identical frames from an identical start
+    if (this.rollback && this.net) {
+      this.load(this._levelIndex);
+      this._sendRestart(this._levelIndex);
+    }
+    this._showMsg(this.playerName(pid) + (resumed ? ' is back! 👋' : ' joined! 👋'));
+  }
+
+  /**
+   * Call when a peer's connection closes (host only). The player leaves the
+   * world but keeps its state while the slot is held for a reconnect.
+   */
+  onPeerDropped(pid) {
+    if (!this._activePids.delete(pid)) return;
+    if (this._recorder) this._recorder.event(this._frame + 1, 'drop', pid);
+    delete this._remoteInputs[pid];
+    delete this._inputQueues[pid];
+    delete this._tileAcks[pid];
+    const p = this.players[pid];
+    p.grappleHook = null;
+    if (this.net) this._syncSoon();
+    this._showMsg(this.playerName(pid) + ' lost connection…');
   }
 
-  /** Call when a peer connects mid-game (host only). */
-  onPeerJoined() {
-    this.peerConnected = true;
-    this._peerCode     = null;
-    // Respawn P2 at spawn point
-    const p2 = this.players[1];
-    p2.respawn();
-    // Immediately send full state so client can sync
-    if (this.net) this._sendStateSync();
-    this._showMsg('Player 2 joined! 👋');
+  /** Call when a dropped peer's slot is released (host only) – the next joiner starts fresh. */
+  onPeerLeft(pid) {
+    if (this._recorder) this._recorder.event(this._frame + 1, 'leave', pid);
+    this._activePids.delete(pid);
+    delete this._remoteInputs[pid];
+    delete this._inputQueues[pid];
+    const sp = this.level.playerSpawns[pid];
+    this.players[pid] = new Player(pid, sp.col * TILE, sp.row * TILE);
+    this.players[pid].endlessLives = this.versus;
+    if (this.net) this._syncSoon();
+    this._showMsg(this.playerName(pid) + ' left');
   }
 
-  /** Load a level (or reload current one). */
-  load(levelIndex) {
+  /**
+   * Call when a spectator connects (host only). Like a joining player it gets
+   * the whole world; it is never added to the roster.
+   */
+  onSpectatorJoined(sid) {
+    this.spectators = this.net.spectators.size;
+    delete this._stateAcks[sid];
+    this._tileAcks[sid] = this.level.version;  // the snapshot carries every tile edit
+    this._sendSnapshot(sid);
+  }
+
+  /** Call when a spectator's connection closes (host only). */
+  onSpectatorLeft(sid) {
+    this.spectators = this.net.spectators.size;
+    delete this._stateAcks[sid];
+    delete this._tileAcks[sid];
+  }
+
+  // ── ROLLBACK MODE ────────────────────────────────────────
+
+  /**
+   * Switch to rollback netcode (two-player rooms). Both peers then simulate
+   * the whole world from inputs alone: no state syncs, no gameplay events.
+   */
+  useRollback() {
+    this.rollback = new RollbackSession({
+      save: () => this._saveWorld(),
+      load: (state) => this._loadWorld(state),
+      step: (localSnap, remoteSnap, resim) => this._rollbackStep(localSnap, remoteSnap, resim),
+      send: (msg) => { if (this.net && this.peerConnected) this.net.send({ type: MSG.INPUT, ...msg }); },
+    });
+  }
+
+  _rollbackStep(localSnap, remoteSnap, resim) {
+    if (this._state !== STATE.PLAYING) {
+      // The countdown to the next level is part of the world, so a rollback undoes it
+      // too. It runs on below zero: how many frames ago it ran out.
+      if (this._pendingRestart) this._pendingRestart.frames--;
+      return;
+    }
+    // Every peer reaches the same outcome itself – announcing it would double it.
+    // A resimulated frame was shown already: its particles and score pops are
+    // on screen and have aged since, so the replayed ones are dropped.
+    const { net, particles, scorePops } = this;
+    this.net = null;
+    this._resimulating = resim;
+    if (resim) {
+      this.particles = [];
+      this.scorePops = [];
+    }
+    try {
+      this._simulate(localSnap, remoteSnap);
+    } finally {
+      this.net = net;
+      this._resimulating = false;
+      if (resim) {
+        this.particles = particles;
+        this.scorePops = scorePops;
+      }
+    }
+  }
+
+  // ── VERSUS MODE ──────────────────────────────────────────
+
+  /**
+   * Call before the first load(): players can stomp, shoot, slash and blow
+   * each other up, respawn forever at their own spawn point, and the match
+   * goes to whoever reaches FRAG_LIMIT kills first (or leads after
+   * MATCH_FRAMES). Works with either netcode – the host, or each rollback
+   * peer, decides who hit whom.
+   */
+  useVersus() {
+    this.versus = true;
+  }
+
+  /**
+   * Versus (host or rollback peer): player ↔ player stomps, fireballs,
+   * weapons and blasts. A player's own shots never hurt them.
+   */
+  _handleVersusHits() {
+    const players = this._activePlayers();
+    for (const attacker of players) {
+      if (attacker.dead) continue;
+      for (const victim of players) {
+        if (victim === attacker || victim.dead) continue;
+        if (overlaps(attacker, victim) && stompCheck(attacker, victim)) {
+          attacker.vy = -8;  // bounce, as off an enemy
+          attacker.stompGrace = 12;
+          this._versusHit(victim, attacker.id, 'stomped');
+        }
+        for (const fb of attacker._fireballs) {
+          if (!fb.dead && overlaps(fb, victim) && this._versusHit(victim, attacker.id, 'burned')) fb.dead = true;
+        }
+      }
+    }
+
+    for (const proj of this.projectileList) {
+      if (proj.dead) continue;
+      for (const victim of players) {
+        if (victim.dead || victim.id === proj.ownerId) continue;
+        const cx = victim.x + victim.w / 2;
+        const cy = victim.y + victim.h / 2;
+        if (proj instanceof SwordSwing) {
+          // Player keys, so they never clash with the enemy ids in the same set
+          if (proj.hitsPoint(cx, cy) && !proj._hitIds.has('p' + victim.id)) {
+            proj._hitIds.add('p' + victim.id);
+            this._versusHit(victim, proj.ownerId, 'slashed');
+          }
+        } else if (!overlaps(proj, victim)) {
+          continue;
+        } else if (proj instanceof Bullet) {
+          proj.dead = true;
+          this._versusHit(victim, proj.ownerId, 'shot');
+        } else if (proj instanceof Rocket || proj instanceof GrenadeProj) {
+          proj._exploded = true;
+          proj.dead = true;
+          this._triggerExplosion(cx, cy, proj.ownerId);
+        }
+        if (proj.dead) break;
+      }
+    }
+
+    for (const expl of this.explosions) {
+      expl._hitIds ??= new Set();
+      for (const victim of players) {
+        const key = 'p' + victim.id;
+        if (victim.dead || victim.id === expl.ownerId || expl._hitIds.has(key)) continue;
+        if (expl.overlapsPoint(victim.x + victim.w / 2, victim.y + victim.h / 2)) {
+          expl._hitIds.add(key);
+          this._versusHit(victim, expl.ownerId, 'blasted');
+        }
+      }
+    }
+  }
+
+  /**
+   * Versus: `attackerId` hurts `victim`. Knocking them out scores the attacker
+   * a kill. Returns false if the hit did nothing (invulnerable, already dead).
+   */
+  _versusHit(victim, attackerId, how) {
+    if (victim.dead || victim.invuln > 0 || victim.id === attackerId) return false;
+    victim.hurt();
+    // Only a host tells its clients – rollback peers decide every hit themselves,
+    // and a resimulated one was announced (or not) the first time round
+    const announce = this.isHost && this.net && !this.rollback && !this._resimulating;
+    if (announce) this.net.send({ type: MSG.EVENT, event: 'HURT', pid: victim.id });
+    if (!victim.dead) return true;
+
+    const killer = this.players[attackerId];
+    if (killer) {
+      killer.kills++;
+      killer.score += KILL_POINTS;
+      this._addScorePop(victim.x, victim.y, '+' + KILL_POINTS);
+    }
+    this._addKill(attackerId, victim.id, how);
+    if (announce) {
+      this.net.send({ type: MSG.EVENT, event: 'KILL', pid: attackerId, victim: victim.id, how });
+      this._syncSoon();
+    }
+    return true;
+  }
+
+  /** List a knockout in the kill feed (once – a rollback resimulation repeats it). */
+  _addKill(killer, victim, how) {
+    const key = this._frame + ':' + victim;
+    if (this._killFeed.some(k => k.key === key)) return;
+    this._killFeed.push({ key, killer, victim, how, timer: KILL_FEED_FRAMES });
+    if (this._killFeed.length > 4) this._killFeed.shift();
+  }
+
+  /** Versus: active players, best first – most kills, then score. */
+  _standings() {
+    return this._activePlayers().sort((a, b) => b.kills - a.kills || b.score - a.score);
+  }
+
+  /** Versus: simulation frames left in the match (a client counts the host's). */
+  _matchFramesLeft() {
+    const frame = this.isHost || this.rollback ? this._frame : Math.max(0, this._stateFrame);
+    return Math.max(0, MATCH_FRAMES - frame);
+  }
+
+  /** Versus (host or rollback peer): end the match at the frag limit or when time is up. */
+  _checkMatchEnd() {
+    const top = Math.max(0, ...this._activePlayers().map(p => p.kills));
+    if (top >= FRAG_LIMIT || this._matchFramesLeft() === 0) this._onMatchOver();
+  }
+
+  _onMatchOver() {
+    this._state = STATE.RESULTS;
+    // Final tallies ride along – the state sync carrying the deciding kill may never be sent
+    if (this.net && !this.rollback) {
+      this.net.send({ type: MSG.EVENT, event: 'MATCH_OVER',
+                      standings: this._standings().map(p => [p.id, p.kills, p.score]) });
+    }
+    // Same level again – load() gives everyone fresh players with no kills. Like
+    // a win, a rollback can still undo the result until its frames are confirmed.
+    this._pendingRestart = { level: this._levelIndex, frames: RESULTS_FRAMES, newRun: false };
+  }
+
+  // ── TIME TRIAL ───────────────────────────────────────────
+
+  /**
+   * Solo: time every level from load to clear, list the splits and race a
+   * ghost of the personal best (see timetrial.js). Call before load().
+   */
+  useTimeTrial() {
+    this.timeTrial = new TimeTrial();
+  }
+
+  /** Timer (top centre) and this run's splits against the bests (top left). */
+  _drawTimeTrial(ctx) {
+    const trial = this.timeTrial;
+    const best  = trial.bestFor(this._levelIndex);
+
+    ctx.save();
+    ctx.textAlign = 'center';
+    ctx.font = 'bold 18px monospace';
+    const text = '⏱ ' + formatTime(trial.frames);
+    const w = ctx.measureText(text).width + 28;
+    ctx.fillStyle = 'rgba(0,0,0,0.60)';
+    ctx.fillRect((CANVAS_W - w) / 2, 8, w, 30);
+    ctx.fillStyle = trial.running ? '#ffffff' : '#E8C84A';
+    ctx.fillText(text, CANVAS_W / 2, 29);
+    ctx.font = '11px monospace';
+    ctx.fillStyle = '#dddddd';
+    ctx.fillText(best === null ? 'no best yet' : 'PB ' + formatTime(best), CANVAS_W / 2, 52);
+
+    const rows = trial.splits.map(sp => [
+      (LEVEL_NAMES[sp.level] ?? 'Level ' + (sp.level + 1)).slice(0, 14).padEnd(14) + ' ' + formatTime(sp.frames)
+        + (sp.best === null ? '' : '  ' + formatDelta(sp.frames - sp.best)),
+      sp.pb ? '#78e87a' : '#e87878',
+    ]);
+    if (rows.length) {
+      const total = trial.splits.reduce((sum, sp) => sum + sp.frames, 0);
+      rows.push(['Total'.padEnd(14) + ' ' + formatTime(total), '#E8C84A']);
+      const LINE_H = 15, PAD = 7, X = 8, Y = 8;
+      ctx.textAlign = 'left';
+      const bw = Math.max(...rows.map(([t]) => ctx.measureText(t).width)) + PAD * 2;
+      ctx.fillStyle = 'rgba(0,0,0,0.60)';
+      ctx.fillRect(X, Y, bw, rows.length * LINE_H + PAD * 2);
+      rows.forEach(([t, color], i) => {
+        ctx.fillStyle = color;
+        ctx.fillText(t, X + PAD, Y + PAD + (i + 1) * LINE_H - 4);
+      });
+    }
+    ctx.restore();
+  }
+
+  // ── PLAY-TESTING ─────────────────────────────────────────
+
+  /**
+   * Editor play-test (solo, with useCustomLevel): P2 drops in at its own
+   * start and copies our moves, so both starts get tried. Call before load().
+   */
+  usePlaytest() {
+    this.playtest = true;
+    this._activePids.add(1);
+  }
+
+  // ── REPLAYS ──────────────────────────────────────────────
+
+  /**
+   * Watch `replay` (a ReplayPlayer, see replay.js) instead of playing: its
+   * recorded inputs drive every player through the normal simulation, with
+   * pause, single steps, seeking and playback speed. Call before
+   * load(replay.level, replay.seed).
+   */
+  useReplay(replay) {
+    this.replay     = replay;
+    this.spectating = true;  // no player of our own: spectator camera and menu
+    this.localIdx   = replay.local;
+    this._activePids = new Set(replay.players);
+    if (replay.rules === 'versus') this.useVersus();
+    this._cfgBefore = { ...CFG };
+    Object.assign(CFG, replay.cfg);
+    if (replay.version !== GAME_VERSION) {
+      this._showMsg(`Recorded with v${replay.version} – it may play out differently`);
+    }
+  }
+
+  /** Start recording the level just loaded. */
+  _startRecording() {
+    const pids = [...this._activePids];
+    this._recorder = new ReplayRecorder({
+      level:   this._levelIndex,
+      custom:  this.customLevel,
+      seed:    this.seed,
+      rules:   this.versus ? 'versus' : 'coop',
+      netcode: this.rollback ? 'rollback' : 'host',
+      local:   this.localIdx,
+      players: pids,
+      names:   Object.fromEntries(pids.map(pid => [pid, this.playerName(pid)])),
+      cfg:     { ...CFG },
+      version: GAME_VERSION,
+    });
+  }
+
+  /** The input `pid` runs on in the frame being simulated. */
+  _record(pid, keys) {
+    if (this._recorder) this._recorder.input(this._frame, pid, keys);
+  }
+
+  /** update() while watching a replay: playback controls, then as many frames as the speed asks. */
+  _updateReplay() {
+    const input = this._localInput;
+    if (input) input.update();
+
+    if (this._menu) this._updateMenu();
+    else if (input) this._replayControls(input);
+
+    if (!this._menu && !this._replayPaused) {
+      this._replayAccum += REPLAY_SPEEDS[this._replaySpeed];
+      while (this._replayAccum >= 1) {
+        this._replayAccum--;
+        if (!this._replayStep()) break;
+      }
+    }
+
+    for (const k of this._killFeed) k.timer--;
+    this._killFeed = this._killFeed.filter(k => k.timer > 0);
+    this.level.update(1);
+    this._updateCamera();
+    this._updateHUD();
+  }
+
+  _replayControls(input) {
+    const pressed = (...codes) => codes.some(c => input.justPressed(c));
+    const last = REPLAY_SPEEDS.length - 1;
+    if (pressed('Escape', 'KeyP')) this._openMenu();
+    if (pressed('Space', 'KeyK'))  this._replayPaused = !this._replayPaused;
+    if (pressed('Period')) {
+      this._replayPaused = true;
+      this._replayStep();
+    }
+    if (pressed('Comma')) {
+      this._replayPaused = true;
+      this._seekReplay(this._frame - 1);
+    }
+    if (pressed('BracketLeft'))  this._seekReplay(this._frame - REPLAY_SKIP);
+    if (pressed('BracketRight')) this._seekReplay(this._frame + REPLAY_SKIP);
+    if (pressed('Home'))  this._seekReplay(0);
+    if (pressed('Minus')) this._replaySpeed = Math.max(0, this._replaySpeed - 1);
+    if (pressed('Equal')) this._replaySpeed = Math.min(last, this._replaySpeed + 1);
+  }
+
+  /**
+   * Simulate the replay's next frame: who joined or left before it, pencil
+   * strokes, then everyone's recorded input. False (and paused) at the end.
+   */
+  _replayStep() {
+    const replay = this.replay;
+    if (this._frame >= replay.frames || this._state !== STATE.PLAYING) {
+      this._replayPaused = true;
+      return false;
+    }
+    const f = this._frame + 1;
+    for (const [kind, pid, resumed] of replay.eventsAt(f)) {
+      if (kind === 'join')       this.onPeerJoined(pid, resumed);
+      else if (kind === 'drop')  this.onPeerDropped(pid);
+      else if (kind === 'leave') this.onPeerLeft(pid);
+    }
+    for (const st of replay.strokesAt(f)) {
+      const obj = new DrawObject(st.x, st.y, st.w, st.h, st.pts);
+      obj.id = st.id;
+      this.drawnObjects.push(obj);
+    }
+    // A rollback peer was handed the other player's input explicitly
+    const other = replay.netcode === 'rollback' ? replay.players.find(pid => pid !== replay.local) : undefined;
+    this._simulate(replay.keysFor(replay.local, f), other === undefined ? null : replay.keysFor(other, f));
+    if (this._frame % REPLAY_CHECKPOINT === 0 && !this._checkpoints.has(this._frame)) this._saveCheckpoint();
+    return true;
+  }
+
+  _saveCheckpoint() {
+    this._checkpoints.set(this._frame, { world: this._saveWorld(), active: [...this._activePids] });
+  }
+
+  /** Jump to `frame`: back to the nearest saved world at or before it, then resimulate up to it. */
+  _seekReplay(frame) {
+    const target = Math.max(0, Math.min(frame, this.replay.frames));
+    let from = 0;
+    for (const f of this._checkpoints.keys()) if (f <= target && f > from) from = f;
+    if (target < this._frame || from > this._frame) {
+      const cp = this._checkpoints.get(from);
+      this._loadWorld(cp.world);
+      this._activePids = new Set(cp.active);
+      this._killFeed  = [];
+      this.particles  = [];
+      this.scorePops  = [];
+    }
+    while (this._frame < target && this._replayStep()) { /* resimulate */ }
+    this._replayAccum = 0;
+  }
+
+  /** Replay (bottom): position, speed, a progress bar and the controls. */
+  _drawReplayBar(ctx) {
+    const replay = this.replay;
+    const W = 560, H = 58, x = (CANVAS_W - W) / 2, y = CANVAS_H - H - 8;
+    const state = this._replayPaused ? '⏸' : '▶';
+    const speed = REPLAY_SPEEDS[this._replaySpeed];
+    const target = this.spectateTarget === FREE_CAM ? 'free camera'
+      : this.spectateTarget === null ? 'everyone'
+      : this.playerName(this.spectateTarget);
+
+    ctx.save();
+    ctx.fillStyle = 'rgba(0,0,0,0.65)';
+    ctx.fillRect(x, y, W, H);
+    ctx.font = 'bold 12px monospace';
+    ctx.textAlign = 'left';
+    ctx.fillStyle = '#ffffff';
+    ctx.fillText(`${state} REPLAY  ${formatTime(this._frame)} / ${formatTime(replay.frames)}` +
+                 `  frame ${this._frame}/${replay.frames}  ${speed}×`, x + 10, y + 17);
+    ctx.textAlign = 'right';
+    ctx.fillStyle = '#cccccc';
+    ctx.fillText('👁 ' + target, x + W - 10, y + 17);
+
+    // Progress
+    ctx.fillStyle = 'rgba(255,255,255,0.15)';
+    ctx.fillRect(x + 10, y + 24, W - 20, 6);
+    ctx.fillStyle = '#E8C84A';
+    ctx.fillRect(x + 10, y + 24, (W - 20) * (replay.frames ? this._frame / replay.frames : 0), 6);
+
+    ctx.font = '11px monospace';
+    ctx.textAlign = 'center';
+    ctx.fillStyle = '#aaaaaa';
+    ctx.fillText('Space play/pause  ,/. step  [/] ±5 s  -/= speed  Home start  C camera  Esc menu',
+                 CANVAS_W / 2, y + 47);
+    ctx.restore();
+  }
+
+  /** Everything a frame of simulation reads or writes. */
+  _saveWorld() {
+    return cloneState({
+      frame:    this._frame,
+      state:    this._state,
+      winTimer: this._winTimer,
+      restart:  this._pendingRestart,
+      rng:      rng.state,
+      tiles:    this.level.tiles,
+      blockItems: this.level.blockItems,
+      players:  this.players,
+      enemies:  this.enemies,
+      powerUps: this.powerUps,
+      coins:    this.coins,
+      platforms: this.platforms,
+      weaponCrates:   this.weaponCrates,
+      projectileList: this.projectileList,
+      explosions:     this.explosions,
+      drawnObjects:   this.drawnObjects,
+    }, SHARED_STATE);
+  }
+
+  _loadWorld(saved) {
+    // Copy again – the saved state must survive to be loaded a second time
+    const s = cloneState(saved, SHARED_STATE);
+    this._frame   = s.frame;
+    this._state   = s.state;
+    this._winTimer = s.winTimer;
+    this._pendingRestart = s.restart;
+    rng.state     = s.rng;
+    this.level.tiles      = s.tiles;
+    this.level.blockItems = s.blockItems;
+    this.players   = s.players;
+    this.enemies   = s.enemies;
+    this.powerUps  = s.powerUps;
+    this.coins     = s.coins;
+    this.platforms = s.platforms;
+    this.weaponCrates   = s.weaponCrates;
+    this.projectileList = s.projectileList;
+    this.explosions     = s.explosions;
+    this.drawnObjects   = s.drawnObjects;
+  }
+
+  // ── HOST MIGRATION ───────────────────────────────────────
+
+  /** Slot that should take over if the host goes away: lowest surviving client. */
+  nextHostPid() {
+    const hostPid = this.net ? this.net.hostPid : this.localIdx;
+    const survivors = [...this._activePids].filter(pid => pid !== hostPid);
+    return survivors.length ? Math.min(...survivors) : this.localIdx;
+  }
+
+  /**
+   * Client → host: become authoritative for the world we last mirrored.
+   * Enemies, power-ups, coins and platforms already match the old host's last
+   * state sync, so the host-side update path simply continues from there.
+   * Other clients drop out of the roster until they rejoin the new room;
+   * their slots are listed in `rejoinPids` so the new network can hold them.
+   */
+  promoteToHost(network) {
+    const oldHost = this.net ? this.net.hostPid : null;
+    this.setNet(network);
+    this.isHost = true;
+    this.rejoinPids = [...this._activePids].filter(pid => pid !== this.localIdx && pid !== oldHost);
+    this._activePids = new Set([this.localIdx]);
+    this._remoteInputs = {};
+    this._inputQueues  = {};
+    this._ackSeq       = {};
+    this._stateHistory.clear();
+    this._stateAcks    = {};
+    this._syncTimer = 0;
+    if (oldHost !== null) this.players[oldHost].grappleHook = null;
+    this._showMsg('Host left – you are now the host 👑');
+  }
+
+  /**
+   * Client: reconnected to the (possibly new) host after a drop or migration.
+   * If our old slot was given away we continue as whichever slot we got; the
+   * host's snapshot follows right behind the WELCOME.
+   */
+  rejoined(network, welcome = {}) {
+    this.setNet(network);
+    this.isHost = false;
+    if (Number.isInteger(welcome.pid)) this.localIdx = welcome.pid;
+    this._activePids = new Set(this.spectating ? [network.hostPid] : [this.localIdx, network.hostPid]);
+    this._interp.clear();
+    this._stateFrame = -1;  // a promoted host counts frames from its own start
+    this._stateHistory.clear();
+    this._stateAckFrame = -1;
+    this._showMsg('Reconnected! 👋');
+  }
+
+  /**
+   * Play `doc`, a level file (see levelfile.js), instead of the built-in
+   * levels: every load() and every level clear brings it back. Call before
+   * load(); null returns to the built-ins.
+   */
+  useCustomLevel(doc) {
+    this.customLevel = doc;
+  }
+
+  /**
+   * Load a level (or reload current one). Every peer must load with the same
+   * seed – the host picks it and sends it in MSG.RESTART / MSG.WELCOME.
+   */
+  load(levelIndex, seed = newSeed()) {
     this._levelIndex = levelIndex;
-    this.level   = new Level(levelIndex);
+    this.seed = seed >>> 0;
+    rng.seed(this.seed);
+    resetEnemyIds();
+    this.level   = new Level(this.customLevel ?? levelIndex);
     this.camera  = new Camera(this.level.widthPx, this.level.heightPx);
 
-    const sp1 = this.level.p1Spawn;
-    const sp2 = this.level.p2Spawn;
-
-    this.players = [
-      new Player(0, false, sp1.col * TILE, sp1.row * TILE),
-      new Player(1, true,  sp2.col * TILE, sp2.row * TILE),
-    ];
+    this.players = [];
+    for (let pid = 0; pid < MAX_PLAYERS; pid++) {
+      const sp = this.level.playerSpawns[pid];
+      const p = new Player(pid, sp.col * TILE, sp.row * TILE);
+      p.endlessLives = this.versus;
+      this.players.push(p);
+    }
 
-    // Only host spawns enemies (authoritative)
     this.enemies   = [];
     this.platforms = [];  // moving platforms
     this.coins    = [];
@@ -136,15 +849,39 @@ export class Game {
       p._swordCooldown = 0;
     }
 
-    if (this.isHost) {
-      this._spawnLevelEntities();
-    }
-    // Weapon crates are visual – spawn on both sides
+    // Every peer spawns the level from the same seed, so enemies get matching
+    // ids and random timers; the host's state syncs stay authoritative.
+    // Coins, platforms and weapon crates are static level data.
+    this._spawnLevelEntities();
+    this._spawnStaticEntities();
     this._spawnWeaponCrates();
 
     this._state = STATE.PLAYING;
+    this._pausedBy = null;
+    this._menu     = null;
+    this._killFeed = [];
     this._winTimer = 0;
+    this._pendingRestart = null;
     this._frame = 0;
+    this._tileAcks = {};
+    this._tileVer  = 0;
+    this._interp.clear();
+    this._stateFrame = -1;
+    this._stateHistory.clear();
+    this._stateAcks     = {};
+    this._stateAckFrame = -1;
+    this._inputQueues   = {};
+    this._pendingInputs = [];
+    if (this.rollback) this.rollback.reset(this.seed);
+    if (this.timeTrial) this.timeTrial.startLevel(levelIndex, this.players[this.localIdx]);
+    // Only a peer that simulates everything can record it; a replay rewinds to its saved worlds
+    this._recorder = null;
+    if (this.replay) {
+      this._checkpoints.clear();
+      this._saveCheckpoint();
+    } else if (this.isHost || this.rollback) {
+      this._startRecording();
+    }
 
     preloadSprites();
   }
@@ -159,29 +896,42 @@ export class Game {
         case SPAWN.LIZARD:
         case SPAWN.FLYER: {
           const e = createEnemy(sp.type, sp.col, sp.row);
-          if (e) this.enemies.push(e);
+          if (!e) break;
+          if (sp.props.dir === 'right') e.vx = Math.abs(e.vx);
+          this.enemies.push(e);
           break;
         }
+        // QBLOCK item spawns handled when blocks are hit
+      }
+    }
+  }
+
+  _spawnStaticEntities() {
+    for (const sp of this.level.spawns) {
+      switch (sp.type) {
         case SPAWN.COIN: {
-          this.coins.push(new Coin(sp.col * TILE + 8, sp.row * TILE, false));
+          const coin = new Coin(sp.col * TILE + 8, sp.row * TILE, false);
+          coin.key = `${sp.col},${sp.row}`;  // stable across peers (ids are not)
+          this.coins.push(coin);
           break;
         }
-        case 'MOVING_PLATFORM': {
+        case SPAWN_PLATFORM: {
           const px = sp.col * TILE;
           const py = (sp.row - 1) * TILE;
+          const w     = sp.props.width ?? PLATFORM_DEFAULTS.width;
+          const range = sp.props.range ?? PLATFORM_DEFAULTS.range;  // px travelled either side of the spawn
           this.platforms.push({
             x:      px,
             y:      py,
-            w:      72,
+            w,
             h:      14,
-            startX: Math.max(0, px - 96),
-            endX:   Math.min(this.level.widthPx - 72, px + 96),
-            speed:  1.4,
+            startX: Math.max(0, px - range),
+            endX:   Math.min(this.level.widthPx - w, px + range),
+            speed:  sp.props.speed ?? PLATFORM_DEFAULTS.speed,
             dir:    1,
           });
           break;
         }
-        // QBLOCK item spawns handled when blocks are hit
       }
     }
   }
@@ -189,83 +939,120 @@ export class Game {
   _spawnWeaponCrates() {
     for (const sp of this.level.spawns) {
       if (sp.type === SPAWN_CRATE) {
-        this.weaponCrates.push(new WeaponCrate(sp.col * TILE + 2, (sp.row - 1) * TILE));
+        const crate = new WeaponCrate(sp.col * TILE + 2, (sp.row - 1) * TILE);
+        crate.key = `${sp.col},${sp.row}`;  // stable across peers (ids are not)
+        this.weaponCrates.push(crate);
       }
     }
   }
 
   /** Main update tick – call each animation frame. */
   update() {
-    if (this._state !== STATE.PLAYING) return;
-
-    this._frame++;
+    if (this.replay) { this._updateReplay(); return; }
+    // A rollback peer simulates on through a win or game over – a late input may undo it
+    if (this._state !== STATE.PLAYING && this._state !== STATE.PAUSED && !this.rollback) {
+      this._updateRestart();
+      return;
+    }
 
     // Update input
     if (this._localInput) this._localInput.update();
+    if (this._localInput?.justPressed('Backslash')) this.showNetStats = !this.showNetStats;
+    this._bandwidth.update();
+
+    if (this._menu) this._updateMenu();
+    else if (this._localInput?.justPressed('Escape') || this._localInput?.justPressed('KeyP')) this._openMenu();
+    if (this._state === STATE.PAUSED) {
+      if (this.isHost && this.net && --this._pauseBeat <= 0) this._announcePause();
+      this._updateHUD();
+      return;
+    }
 
-    // Determine which player this client controls
-    const localP  = this.players[this.localIdx];
-    const remoteP = this.players[1 - this.localIdx];
-
-    const localSnap = this._localInput ? this._localInput.snapshot() : {};
+    if (this.rollback) {
+      // Pencil strokes need the live mouse; a finished one rides along with our input
+      const localP = this.players[this.localIdx];
+      if (this._localInput) {
+        this._aimAt(localP, this._localInput);
+        this._handlePencil(localP, this._localInput);
+      }
+      const localSnap = this._localInput ? this._localInput.snapshot() : {};
+      if (this._strokeOut) { localSnap.draw = this._strokeOut; this._strokeOut = null; }
+      this.rollback.advance(localSnap);
+      this._updateRestart();
+    } else if (this.spectating) {
+      this._simulate(null);
+    } else {
+      const localSnap = this._localInput ? this._localInput.snapshot() : {};
 
-    // Send local input to remote peer (every frame, only when connected)
-    if (this.net && this.peerConnected) {
-      this.net.send({ type: MSG.INPUT, frame: this._frame, keys: localSnap });
+      // Send local input to remote peer (every frame, only when connected)
+      if (this.net && this.peerConnected) {
+        const seq = ++this._inputSeq;
+        this.net.send({ type: MSG.INPUT, frame: this._frame + 1, seq, keys: localSnap,
+                        tileVer: this._tileVer, stateAck: this._stateAckFrame, ackSeed: this.seed });
+        // Client: remember it so we can replay it if the host corrects us
+        if (!this.isHost) {
+          this._pendingInputs.push({ seq, keys: localSnap });
+          if (this._pendingInputs.length > MAX_PENDING_INPUTS) this._pendingInputs.shift();
+        }
+      }
+      this._simulate(localSnap);
     }
 
-    // Update local player with local input
-    // If dead, track the other player's position so respawn lands on them
-    if (localP.dead && !remoteP.dead) {
-      localP._spawnX = remoteP.x;
-      localP._spawnY = remoteP.y;
+    // ── Chat timers ───────────────────────────────────────────
+    for (const entry of this._chatLog) entry.timer--;
+    this._chatLog = this._chatLog.filter(e => e.timer > 0);
+    for (const pid of Object.keys(this._speechBubble)) {
+      this._speechBubble[pid].timer--;
+      if (this._speechBubble[pid].timer <= 0) delete this._speechBubble[pid];
     }
-    localP.update(this._applyInputSnap(localP, localSnap), this.level);
+    for (const k of this._killFeed) k.timer--;
+    this._killFeed = this._killFeed.filter(k => k.timer > 0);
 
-    // ── Item system (local player) ──────────────────────────────
-    if (this._localInput) {
-      // Sync active slot (scroll / number keys)
-      localP.activeSlot = Math.min(
-        this._localInput.slot,
-        Math.max(0, localP.inventory.length - 1),
-      );
-      // Compute world-space mouse angle
-      const pcx = localP.x + localP.w / 2 - this.camera.x;
-      const pcy = localP.y + localP.h / 2 - this.camera.y;
-      this._localInput.mouseAngle = Math.atan2(
-        this._localInput.mouseY - pcy,
-        this._localInput.mouseX - pcx,
-      );
-      this._processLocalItems(localP, this._localInput);
-      // Pencil drawing
-      this._handlePencil(localP, this._localInput);
-    }
-    // Grapple hook update for local player
-    if (localP.grappleHook) {
-      localP.grappleHook.update(this.level);
-      localP.grappleHook.applyToPlayer(localP);
-      if (localP.grappleHook.dead) localP.grappleHook = null;
-    }
+    this.level.update(1);
+    this._updateCamera();
+
+    // Update HUD
+    this._updateHUD();
+  }
+
+  /**
+   * One fixed step of the world. In rollback mode every peer runs the
+   * authoritative path with both players' inputs given explicitly
+   * (`remoteSnap`); otherwise the host takes remote input from its queues and
+   * a client only moves its own player.
+   */
+  _simulate(localSnap, remoteSnap = null) {
+    this._frame++;
 
-    if (this.isHost) {
-      // Host: update remote player only when someone is connected
-      if (this.peerConnected) {
-        // If remote is dead, respawn them on top of local player
-        if (remoteP.dead && !localP.dead) {
-          remoteP._spawnX = localP.x;
-          remoteP._spawnY = localP.y;
+    // Determine which player this client controls (spectators have none; a
+    // replay steps the recording peer's own player first, as it did)
+    const localP = this.spectating && !this.replay ? null : this.players[this.localIdx];
+    if (this.playtest) this._playtestKeys = localSnap ?? {};
+    if (localP) this._updateLocalPlayer(localP, localSnap, remoteSnap);
+
+    if (this.isHost || this.rollback) {
+      // Host: update every connected remote player with their last input
+      for (const remoteP of this._activePlayers()) {
+        if (remoteP === localP) continue;
+        const remoteInput = remoteSnap ?? this._nextRemoteInput(remoteP.id);
+        this._record(remoteP.id, remoteInput);
+        // If remote is dead, respawn them on top of a teammate
+        const mate = remoteP.dead ? this._aliveTeammate(remoteP) : null;
+        if (mate) {
+          remoteP._spawnX = mate.x;
+          remoteP._spawnY = mate.y;
         }
-        remoteP.update(this._applyInputSnap(remoteP, this._remoteInput), this.level);
+        remoteP.update(this._applyInputSnap(remoteP, remoteInput), this.level);
         // Bug fix #1: sync remote player's active slot from their input
         // (host's copy of remoteP.activeSlot was stale, causing wrong weapon to fire)
-        if (this._remoteInput.slot !== undefined) {
+        if (remoteInput.slot !== undefined) {
           remoteP.activeSlot = Math.min(
-            this._remoteInput.slot,
+            remoteInput.slot,
             Math.max(0, remoteP.inventory.length - 1),
           );
         }
         // Item system for remote player (host is authoritative)
-        this._processRemoteItems(remoteP, this._remoteInput);
+        this._processRemoteItems(remoteP, remoteInput);
         if (remoteP.grappleHook) {
           remoteP.grappleHook.update(this.level);
           remoteP.grappleHook.applyToPlayer(remoteP);
@@ -273,12 +1060,6 @@ export class Game {
         }
       }
 
-      // Update moving platforms
-      for (const plat of this.platforms) {
-        plat.x += plat.speed * plat.dir;
-        if (plat.x >= plat.endX || plat.x <= plat.startX) plat.dir *= -1;
-      }
-
       // Update enemies
       for (const e of this.enemies) e.update(this.level, 1);
       this.enemies = this.enemies.filter(e => !e.remove);
@@ -293,8 +1074,8 @@ export class Game {
       // Drain events from players (block hits, hurts, etc.)
       this._processPlayerEvents();
 
-      // Periodic full-state sync to client
-      if (this.peerConnected) {
+      // Periodic full-state sync to clients and spectators (rollback peers and replays need none)
+      if (this.net && this._hasAudience && !this.rollback) {
         this._syncTimer++;
         if (this._syncTimer >= SYNC_RATE) {
           this._syncTimer = 0;
@@ -302,23 +1083,34 @@ export class Game {
         }
       }
 
-      // Win condition (P2 only counts if connected)
-      const p2AtGoal = this.peerConnected && remoteP.x / TILE > this.level.goalCol;
-      if (this.level.goalCol > 0 &&
-          (localP.x / TILE > this.level.goalCol || p2AtGoal)) {
+      // Win condition (any connected player reaching the goal; in versus, kills)
+      const pole = this._goalPole();
+      const atGoal = this._activePlayers().some(p => p.x / TILE > this.level.goalCol
+                                                  && p.y < pole.bottom && p.y + p.h > pole.top);
+      if (this.versus) {
+        this._checkMatchEnd();
+      } else if (this.level.goalCol > 0 && atGoal) {
         this._winTimer++;
         if (this._winTimer > 90) this._onLevelClear();
       }
 
     } else {
-      // Client: simulate enemies locally + run collisions for local player.
-      // Host state sync every SYNC_RATE frames corrects any drift.
+      // Client: enemies still tick locally (animation, death timers) but their
+      // positions – like power-ups and remote players – come from the
+      // interpolated host snapshots. Collisions then use what is on screen.
       for (const e of this.enemies) e.update(this.level, 1);
       this.enemies = this.enemies.filter(e => !e.remove);
+      this._applyInterpolation();
       this._handleCollisions();
       this._processPlayerEvents();
     }
 
+    // Common: moving platforms (client runs them too; state sync corrects drift)
+    for (const plat of this.platforms) {
+      plat.x += plat.speed * plat.dir;
+      if (plat.x >= plat.endX || plat.x <= plat.startX) plat.dir *= -1;
+    }
+
     // Common: update coins, particles, score pops
     for (const c of this.coins)    c.update(1);
     for (const p of this.particles) p.update(1);
@@ -334,24 +1126,90 @@ export class Game {
     this._checkCratePickups();
     this._updateDrawnObjects();
 
-    // ── Chat timers ───────────────────────────────────────────
-    for (const entry of this._chatLog) entry.timer--;
-    this._chatLog = this._chatLog.filter(e => e.timer > 0);
-    for (const pid of Object.keys(this._speechBubble)) {
-      this._speechBubble[pid].timer--;
-      if (this._speechBubble[pid].timer <= 0) delete this._speechBubble[pid];
+    if (this.timeTrial && localP) this.timeTrial.endFrame(localP);
+  }
+
+  /** The local player's step: movement from our input, items, pencil and grapple hook. */
+  _updateLocalPlayer(localP, localSnap, remoteSnap) {
+    // Update local player with local input
+    // If dead, track a teammate's position so respawn lands on them
+    const anchor = localP.dead ? this._aliveTeammate(localP) : null;
+    if (anchor) {
+      localP._spawnX = anchor.x;
+      localP._spawnY = anchor.y;
     }
+    const applied = this._applyInputSnap(localP, localSnap);
+    localP.update(applied, this.level);
+    if (this.timeTrial) this.timeTrial.step(applied, localP, this.level);
 
+    // ── Item system (local player) ──────────────────────────────
+    if (this.rollback || this.replay) {
+      // Everything comes from the input snapshot so a resimulation matches
+      this._record(localP.id, localSnap);
+      if (localSnap.slot !== undefined) {
+        localP.activeSlot = Math.min(localSnap.slot, Math.max(0, localP.inventory.length - 1));
+      }
+      this._processRemoteItems(localP, localSnap);
+    } else if (this._localInput) {
+      // Sync active slot (scroll / number keys)
+      localP.activeSlot = Math.min(
+        this._localInput.slot,
+        Math.max(0, localP.inventory.length - 1),
+      );
+      this._aimAt(localP, this._localInput);
+      // A replay fires where we aimed this frame, not where the snapshot last pointed
+      this._record(localP.id, { ...localSnap, mouseAngle: this._localInput.mouseAngle });
+      this._processLocalItems(localP, this._localInput);
+      // Pencil drawing
+      this._handlePencil(localP, this._localInput);
+    }
+    if (this.rollback || this.replay) {
+      for (const snap of [localSnap, remoteSnap]) {
+        const d = snap?.draw;
+        if (d) this.drawnObjects.push(new DrawObject(d.x, d.y, d.w, d.h, d.pts));
+      }
+    }
+    // Grapple hook update for local player
+    if (localP.grappleHook) {
+      localP.grappleHook.update(this.level);
+      localP.grappleHook.applyToPlayer(localP);
+      if (localP.grappleHook.dead) localP.grappleHook = null;
+    }
+  }
 
-    this.level.update(1);
-    // Only follow active players (don't let inactive P2 drag camera)
-    const activePlayers = this.peerConnected
-      ? this.players
-      : [this.players[this.localIdx]];
-    this.camera.follow(activePlayers);
+  /** Point the local input's aim (mouseAngle) from the player towards the cursor. */
+  _aimAt(player, input) {
+    const pcx = player.x + player.w / 2 - this.camera.x;
+    const pcy = player.y + player.h / 2 - this.camera.y;
+    input.mouseAngle = Math.atan2(input.mouseY - pcy, input.mouseX - pcx);
+  }
 
-    // Update HUD
-    this._updateHUD();
+  /**
+   * Host: the next input `pid` sent, consumed one per frame so every input is
+   * simulated exactly once and can be acknowledged by seq. When nothing new has
+   * arrived the last keys are held (minus one-shot clicks).
+   */
+  _nextRemoteInput(pid) {
+    if (this.replay) return this.replay.keysFor(pid, this._frame);
+    if (this.playtest) return this._applyInputSnap(this.players[pid], this._playtestKeys);
+    const queue = this._inputQueues[pid];
+    if (queue?.length) {
+      const { seq, keys } = queue.shift();
+      this._ackSeq[pid] = seq;
+      this._remoteInputs[pid] = keys;
+      return keys;
+    }
+    const last = this._remoteInputs[pid];
+    return last ? { ...last, mouseClicked: false } : {};
+  }
+
+  _queueRemoteInput(pid, msg) {
+    const queue = (this._inputQueues[pid] ??= []);
+    const newest = queue.length ? queue[queue.length - 1].seq : (this._ackSeq[pid] ?? 0);
+    // Late, duplicated or unnumbered packets are dropped; one without keys holds none
+    if (!Number.isInteger(msg.seq) || msg.seq <= newest) return;
+    queue.push({ seq: msg.seq, keys: msg.keys ?? {} });
+    while (queue.length > MAX_INPUT_QUEUE) queue.shift();
   }
 
   _applyInputSnap(player, snap) {
@@ -366,10 +1224,7 @@ export class Game {
   }
 
   _handleCollisions() {
-    const activePlayers = this.peerConnected
-      ? this.players
-      : [this.players[this.localIdx]];
-    for (const player of activePlayers) {
+    for (const player of this._activePlayers()) {
       if (player.dead) continue;
 
       // Player ↔ coins
@@ -534,7 +1389,7 @@ export class Game {
           if (overlaps(proj, enemy)) {
             proj._exploded = true;
             proj.dead = true;
-            this._triggerExplosion(ex, ey);
+            this._triggerExplosion(ex, ey, proj.ownerId);
           }
         }
       }
@@ -556,13 +1411,13 @@ export class Game {
       // Explosions ↔ players — friendly fire disabled
       // (removed: player.hurt() from explosions)
     }
+
+    // Player ↔ player – versus only, and decided where the world is authoritative
+    if (this.versus && (this.isHost || this.rollback)) this._handleVersusHits();
   }
 
   _processPlayerEvents() {
-    const activePlayers = this.peerConnected
-      ? this.players
-      : [this.players[this.localIdx]];
-    for (const player of activePlayers) {
+    for (const player of this._activePlayers()) {
       const evts = player.drainEvents();
       for (const evt of evts) {
         if (evt.type === 'BLOCK_HIT') {
@@ -579,27 +1434,52 @@ export class Game {
     this._state = STATE.GAMEOVER;
     this._showMsg('Game Over!');
     if (this.net) this.net.send({ type: MSG.EVENT, event: 'GAME_OVER' });
-    setTimeout(() => {
-      // Reset lives and restart from level 1
-      this._resetAndReload(0);
-      if (this.net) this.net.send({ type: MSG.RESTART, level: 0 });
-    }, 3000);
+    // Reset lives and restart from level 1
+    this._pendingRestart = { level: 0, frames: ROUND_OVER_FRAMES, newRun: true };
+  }
+
+  /**
+   * After a win, game over or versus match: count down, then load the next
+   * level for everyone. A rollback peer counts inside its simulation
+   * (_rollbackStep), and the host restarts both only once the frame the count
+   * ran out on is confirmed. A replay ends where its recording did.
+   */
+  _updateRestart() {
+    const restart = this._pendingRestart;
+    if (!restart) return;
+    if (!this.rollback) {
+      if (--restart.frames > 0 || restart.level === null) return;
+    } else {
+      const ranOut = this.rollback.frame - 1 + restart.frames;
+      if (restart.frames > 0 || !this.isHost) return;
+      if (this.peerConnected && !this.rollback.isConfirmed(ranOut)) return;
+    }
+    if (restart.newRun && this.timeTrial) this.timeTrial.newRun();
+    this._resetAndReload(restart.level);
+    this._sendRestart(restart.level);
   }
 
   _resetAndReload(levelIndex) {
-    // Preserve peerConnected state across reset
-    const wasPeerConnected = this.peerConnected;
+    // _activePids survives load(), so connected players stay in the session
     this.load(levelIndex);
-    this.peerConnected = wasPeerConnected;
-    // Give both players fresh lives
-    this.players[0].lives = 3;
-    this.players[1].lives = 3;
+    // Give every player fresh lives
+    for (const p of this.players) p.lives = 3;
+  }
+
+  /**
+   * Host: have every peer load `levelIndex` with our seed. A custom level
+   * goes out first to whoever lacks it, and the RESTART names its checksum.
+   */
+  _sendRestart(levelIndex) {
+    if (!this.net) return;
+    const custom = this.net.shareLevel(this.customLevel);
+    this.net.send({ type: MSG.RESTART, level: levelIndex, seed: this.seed, custom });
   }
   _onBlockHit(item, col, row, player) {
     if (item === 'BRICK') {
       if (player.big) {
         // Break brick
-        this.level.tiles[row][col] = 0;
+        this.level.setTile(col, row, 0);
         const parts = spawnBrickBreak(col, row);
         this.particles.push(...parts);
         if (this.net) this.net.send({ type: MSG.EVENT, event: 'BRICK_BREAK', col, row });
@@ -624,72 +1504,258 @@ export class Game {
     this.scorePops.push(new ScorePop(x, y, text));
   }
 
+  /**
+   * World y range of the goal pole: up to a screen tall, standing on the goal's
+   * row, so a tower's goal is only reached at its height.
+   */
+  _goalPole() {
+    const { goalRow, rows } = this.level;
+    if (goalRow < 0) return { top: 0, bottom: rows * TILE };
+    const bottom = (goalRow + 1) * TILE;
+    return { top: Math.max(0, bottom - CANVAS_H), bottom };
+  }
+
   _onLevelClear() {
     this._state = STATE.WIN;
-    this._showMsg('Level Clear! 🎉');
+    const split = this.timeTrial?.finishLevel(this._levelIndex);
+    if (split) this._showMsg((split.pb ? 'New best! 🏆 ' : 'Level Clear! ') + formatTime(split.frames));
+    else this._showMsg('Level Clear! 🎉');
     if (this.net) this.net.send({ type: MSG.EVENT, event: 'WIN' });
-    const next = (this._levelIndex + 1) % LEVEL_COUNT;
-    setTimeout(() => {
-      this._resetAndReload(next);
-      if (this.net) this.net.send({ type: MSG.RESTART, level: next });
-    }, 3000);
+    const next = this.customLevel ? this._levelIndex : (this._levelIndex + 1) % LEVEL_COUNT;
+    this._pendingRestart = { level: next, frames: ROUND_OVER_FRAMES, newRun: false };
+  }
+
+  /**
+   * Host: send a state sync on the next step instead of waiting out SYNC_RATE.
+   * Never right away – a second sync for a frame already sent would replace
+   * the delta baseline clients may have acknowledged under that frame.
+   */
+  _syncSoon() {
+    this._syncTimer = SYNC_RATE;
   }
 
+  /**
+   * Each client gets the state encoded against the newest one it has
+   * acknowledged (see codec.js) – typically only what moved since.
+   * Spectators never ack, but their channel is reliable and ordered, so
+   * whatever they were sent counts as received.
+   */
   _sendStateSync() {
-    const msg = {
+    const state = this._stateSyncMsg();
+    this._stateHistory.set(state.frame, state);
+    for (const f of this._stateHistory.keys()) {
+      if (f <= state.frame - STATE_HISTORY * SYNC_RATE) this._stateHistory.delete(f);
+    }
+
+    let json = 0;
+    for (const pid of [...this.net.pids, ...this.net.spectators.keys()]) {
+      if (pid === this.localIdx) continue;
+      if (this.net.peerCaps?.get(pid)?.has('binary-state') === false) {
+        this.net.sendTo(pid, state);
+      } else {
+        const base = this._stateHistory.get(this._stateAcks[pid]) ?? null;
+        const bin = encodeSnapshot(state, base, STATE_LAYOUT);
+        this.net.sendTo(pid, { type: MSG.STATE, bin });
+        json ||= JSON.stringify(state).length;
+        netStats.stateBytes += bin.length;
+        netStats.stateJsonBytes += json;
+      }
+      if (this.net.spectators.has(pid)) {
+        this._stateAcks[pid] = state.frame;
+        this._tileAcks[pid]  = this.level.version;
+      }
+    }
+  }
+
+  /**
+   * Host: a client's MSG.INPUT names the newest state it decoded. Inputs are
+   * unreliable, so an older ack arriving late never replaces a newer one –
+   * but acks from before a restart (another seed) count for nothing, and -1
+   * (the client lost its baseline) asks for a full state.
+   */
+  _onStateAck(pid, msg) {
+    if (!Number.isInteger(msg.stateAck) || msg.ackSeed !== this.seed) return;
+    this._stateAcks[pid] = msg.stateAck < 0 ? -1 : Math.max(this._stateAcks[pid] ?? -1, msg.stateAck);
+  }
+
+  /** Client: rebuild a full state sync from a binary packet, or null if it can't be used. */
+  _decodeStateSync(bin) {
+    let state;
+    try {
+      state = decodeSnapshot(bin, STATE_LAYOUT, (frame) => this._stateHistory.get(frame));
+    } catch (err) {
+      console.warn('Dropped malformed state sync:', err.message);
+      return null;
+    }
+    if (!state) {
+      // Baseline no longer held – ask for a full state again
+      this._stateAckFrame = -1;
+      return null;
+    }
+    // Only `bin` was checked on arrival: the decoded fields get the same checks as a JSON state
+    state.type = MSG.STATE;
+    const problem = validateMessage(state, 0, 'host');
+    if (problem) {
+      console.warn('Dropped malformed state sync:', problem);
+      return null;
+    }
+    if (state.seed === this.seed) {
+      this._stateHistory.set(state.frame, state);
+      for (const f of this._stateHistory.keys()) {
+        if (f <= state.frame - STATE_HISTORY * SYNC_RATE) this._stateHistory.delete(f);
+      }
+      this._stateAckFrame = Math.max(this._stateAckFrame, state.frame);
+    }
+    netStats.stateBytes += bin.byteLength;
+    netStats.stateJsonBytes += JSON.stringify(state).length;
+    return state;
+  }
+
+  _stateSyncMsg() {
+    return {
       type:     MSG.STATE,
       frame:    this._frame,
-      players:  this.players.map(p => p.serialize()),
+      seed:     this.seed,     // which level load this belongs to
+      active:   [...this._activePids],
+      acks:     { ...this._ackSeq },  // pid → last input seq reflected in `players`
+      players:  this._activePlayers().map(p => p.serialize()),
       enemies:  this.enemies.map(e => e.serialize()),
-      coins:    this.coins.filter(c => !c._floating).map(c => ({ id: c.id, dead: c.dead })),
-      powerUps: this.powerUps.map(pu => ({ id: pu.id, x: pu.x, y: pu.y, dead: pu.dead, type: pu.type })),
-      tiles:    this._changedTiles(),
+      coins:    this.coins.filter(c => c.key && !c.dead).map(c => c.key),  // level coins still up
+      platforms: this.platforms.map(p => [Math.round(p.x), p.dir]),
+      powerUps: this.powerUps.map(pu => ({ id: pu.id, x: pu.x, y: pu.y, vx: pu.vx, vy: pu.vy, dead: pu.dead, type: pu.type })),
+      drawn:    this.drawnObjects.map(o => o.serialize()),
+      tiles:    this._tileDelta(),
+      spectators: this.spectators,
     };
-    this.net.send(msg);
   }
 
-  _changedTiles() {
-    // Very simple: just send all QUSED tiles (after first hit, they stay spent)
-    // In production, delta-compress this.
-    return [];
+  /**
+   * Host → one client: everything needed to rebuild the world from scratch
+   * (a joiner, or a client coming back from a dropped connection), not just
+   * what the periodic state sync carries.
+   */
+  _sendSnapshot(pid) {
+    this.net.sendTo(pid, {
+      type:    MSG.SNAPSHOT,
+      level:   this._levelIndex,
+      seed:    this.seed,
+      state:   this._stateSyncMsg(),
+      tiles:   this.level.changedTiles(),
+      tileVer: this.level.version,
+      blocks:  [...this.level.blockItems.keys()],
+      crates:  this.weaponCrates.filter(c => !c.dead).map(c => c.key),
+      drawn:   this.drawnObjects.map(o => o.snapshot()),
+    });
+  }
+
+  _applySnapshot(msg) {
+    if (msg.level !== this._levelIndex || msg.seed !== this.seed) this.load(msg.level, msg.seed);
+    this.level.restoreTiles(msg.tiles, msg.blocks);
+    this._tileVer = msg.tileVer ?? 0;
+    const crates = new Set(msg.crates);
+    this.weaponCrates = this.weaponCrates.filter(c => crates.has(c.key));
+    this.drawnObjects = msg.drawn.map(d => DrawObject.fromSnapshot(d));
+    this.projectileList = [];
+    this._applyStateSync(msg.state);
+  }
+
+  /**
+   * Tile edits every client (and spectator) is still missing: everything after
+   * the oldest version any of them has acknowledged. Null when all are up to date.
+   */
+  _tileDelta() {
+    const to = this.level.version;
+    let from = to;
+    for (const pid of [...this._activePids, ...this.net.spectators.keys()]) {
+      if (pid !== this.localIdx) from = Math.min(from, this._tileAcks[pid] ?? 0);
+    }
+    return from < to ? { from, to, changes: this.level.changesSince(from) } : null;
   }
 
-  _handleNetMsg(msg) {
+  _handleNetMsg(msg, pid) {
     switch (msg.type) {
       case MSG.INPUT:
-        this._remoteInput = msg.keys;
+        if (this.rollback) {
+          if (Number.isInteger(msg.frame)) this.net.link(pid).arrived(msg.frame);
+          this.rollback.receive(msg);
+        } else if (this.isHost) {
+          if (Number.isInteger(msg.seq)) this.net.link(pid).arrived(msg.seq);
+          this._queueRemoteInput(pid, msg);
+          if (Number.isInteger(msg.tileVer)) this._tileAcks[pid] = Math.min(msg.tileVer, this.level.version);
+          this._onStateAck(pid, msg);
+        }
         break;
 
-      case MSG.STATE:
-        if (!this.isHost) this._applyStateSync(msg);
+      case MSG.STATE: {
+        if (this.isHost) break;
+        const state = msg.bin ? this._decodeStateSync(msg.bin) : msg;
+        if (Number.isInteger(state?.frame)) this.net.link(pid).arrived(state.frame, SYNC_RATE);
+        // Unreliable channel: a state may arrive late, twice, out of order,
+        // or after the RESTART that made it obsolete
+        if (state && state.seed === this.seed && state.frame > this._stateFrame) this._applyStateSync(state);
+        break;
+      }
+
+      case MSG.SNAPSHOT:
+        if (!this.isHost) this._applySnapshot(msg);
         break;
 
       case MSG.EVENT:
+        // A client only speaks for its own player
+        if (this.isHost && msg.pid !== undefined && msg.pid !== pid) break;
+        // Host forwards client-originated events to the other clients
+        if (this.isHost && RELAYED_EVENTS.has(msg.event)) this.net.relay(msg, pid);
         this._applyEvent(msg);
         break;
 
-      case MSG.RESTART:
-        this.load(msg.level ?? 0);
+      case MSG.RESTART: {
+        // A custom level's chunks came first on the same reliable channel
+        const custom = msg.custom ? this.net.levels.get(msg.custom) : null;
+        if (msg.custom && !custom) {
+          if (this.onQuit) this.onQuit("The host's level did not arrive intact.");
+          break;
+        }
+        this.useCustomLevel(custom);
+        this.load(msg.level ?? 0, msg.seed);
+        break;
+      }
+
+      case MSG.PAUSE:
+        // A client asks; the host's answer names who paused
+        if (this.isHost) this._setPaused(msg.paused, pid, msg.reason);
+        else this._setPaused(msg.paused, msg.pid ?? pid, msg.reason);
         break;
     }
   }
 
   _applyStateSync(msg) {
+    this._stateFrame = msg.frame;
+    if (msg.active) this._activePids = new Set(this.spectating ? msg.active : [...msg.active, this.localIdx]);
+    if (Number.isInteger(msg.spectators)) this.spectators = msg.spectators;
+    this._bufferSnapshot(msg);
+
+    // Tile edits since a version we already have; older packets are ignored
+    if (msg.tiles && msg.tiles.from <= this._tileVer && msg.tiles.to > this._tileVer) {
+      this.level.applyTileChanges(msg.tiles.changes);
+      this._tileVer = msg.tiles.to;
+    }
+
     // Apply player states
-    for (const ps of msg.players) {
+    for (const ps of msg.players ?? []) {
       const player = this.players[ps.id];
       if (player) {
-        // Don't override local player (except for authoritative corrections)
-        if (ps.id !== this.localIdx) {
-          player.applyState(ps);
+        const ack = msg.acks?.[ps.id];
+        if (ps.id === this.localIdx && ack !== undefined && !ps.dead && !player.dead) {
+          this._reconcileLocal(ps, ack);
         } else {
-          // Accept authoritative corrections for local player
+          // Remote: position is then driven by _applyInterpolation
           player.applyState(ps);
         }
       }
     }
 
-    // Apply enemy states (client just mirrors host)
+    // Apply enemy states (client mirrors host; positions are then
+    // overridden each frame by _applyInterpolation)
     if (msg.enemies) {
       for (const es of msg.enemies) {
         let enemy = this.enemies.find(e => e.id === es.id);
@@ -710,14 +1776,22 @@ export class Game {
       this.enemies = this.enemies.filter(e => hostIds.has(e.id));
     }
 
-    // Apply coin dead states
+    // Level coins the host no longer has were collected
     if (msg.coins) {
-      for (const cs of msg.coins) {
-        const coin = this.coins.find(c => c.id === cs.id);
-        if (coin && cs.dead) coin.dead = true;
+      const alive = new Set(msg.coins);
+      for (const coin of this.coins) {
+        if (coin.key && !alive.has(coin.key)) coin.dead = true;
       }
     }
 
+    // Moving platforms (same order on both sides – spawned from level data)
+    if (msg.platforms) {
+      msg.platforms.forEach(([x, dir], i) => {
+        const plat = this.platforms[i];
+        if (plat) { plat.x = x; plat.dir = dir; }
+      });
+    }
+
     // Apply power-up states
     if (msg.powerUps) {
       for (const pus of msg.powerUps) {
@@ -738,13 +1812,69 @@ export class Game {
       const hostIds = new Set(msg.powerUps.map(p => p.id));
       this.powerUps = this.powerUps.filter(p => hostIds.has(p.id) || p.dead);
     }
+
+    // Drawn objects are pushed around by everyone – the host's copy wins.
+    // Ones it doesn't list yet may be our own fresh strokes, so they stay.
+    if (msg.drawn) {
+      for (const ds of msg.drawn) {
+        const obj = this.drawnObjects.find(o => o.id === ds.id);
+        if (obj) obj.applyState(ds);
+      }
+    }
+  }
+
+  /**
+   * Client-side prediction: rewind the local player to the host's state as of
+   * input `ackSeq`, then re-simulate the inputs the host had not seen yet.
+   * Whatever difference remains from the predicted position is eased out.
+   */
+  _reconcileLocal(ps, ackSeq) {
+    const p = this.players[this.localIdx];
+    const prevX = p.x, prevY = p.y;
+    p.applyState(ps);
+    this._pendingInputs = this._pendingInputs.filter(i => i.seq > ackSeq);
+
+    const events = p._events;
+    p._replaying = true;
+    for (const { keys } of this._pendingInputs) p.update(this._applyInputSnap(p, keys), this.level);
+    p._replaying = false;
+    p._events = events;  // replayed frames already reported their events
+
+    p.smoothCorrection(prevX - p.x, prevY - p.y);
+  }
+
+  /** Client: queue a host state's remote entity positions for interpolation. */
+  _bufferSnapshot(msg) {
+    const ents = new Map();
+    for (const es of msg.enemies ?? [])  ents.set('e' + es.id, es);
+    for (const ds of msg.drawn ?? [])    ents.set('d' + ds.id, ds);
+    for (const pus of msg.powerUps ?? []) ents.set('u' + pus.id, pus);
+    for (const ps of msg.players ?? []) {
+      if (ps.id !== this.localIdx) ents.set('p' + ps.id, ps);
+    }
+    this._interp.push(msg.frame, ents, performance.now());
+  }
+
+  /** Client: place remote entities where the snapshot buffer says they were. */
+  _applyInterpolation() {
+    const t = this._interp.renderTime(performance.now());
+    const place = (ent, key) => {
+      const pos = this._interp.sample(key, t);
+      if (pos) { ent.x = pos.x; ent.y = pos.y; }
+    };
+    for (const e of this.enemies)   place(e, 'e' + e.id);
+    for (const pu of this.powerUps) place(pu, 'u' + pu.id);
+    for (const o of this.drawnObjects) place(o, 'd' + o.id);
+    for (const p of this._activePlayers()) {
+      if (p.id !== this.localIdx) place(p, 'p' + p.id);
+    }
   }
 
   _applyEvent(msg) {
     switch (msg.event) {
       case 'BRICK_BREAK': {
         const { col, row } = msg;
-        this.level.tiles[row][col] = 0;
+        this.level.setTile(col, row, 0);
         const parts = spawnBrickBreak(col, row);
         this.particles.push(...parts);
         break;
@@ -760,6 +1890,19 @@ export class Game {
       case 'HURT':
         // Visual only on client
         break;
+      case 'KILL':
+        // The kill count itself arrives with the next state sync
+        this._addKill(msg.pid, msg.victim, msg.how);
+        break;
+      case 'MATCH_OVER':
+        for (const [pid, kills, score] of msg.standings) {
+          const p = this.players[pid];
+          if (p) { p.kills = kills; p.score = score; }
+        }
+        this._state = STATE.RESULTS;
+        // Only counts down the screen – the host's RESTART starts the next match
+        this._pendingRestart = { level: null, frames: RESULTS_FRAMES, newRun: false };
+        break;
       case 'POWERUP': {
         // Immediately apply power-up to the correct player so sprite updates at once
         const player = this.players[msg.pid];
@@ -768,12 +1911,17 @@ export class Game {
       }
       case 'DRAW_OBJ': {
         const obj = new DrawObject(msg.x, msg.y, msg.w, msg.h, msg.pts);
+        if (Number.isInteger(msg.id)) obj.id = msg.id;
         this.drawnObjects.push(obj);
+        // Arrives between steps, so the next frame is the first to see it
+        if (this._recorder) {
+          this._recorder.stroke(this._frame + 1, { id: obj.id, x: msg.x, y: msg.y, w: msg.w, h: msg.h, pts: msg.pts });
+        }
         break;
       }
       case 'CRATE_PICKUP': {
         // Mark the crate dead on client; item is applied to player via state sync
-        const crate = this.weaponCrates.find(c => c.id === msg.cid);
+        const crate = this.weaponCrates.find(c => c.key === msg.key);
         if (crate) crate.dead = true;
         this.weaponCrates = this.weaponCrates.filter(c => !c.dead);
         // Also tentatively add item in case state sync hasn't landed yet
@@ -788,24 +1936,24 @@ export class Game {
       // Bug fix #2: host broadcasts its own projectile spawns so client can see them
       case 'PROJ_SPAWN': {
         // Don't duplicate local player's own projectiles (client already created them)
-        if (!this.isHost) {
+        if (!this.isHost && msg.pid !== this.localIdx) {
           switch (msg.projType) {
             case ITEM.MACHINE_GUN:
-              this.projectileList.push(new Bullet(msg.x, msg.y, msg.angle));
+              this.projectileList.push(new Bullet(msg.x, msg.y, msg.angle, msg.pid));
               break;
             case ITEM.ROCKET:
-              this.projectileList.push(new Rocket(msg.x, msg.y, msg.angle));
+              this.projectileList.push(new Rocket(msg.x, msg.y, msg.angle, msg.pid));
               break;
             case ITEM.GRENADE:
-              this.projectileList.push(new GrenadeProj(msg.x, msg.y, msg.vx, msg.vy));
+              this.projectileList.push(new GrenadeProj(msg.x, msg.y, msg.vx, msg.vy, msg.pid));
               break;
             case ITEM.SWORD: {
-              const sw = new SwordSwing(msg.x, msg.y, msg.angle);
+              const sw = new SwordSwing(msg.x, msg.y, msg.angle, msg.pid);
               this.projectileList.push(sw);
               break;
             }
             case ITEM.GRAPPLE: {
-              const p = this.players[msg.pid ?? 0];
+              const p = this.players[msg.pid];
               if (p) {
                 p.grappleHook = new GrappleHook(msg.x, msg.y, msg.angle);
               }
@@ -824,20 +1972,20 @@ export class Game {
     // Add locally first
     this._receiveChat(this.localIdx, text);
     // Broadcast to peer
-    if (this.net && this.peerConnected) {
+    if (this.net && this._hasAudience) {
       this.net.send({ type: MSG.EVENT, event: 'CHAT', pid: this.localIdx, text });
     }
   }
 
   _receiveChat(pid, text) {
-    const names = ['Mario', 'Luigi'];
-    this._chatLog.push({ pid, name: names[pid] ?? 'P' + (pid + 1), text, timer: 420 }); // 7 sec
+    const name = this.playerName(pid);
+    this._chatLog.push({ pid, name, text, timer: 420 }); // 7 sec
     if (this._chatLog.length > 8) this._chatLog.shift();
     this._speechBubble[pid] = { text, timer: 240 }; // 4 sec above head
   }
 
   _drawSpeechBubbles(ctx, cam) {
-    for (const player of this.players) {
+    for (const player of this._activePlayers()) {
       const bubble = this._speechBubble[player.id];
       if (!bubble) continue;
       const alpha = Math.min(1, bubble.timer / 30);  // fade out last 30 frames
@@ -910,8 +2058,9 @@ export class Game {
     const inputOpen = this._localInput?.chatMode;
     const lines = this._chatLog.map(e => ({ label: e.name + ': ' + e.text, pid: e.pid }));
 
-    // Always show a small Y-hint when idle and no log
+    // Always show a small Y-hint when idle and no log (spectators can't chat)
     if (!inputOpen && lines.length === 0) {
+      if (this.spectating) return;
       ctx.save();
       ctx.font = '10px monospace';
       ctx.fillStyle = 'rgba(255,255,255,0.55)';
@@ -935,11 +2084,10 @@ export class Game {
 
     ctx.font = FONT;
     ctx.textAlign = 'left';
-    const colors = ['#60AAFF', '#66EE88'];
 
     for (let i = 0; i < lines.length; i++) {
       const { label, pid } = lines[i];
-      ctx.fillStyle = colors[pid] ?? '#eee';
+      ctx.fillStyle = PLAYER_PALETTES[pid]?.chat ?? '#eee';
       ctx.fillText(label, CHAT_X + PAD, CHAT_Y + PAD + (i + 1) * LINE_H - 4);
     }
 
@@ -984,12 +2132,11 @@ export class Game {
     const angle = remoteInput.mouseAngle ?? 0;
     if (slot.type === ITEM.MACHINE_GUN) {
       if (remoteInput.mouseDown && player._gunTimer <= 0) {
-        // _broadcastOk=false: client already created this locally via _processLocalItems
-        this._fireItem(player, slot, angle, false);
+        this._fireItem(player, slot, angle);
         player._gunTimer = 4;
       }
     } else if (slot.type !== ITEM.PENCIL) {
-      if (remoteInput.mouseClicked) this._fireItem(player, slot, angle, false);
+      if (remoteInput.mouseClicked) this._fireItem(player, slot, angle);
     }
   }
 
@@ -998,44 +2145,43 @@ export class Game {
     if (player._swordCooldown > 0) player._swordCooldown--;
   }
 
-  _fireItem(player, slot, angle, _broadcastOk = true) {
+  _fireItem(player, slot, angle) {
     const cx = player.x + player.w / 2;
     const cy = player.y + player.h / 2;
-    // Bug fix #2: broadcast this event to the peer so they see the visual.
-    // Only the HOST broadcasts (for its own weapons only — remote player's weapons
-    // are already created locally on the client via _processLocalItems).
-    const shouldBroadcast = _broadcastOk && this.isHost && this.peerConnected && this.net
-                            && player.id === this.localIdx;
+    // Bug fix #2: broadcast this event to the peers so they see the visual.
+    // Only the HOST broadcasts; every spawn carries the owner's pid so the
+    // owning client (which already created it via _processLocalItems) skips it.
+    const shouldBroadcast = this.isHost && this._hasAudience && this.net;
 
     switch (slot.type) {
       case ITEM.MACHINE_GUN: {
-        const b = new Bullet(cx, cy, angle);
+        const b = new Bullet(cx, cy, angle, player.id);
         this.projectileList.push(b);
         slot.consume();
         if (slot.ammo <= 0) player.inventory.splice(player.activeSlot, 1);
         if (shouldBroadcast) this.net.send({ type: MSG.EVENT, event: 'PROJ_SPAWN',
-          projType: ITEM.MACHINE_GUN, x: cx, y: cy, angle });
+          projType: ITEM.MACHINE_GUN, x: cx, y: cy, angle, pid: player.id });
         break;
       }
       case ITEM.ROCKET: {
-        const r = new Rocket(cx, cy, angle);
+        const r = new Rocket(cx, cy, angle, player.id);
         this.projectileList.push(r);
         slot.consume();
         if (slot.ammo <= 0) player.inventory.splice(player.activeSlot, 1);
         if (shouldBroadcast) this.net.send({ type: MSG.EVENT, event: 'PROJ_SPAWN',
-          projType: ITEM.ROCKET, x: cx, y: cy, angle });
+          projType: ITEM.ROCKET, x: cx, y: cy, angle, pid: player.id });
         break;
       }
       case ITEM.GRENADE: {
         const speed = 8;
         const vx = Math.cos(angle) * speed;
         const vy = Math.sin(angle) * speed;
-        const g = new GrenadeProj(cx, cy, vx, vy);
+        const g = new GrenadeProj(cx, cy, vx, vy, player.id);
         this.projectileList.push(g);
         slot.consume();
         if (slot.ammo <= 0) player.inventory.splice(player.activeSlot, 1);
         if (shouldBroadcast) this.net.send({ type: MSG.EVENT, event: 'PROJ_SPAWN',
-          projType: ITEM.GRENADE, x: cx, y: cy, vx, vy });
+          projType: ITEM.GRENADE, x: cx, y: cy, vx, vy, pid: player.id });
         break;
       }
       case ITEM.GRAPPLE: {
@@ -1054,18 +2200,18 @@ export class Game {
       }
       case ITEM.SWORD: {
         if (player._swordCooldown > 0) break;
-        const swing = new SwordSwing(cx, cy, angle);
+        const swing = new SwordSwing(cx, cy, angle, player.id);
         this.projectileList.push(swing);
         player._swordCooldown = 28;
         if (shouldBroadcast) this.net.send({ type: MSG.EVENT, event: 'PROJ_SPAWN',
-          projType: ITEM.SWORD, x: cx, y: cy, angle });
+          projType: ITEM.SWORD, x: cx, y: cy, angle, pid: player.id });
         break;
       }
     }
   }
 
-  _triggerExplosion(x, y) {
-    const expl = new Explosion(x, y);
+  _triggerExplosion(x, y, ownerId) {
+    const expl = new Explosion(x, y, undefined, ownerId);
     this.explosions.push(expl);
   }
 
@@ -1093,7 +2239,7 @@ export class Game {
         const last = ps.pts[ps.pts.length - 1];
         const dx = worldMX - last[0];
         const dy = worldMY - last[1];
-        if (dx * dx + dy * dy >= 16) {
+        if (dx * dx + dy * dy >= 16 && ps.pts.length < MAX_STROKE_PTS) {
           ps.pts.push([worldMX, worldMY]);
           ps.minX = Math.min(ps.minX, worldMX);
           ps.maxX = Math.max(ps.maxX, worldMX);
@@ -1112,13 +2258,23 @@ export class Game {
       const w = Math.max(ps.maxX - ps.minX, 4);
       const h = Math.max(ps.maxY - ps.minY, 4);
       const relPts = ps.pts.map(([x, y]) => [x - ps.minX, y - ps.minY]);
+      if (this.rollback) {
+        // Becomes part of our next input so both peers add it on the same frame
+        this._strokeOut = { x: ps.minX, y: ps.minY, w, h, pts: relPts };
+        this._pencilState.drawing = false;
+        this._pencilState.pts = [];
+        return;
+      }
       const obj = new DrawObject(ps.minX, ps.minY, w, h, relPts);
+      // Same id on every peer so state syncs can find it
+      obj.id = this.localIdx * DRAWN_ID_STRIDE + (this._drawnSeq++ % DRAWN_ID_STRIDE);
       this.drawnObjects.push(obj);
+      if (this._recorder) this._recorder.stroke(this._frame, { id: obj.id, x: ps.minX, y: ps.minY, w, h, pts: relPts });
       // Broadcast to peer
-      if (this.net && this.peerConnected) {
+      if (this.net && this._hasAudience) {
         this.net.send({
           type: MSG.EVENT, event: 'DRAW_OBJ',
-          x: ps.minX, y: ps.minY, w, h, pts: relPts,
+          id: obj.id, x: ps.minX, y: ps.minY, w, h, pts: relPts,
         });
       }
     }
@@ -1132,7 +2288,7 @@ export class Game {
       // Rockets and grenades that exploded → spawn explosion
       if ((p instanceof Rocket || p instanceof GrenadeProj) && p._exploded && !p._blastTriggered) {
         p._blastTriggered = true;
-        this._triggerExplosion(p.x + (p.w ?? 0) / 2, p.y + (p.h ?? 0) / 2);
+        this._triggerExplosion(p.x + (p.w ?? 0) / 2, p.y + (p.h ?? 0) / 2, p.ownerId);
       }
     }
     this.projectileList = this.projectileList.filter(p => !p.dead);
@@ -1143,21 +2299,20 @@ export class Game {
 
   _checkCratePickups() {
     // Only the host is authoritative for drops – client just marks dead via event
-    const activePlayers = this.peerConnected ? this.players : [this.players[this.localIdx]];
-    for (const player of activePlayers) {
+    for (const player of this._activePlayers()) {
       if (player.dead) continue;
       for (const crate of this.weaponCrates) {
         if (crate.dead) continue;
         if (overlaps(player, crate)) {
           crate.dead = true;
-          if (this.isHost) {
-            const item = CRATE_DROPS[Math.floor(Math.random() * CRATE_DROPS.length)];
+          if (this.isHost || this.rollback) {
+            const item = rng.pick(CRATE_DROPS);
             player.addItem(item);
             this._addScorePop(crate.x, crate.y, ITEM_ICON[item] ?? '📦');
-            if (this.net && this.peerConnected) {
+            if (this.net && this._hasAudience) {
               this.net.send({
                 type: MSG.EVENT, event: 'CRATE_PICKUP',
-                cid: crate.id, pid: player.id, item,
+                key: crate.key, pid: player.id, item,
               });
             }
           }
@@ -1169,7 +2324,7 @@ export class Game {
 
   _updateDrawnObjects() {
     for (const obj of this.drawnObjects) obj.update(this.level);
-    const activePlayers = this.peerConnected ? this.players : [this.players[this.localIdx]];
+    const activePlayers = this._activePlayers();
     for (const obj of this.drawnObjects) {
       for (const player of activePlayers) {
         resolveEntityVsObj(player, obj);
@@ -1242,6 +2397,370 @@ export class Game {
     ctx.restore();
   }
 
+  /** Spectator: who the camera is on and how to change it, in place of the hotbar. */
+  _drawSpectatorBar(ctx) {
+    const target = this.spectateTarget;
+    const label = target === FREE_CAM ? 'Free camera'
+      : target === null ? 'Everyone'
+      : this.playerName(target);
+    const text = '👁 Spectating: ' + label + '   [C] switch camera   arrows pan';
+
+    ctx.save();
+    ctx.font = 'bold 12px monospace';
+    const w = ctx.measureText(text).width + 24;
+    ctx.fillStyle = 'rgba(0,0,0,0.60)';
+    ctx.fillRect((CANVAS_W - w) / 2, CANVAS_H - 36, w, 26);
+    ctx.fillStyle = '#ffffff';
+    ctx.textAlign = 'center';
+    ctx.fillText(text, CANVAS_W / 2, CANVAS_H - 18);
+    ctx.restore();
+  }
+
+  /**
+   * Versus (top centre): match clock and frag limit, the kill feed under it,
+   * and our respawn countdown while we are down.
+   */
+  _drawVersusBar(ctx) {
+    const secs = Math.ceil(this._matchFramesLeft() / 60);
+    const clock = Math.floor(secs / 60) + ':' + String(secs % 60).padStart(2, '0');
+    const text = '⏱ ' + clock + '   ⚔ first to ' + FRAG_LIMIT;
+
+    ctx.save();
+    ctx.font = 'bold 13px monospace';
+    ctx.textAlign = 'center';
+    const w = ctx.measureText(text).width + 24;
+    ctx.fillStyle = 'rgba(0,0,0,0.60)';
+    ctx.fillRect((CANVAS_W - w) / 2, 8, w, 24);
+    ctx.fillStyle = secs <= 10 ? '#FF6B6B' : '#ffffff';
+    ctx.fillText(text, CANVAS_W / 2, 25);
+
+    ctx.font = '11px monospace';
+    this._killFeed.forEach((k, i) => {
+      const line = this.playerName(k.killer) + ' ' + k.how + ' ' + this.playerName(k.victim);
+      ctx.globalAlpha = Math.min(1, k.timer / 30);
+      ctx.fillStyle = PLAYER_PALETTES[k.killer]?.chat ?? '#eee';
+      ctx.fillText(line, CANVAS_W / 2, 48 + i * 15);
+    });
+    ctx.globalAlpha = 1;
+
+    const me = this.spectating ? null : this.players[this.localIdx];
+    if (me?.dead) {
+      ctx.font = 'bold 22px monospace';
+      ctx.fillStyle = '#E8C84A';
+      ctx.fillText('Respawning in ' + Math.ceil(me.respawnIn / 60) + '…', CANVAS_W / 2, CANVAS_H / 2);
+    }
+    ctx.restore();
+  }
+
+  /** Versus: the winner and everyone's kills and score, until the next match starts. */
+  _drawResults(ctx) {
+    const standings = this._standings();
+    const [first, second] = standings;
+    const tie = !first || (second && second.kills === first.kills && second.score === first.score);
+    const title = tie ? 'Draw!' : '🏆 ' + this.playerName(first.id) + ' wins!';
+    const ROW_H = 26;
+    const boxW = 420, boxH = 120 + standings.length * ROW_H;
+    const x = (CANVAS_W - boxW) / 2, y = (CANVAS_H - boxH) / 2;
+
+    ctx.save();
+    ctx.fillStyle = 'rgba(20,8,40,0.92)';
+    ctx.fillRect(x, y, boxW, boxH);
+    ctx.strokeStyle = '#E8C84A';
+    ctx.lineWidth = 3;
+    ctx.strokeRect(x, y, boxW, boxH);
+
+    ctx.textAlign = 'center';
+    ctx.font = 'bold 26px sans-serif';
+    ctx.fillStyle = tie ? '#ffffff' : PLAYER_PALETTES[first.id].color;
+    ctx.fillText(title, CANVAS_W / 2, y + 42);
+
+    ctx.font = '11px monospace';
+    ctx.fillStyle = '#a890c8';
+    ctx.textAlign = 'left';
+    ctx.fillText('PLAYER', x + 50, y + 70);
+    ctx.textAlign = 'right';
+    ctx.fillText('KILLS', x + 300, y + 70);
+    ctx.fillText('SCORE', x + boxW - 24, y + 70);
+
+    ctx.font = 'bold 15px monospace';
+    standings.forEach((p, i) => {
+      const ry = y + 96 + i * ROW_H;
+      ctx.fillStyle = PLAYER_PALETTES[p.id].color;
+      ctx.textAlign = 'left';
+      ctx.fillText((i + 1) + '.', x + 24, ry);
+      ctx.fillText(this.playerName(p.id), x + 50, ry);
+      ctx.textAlign = 'right';
+      ctx.fillText(String(p.kills), x + 300, ry);
+      ctx.fillText(String(p.score), x + boxW - 24, ry);
+    });
+
+    const left = Math.max(0, Math.ceil((this._pendingRestart?.frames ?? 0) / 60));
+    ctx.font = '12px monospace';
+    ctx.fillStyle = '#cccccc';
+    ctx.textAlign = 'center';
+    ctx.fillText('Next match in ' + left + '…', CANVAS_W / 2, y + boxH - 14);
+    ctx.restore();
+  }
+
+  /** Diagnostics overlay (top left): bandwidth each way, then RTT, jitter and loss per peer. */
+  _drawNetOverlay(ctx) {
+    const kbs = (bytes) => (bytes / 1024).toFixed(1) + ' KB/s';
+    const rows = [
+      ['NETWORK   [\\] hide', '#E8C84A'],
+      ['↑ ' + kbs(this._bandwidth.up) + '   ↓ ' + kbs(this._bandwidth.down), '#ffffff'],
+    ];
+    if (netSimActive()) {
+      rows.push([`SIMULATED  lag ${netSim.latency}±${netSim.jitter} ms  loss ${netSim.loss}%  `
+               + `dup ${netSim.dup}%  reorder ${netSim.reorder}%`, '#FF9C40']);
+    }
+    for (const [pid, link] of this.net.links) {
+      const name = this.playerName(pid).slice(0, 10).padEnd(10);
+      const rtt  = link.rtt === null ? '—' : Math.round(link.rtt) + ' ms';
+      rows.push([
+        `${name} RTT ${rtt}  jitter ${Math.round(link.jitter)} ms  loss ${(link.loss * 100).toFixed(1)}%`,
+        QUALITY_COLOR[linkQuality(link)] ?? '#cccccc',
+      ]);
+    }
+
+    const LINE_H = 15, PAD = 7, X = 8, Y = 64;
+    ctx.save();
+    ctx.font = '11px monospace';
+    const w = Math.max(...rows.map(([text]) => ctx.measureText(text).width)) + PAD * 2;
+    ctx.fillStyle = 'rgba(0,0,0,0.68)';
+    ctx.fillRect(X, Y, w, rows.length * LINE_H + PAD * 2);
+    ctx.textAlign = 'left';
+    rows.forEach(([text, color], i) => {
+      ctx.fillStyle = color;
+      ctx.fillText(text, X + PAD, Y + PAD + (i + 1) * LINE_H - 4);
+    });
+    ctx.restore();
+  }
+
+  // ── PAUSE ────────────────────────────────────────────────
+
+  get paused() {
+    return this._state === STATE.PAUSED;
+  }
+
+  /**
+   * Ask for the whole session to pause or resume. The host applies it and
+   * tells everyone; a client waits for the host's answer. `reason` is 'menu'
+   * or 'hidden' (tab in the background).
+   */
+  requestPause(paused, reason = 'menu') {
+    if (this.spectating || this.paused === paused) return;
+    if (this._state !== STATE.PLAYING && this._state !== STATE.PAUSED) return;
+    if (this.isHost) this._setPaused(paused, this.localIdx, reason);
+    else if (this.net) this.net.send({ type: MSG.PAUSE, paused, reason });
+  }
+
+  _setPaused(paused, pid, reason = 'menu') {
+    if (this._state !== STATE.PLAYING && this._state !== STATE.PAUSED) return;
+    const changed = this.paused !== paused;
+    this._state    = paused ? STATE.PAUSED : STATE.PLAYING;
+    this._pausedBy = paused ? { pid, reason } : null;
+    if (changed && !this.spectating) this._menu = paused ? { page: 'main', index: 0 } : null;
+    if (this.isHost && this.net) this._announcePause();
+  }
+
+  /** Host: tell everyone whether (and by whom) the session is paused. */
+  _announcePause() {
+    const by = this._pausedBy;
+    this.net.send({ type: MSG.PAUSE, paused: this.paused, pid: by?.pid, reason: by?.reason });
+    this._pauseBeat = PAUSE_BEAT;
+  }
+
+  /** [Esc]/[P]: players pause the session; a spectator only opens its own menu. */
+  _openMenu() {
+    if (this.spectating) this._menu = { page: 'main', index: 0 };
+    else this.requestPause(true);
+  }
+
+  /** Rows of the open menu page: [label, action, enabled]. */
+  _menuRows() {
+    if (this._menu.page === 'settings') {
+      const onOff = (v) => v ? 'On' : 'Off';
+      return [
+        ['Network overlay: ' + onOff(this.showNetStats), 'overlay', true],
+        ['Pause when tab is hidden: ' + onOff(this.autoPause), 'autoPause', true],
+        ['Back', 'back', true],
+      ];
+    }
+    return [
+      ['Resume', 'resume', true],
+      [this.isHost ? 'Restart level' : 'Restart level (host only)', 'restart', this.isHost && !this.spectating],
+      ['Settings', 'settings', true],
+      ['Save replay', 'saveReplay', !!(this._recorder ?? this.replay)],
+      [this.playtest ? 'Back to editor' : 'Quit to lobby', 'quit', true],
+    ];
+  }
+
+  /** Keyboard (↑/↓, Enter, Esc) and mouse control of the open menu. */
+  _updateMenu() {
+    const input = this._localInput;
+    if (!input) return;
+    const rows = this._menuRows();
+    const menu = this._menu;
+    const pressed = (...codes) => codes.some(c => input.justPressed(c));
+
+    if (pressed('ArrowUp', 'KeyW'))   menu.index = (menu.index + rows.length - 1) % rows.length;
+    if (pressed('ArrowDown', 'KeyS')) menu.index = (menu.index + 1) % rows.length;
+    const hover = this._menuItems.findIndex(r =>
+      input.mouseX >= r.x && input.mouseX <= r.x + r.w && input.mouseY >= r.y && input.mouseY <= r.y + r.h);
+    // The pointer only takes over the selection when it moves
+    const moved = input.mouseX !== menu.mouseX || input.mouseY !== menu.mouseY;
+    menu.mouseX = input.mouseX;
+    menu.mouseY = input.mouseY;
+    if (moved && hover >= 0 && hover < rows.length) menu.index = hover;
+
+    if (pressed('Escape')) {
+      this._menuAction(menu.page === 'settings' ? 'back' : 'resume');
+    } else if (pressed('Enter', 'Space') || (input.mouseClicked && hover >= 0 && hover < rows.length)) {
+      const [, action, enabled] = rows[menu.index] ?? [];
+      if (enabled) this._menuAction(action);
+    }
+  }
+
+  _menuAction(action) {
+    switch (action) {
+      case 'resume':
+        if (this.spectating || !this.paused) this._menu = null;
+        else this.requestPause(false);
+        break;
+      case 'restart':
+        this.load(this._levelIndex);
+        this._sendRestart(this._levelIndex);
+        break;
+      case 'settings':
+        this._menu = { page: 'settings', index: 0 };
+        break;
+      case 'back':
+        this._menu = { page: 'main', index: 2 };
+        break;
+      case 'overlay':
+        this.showNetStats = !this.showNetStats;
+        break;
+      case 'autoPause':
+        this.autoPause = !this.autoPause;
+        break;
+      case 'saveReplay':
+        downloadReplay((this._recorder ?? this.replay).data);
+        break;
+      case 'quit':
+        if (this.onQuit) this.onQuit();
+        break;
+    }
+  }
+
+  /** Dimmed world with who paused it, and the menu when it is open. */
+  _drawPauseMenu(ctx) {
+    const by = this._pausedBy;
+    ctx.save();
+    ctx.fillStyle = 'rgba(0,0,0,0.55)';
+    ctx.fillRect(0, 0, CANVAS_W, CANVAS_H);
+    ctx.textAlign = 'center';
+
+    ctx.fillStyle = '#E8C84A';
+    ctx.font = 'bold 32px monospace';
+    ctx.fillText(this.paused ? '⏸ PAUSED' : 'MENU', CANVAS_W / 2, 110);
+    if (by) {
+      const who = by.pid === this.localIdx && !this.spectating ? 'you' : this.playerName(by.pid);
+      ctx.fillStyle = '#cccccc';
+      ctx.font = '13px monospace';
+      ctx.fillText(by.reason === 'hidden' ? `${who === 'you' ? 'Your' : who + '’s'} game went to the background`
+                                          : 'Paused by ' + who, CANVAS_W / 2, 136);
+    }
+
+    this._menuItems = [];
+    if (this._menu) {
+      const ROW_H = 36, W = 300, x = (CANVAS_W - W) / 2;
+      ctx.font = 'bold 16px monospace';
+      this._menuRows().forEach(([label, , enabled], i) => {
+        const y = 170 + i * (ROW_H + 8);
+        const selected = i === this._menu.index;
+        ctx.fillStyle = selected ? 'rgba(232,200,74,0.25)' : 'rgba(255,255,255,0.08)';
+        ctx.fillRect(x, y, W, ROW_H);
+        if (selected) {
+          ctx.strokeStyle = '#E8C84A';
+          ctx.lineWidth = 2;
+          ctx.strokeRect(x + 1, y + 1, W - 2, ROW_H - 2);
+        }
+        ctx.fillStyle = enabled ? '#ffffff' : '#777777';
+        ctx.fillText(label, CANVAS_W / 2, y + ROW_H / 2 + 6);
+        this._menuItems.push({ x, y, w: W, h: ROW_H });
+      });
+      ctx.fillStyle = '#aaaaaa';
+      ctx.font = '11px monospace';
+      ctx.fillText('↑/↓ choose   Enter select   Esc back', CANVAS_W / 2, CANVAS_H - 40);
+    }
+    ctx.restore();
+  }
+
+  // ── CAMERA ───────────────────────────────────────────────
+
+  /**
+   * Players keep every active player in view – or at least themselves, when
+   * the group is spread further apart vertically than the screen is tall. A
+   * spectator watches everyone, follows one player ([C] cycles) or pans
+   * freely with the arrow keys.
+   */
+  _updateCamera() {
+    if (!this.spectating) {
+      // Only follow active players (don't let empty slots drag camera)
+      this.camera.follow(this._activePlayers(), this.players[this.localIdx]);
+      return;
+    }
+    const input = this._localInput;
+    if (input?.justPressed('KeyC')) this._cycleSpectateTarget();
+    const up   = input && (input.held('ArrowUp') || input.held('KeyW'));
+    const down = input && (input.held('ArrowDown') || input.held('KeyS'));
+    if (input && (input.left || input.right || up || down)) {
+      this.spectateTarget = FREE_CAM;
+      const speed = SPECTATOR_PAN * (input.run ? 2 : 1);
+      this.camera.pan((input.right ? speed : 0) - (input.left ? speed : 0), (down ? speed : 0) - (up ? speed : 0));
+    }
+    if (this.spectateTarget === FREE_CAM) return;
+
+    // A followed player who left hands the camera back to the whole group
+    if (!this._activePids.has(this.spectateTarget)) this.spectateTarget = null;
+    const target = this.players[this.spectateTarget];
+    this.camera.follow(target ? [target] : this._activePlayers(), target);
+  }
+
+  /** Spectator camera: everyone → P1 → P2 → … → free camera → everyone. */
+  _cycleSpectateTarget() {
+    const order = [null, ...[...this._activePids].sort((a, b) => a - b), FREE_CAM];
+    const i = order.indexOf(this.spectateTarget);
+    this.spectateTarget = order[(i + 1) % order.length];
+  }
+
+  /**
+   * An arrow on the top or bottom edge for each player above or below the
+   * view, in their colour, with their name and how many tiles away they are.
+   */
+  _drawOffscreenMarkers(ctx, cam) {
+    ctx.save();
+    ctx.font = 'bold 10px monospace';
+    ctx.textAlign = 'center';
+    for (const p of this._activePlayers()) {
+      const above = p.y + p.h < cam.y;
+      if (p.dead || (!above && p.y < cam.y + cam.h)) continue;
+      const x    = Math.max(40, Math.min(cam.w - 40, p.x + p.w / 2 - cam.x));
+      const tip  = above ? 4 : cam.h - 4;
+      const dir  = above ? 1 : -1;  // from the tip into the screen
+      const dist = Math.round((above ? cam.y - p.y - p.h : p.y - cam.y - cam.h) / TILE);
+      ctx.fillStyle = PLAYER_PALETTES[p.id]?.color ?? '#ffffff';
+      ctx.beginPath();
+      ctx.moveTo(x, tip);
+      ctx.lineTo(x - 8, tip + dir * 10);
+      ctx.lineTo(x + 8, tip + dir * 10);
+      ctx.closePath();
+      ctx.fill();
+      ctx.fillText(this.playerName(p.id) + ' ' + dist + (above ? '↑' : '↓'), x, tip + dir * (above ? 22 : 14));
+    }
+    ctx.restore();
+  }
+
   // ── RENDERING ────────────────────────────────────────────
 
   render() {
@@ -1295,14 +2814,14 @@ export class Game {
     // Weapon crates
     for (const c of this.weaponCrates) c.draw(ctx, cam);
 
-    // Waiting-for-P2 overlay (host solo mode)
+    // Waiting-for-players overlay (host solo mode)
     if (this.isHost && !this.peerConnected && this._peerCode) {
       ctx.fillStyle = 'rgba(0,0,0,0.55)';
       ctx.fillRect(0, 0, w, 56);
       ctx.fillStyle = '#E8C84A';
       ctx.font = 'bold 14px monospace';
       ctx.textAlign = 'left';
-      ctx.fillText('Waiting for P2 — Share code:', 12, 22);
+      ctx.fillText('Waiting for players — Share code:', 12, 22);
       ctx.fillStyle = '#ffffff';
       ctx.font = 'bold 18px monospace';
       ctx.fillText(this._peerCode, 12, 46);
@@ -1317,12 +2836,17 @@ export class Game {
     // Enemies
     for (const e of this.enemies) e.draw(ctx, cam);
 
-    // Players (only draw P2 if peer is connected)
-    this.players[this.localIdx].draw(ctx, cam);
-    if (this.peerConnected) this.players[1 - this.localIdx].draw(ctx, cam);
+    // Time-trial ghost, behind everyone
+    if (this.timeTrial?.ghost) this.timeTrial.ghost.draw(ctx, cam);
+
+    // Players (only connected slots; local player drawn last so it's on top)
+    for (const pl of this._activePlayers()) {
+      if (pl.id !== this.localIdx) pl.draw(ctx, cam);
+    }
+    if (!this.spectating) this.players[this.localIdx].draw(ctx, cam);
 
     // Grapple hook ropes
-    for (const pl of this.players) {
+    for (const pl of this._activePlayers()) {
       if (pl.grappleHook) {
         const pcx = pl.x + pl.w / 2;
         const pcy = pl.y + pl.h / 2;
@@ -1342,35 +2866,56 @@ export class Game {
     // Score pops
     for (const s of this.scorePops) s.draw(ctx, cam);
 
-    // Goal flag pole
-    if (this.level.goalCol > 0) {
+    // Goal flag pole (versus is won on kills)
+    if (this.level.goalCol > 0 && !this.versus) {
       const fx = this.level.goalCol * TILE - cam.x;
-      const fy = cam.y;
+      const { top, bottom } = this._goalPole();
       ctx.fillStyle = '#B0B0B0';
-      ctx.fillRect(fx + 14, 0, 4, h);
+      ctx.fillRect(fx + 14, top - cam.y, 4, bottom - top);
       ctx.fillStyle = '#E8C84A';
-      ctx.fillRect(fx + 4, 8, 20, 14);
+      ctx.fillRect(fx + 4, top - cam.y + 8, 20, 14);
     }
 
     // Overlay for win/gameover states
-    if (this._state === STATE.WIN || this._state === STATE.GAMEOVER) {
+    if (this._state === STATE.WIN || this._state === STATE.GAMEOVER || this._state === STATE.RESULTS) {
       ctx.fillStyle = 'rgba(0,0,0,0.45)';
       ctx.fillRect(0, 0, w, h);
     }
 
+    if (this.versus) {
+      if (this._state === STATE.RESULTS) this._drawResults(ctx);
+      else this._drawVersusBar(ctx);
+    }
+    if (this.timeTrial) this._drawTimeTrial(ctx);
+
     // Speech bubbles above players
     this._drawSpeechBubbles(ctx, cam);
 
+    // Players the camera could not fit
+    this._drawOffscreenMarkers(ctx, cam);
+
     // Chat window (top right)
     this._drawChatWindow(ctx);
 
+    if (this.showNetStats && this.net) this._drawNetOverlay(ctx);
+
+    if (this.paused || this._menu) this._drawPauseMenu(ctx);
+
     // Hotbar HUD (drawn on-canvas so it scales with the game)
-    if (this._state === STATE.PLAYING) {
+    if (this.replay) {
+      this._drawReplayBar(ctx);
+    } else if (this.spectating) {
+      this._drawSpectatorBar(ctx);
+    } else if (this._state === STATE.PLAYING) {
       this._drawHotbar(ctx);
     }
   }
 
   _showMsg(text) {
+    // Once per frame – a rollback resimulation replays frames that already showed theirs
+    const key = this._frame + ':' + text;
+    if (this._resimulating && this._shownMsgs.includes(key)) return;
+    this._shownMsgs = [...this._shownMsgs.slice(-7), key];
     const el = document.getElementById('game-msg');
     if (!el) return;
     el.textContent = text;
@@ -1378,28 +2923,68 @@ export class Game {
     setTimeout(() => el.classList.add('hidden'), 2800);
   }
 
+  /** Build one HUD entry per player slot inside #hud-players. */
+  _buildHUD(container) {
+    container.innerHTML = '';
+    container.dataset.versus = this.versus;
+    for (let pid = 0; pid < MAX_PLAYERS; pid++) {
+      const el = document.createElement('span');
+      el.id = `hud-p${pid + 1}`;
+      el.className = 'hud-player';
+      el.style.color = PLAYER_PALETTES[pid].color;
+      // Versus has no lives to count: the slot shows kills instead
+      el.innerHTML = `P${pid + 1} 🍄×<span id="p${pid + 1}-coins">0</span>  ` +
+                     (this.versus ? '⚔' : '❤️') +
+                     `<span id="p${pid + 1}-lives">3</span>  <span id="p${pid + 1}-power"></span>`;
+      container.append(el);
+    }
+  }
+
   _updateHUD() {
-    const p1 = this.players[0];
-    const p2 = this.players[1];
-    const totalScore = p1.score + (this.peerConnected ? p2.score : 0);
+    const container = document.getElementById('hud-players');
+    if (container && (!container.children.length || container.dataset.versus !== String(this.versus))) {
+      this._buildHUD(container);
+    }
+
+    const active = this._activePlayers();
+    const totalScore = active.reduce((sum, p) => sum + p.score, 0);
 
     const safe = (id, v) => {
       const el = document.getElementById(id);
       if (el) el.textContent = v;
     };
-    safe('p1-coins', p1.coins);
-    safe('p1-lives', p1.lives);
-    safe('p1-power', ['', '🍄', '🔥'][p1.power] ?? '');
-    if (this.peerConnected) {
-      safe('p2-coins', p2.coins);
-      safe('p2-lives', p2.lives);
-      safe('p2-power', ['', '🍄', '🔥'][p2.power] ?? '');
-    } else {
-      safe('p2-coins', '—');
-      safe('p2-lives', '—');
-      safe('p2-power', '');
+    for (const p of this.players) {
+      const n = p.id + 1;
+      const slotEl = document.getElementById(`hud-p${n}`);
+      if (this._activePids.has(p.id)) {
+        safe(`p${n}-coins`, p.coins);
+        safe(`p${n}-lives`, this.versus ? p.kills : p.lives);
+        safe(`p${n}-power`, ['', '🍄', '🔥'][p.power] ?? '');
+        if (slotEl) slotEl.classList.remove('inactive');
+      } else {
+        safe(`p${n}-coins`, '—');
+        safe(`p${n}-lives`, '—');
+        safe(`p${n}-power`, '');
+        if (slotEl) slotEl.classList.add('inactive');
+      }
     }
     safe('score-val', totalScore);
+    safe('spectator-val', this.spectators);
+    document.getElementById('hud-spectators')?.classList.toggle('hidden', !this.spectators);
+
+    // Connection quality: the worst link we have, with the highest RTT
+    let quality = null, rtt = 0;
+    for (const link of this.net?.links.values() ?? []) {
+      const q = linkQuality(link);
+      if (!q) continue;
+      rtt = Math.max(rtt, link.rtt);
+      if (QUALITY_RANK.indexOf(q) > QUALITY_RANK.indexOf(quality)) quality = q;
+    }
+    const netEl = document.getElementById('hud-net');
+    if (netEl) {
+      netEl.className = quality ? 'net-' + quality : 'hidden';
+      safe('net-val', Math.round(rtt) + ' ms');
+    }
   }
 
   _resize() {
@@ -1415,14 +3000,52 @@ export class Game {
     this.canvas.style.height = ch + 'px';
   }
 
-  /** Called each animation frame by main.js. */
-  tick() {
-    this.update();
+  /**
+   * Advance the simulation in fixed 60 Hz steps for the time elapsed since the
+   * previous call, then draw the world interpolated between the last two
+   * steps. Display refresh rate only changes how often we draw.
+   */
+  tick(now = performance.now()) {
+    if (!this.level) { this.render(); return; }
+    if (this._lastTick === null) this._lastTick = now - STEP_MS;
+    this._accum += Math.max(0, Math.min(now - this._lastTick, STEP_MS * MAX_STEPS));
+    this._lastTick = now;
+
+    while (this._accum >= STEP_MS) {
+      for (const e of this._lerpables()) { e._prevX = e.x; e._prevY = e.y; }
+      this.update();
+      this._accum -= STEP_MS;
+    }
+    this._renderInterpolated(this._accum / STEP_MS);
+  }
+
+  /** Everything that moves and is drawn from its x/y. */
+  _lerpables() {
+    return [
+      ...this.players, ...this.enemies, ...this.powerUps, ...this.platforms,
+      ...this.projectileList, ...this.drawnObjects, ...this.particles,
+      this.camera,
+    ];
+  }
+
+  /** Render at `alpha` of the way from the previous step's positions to the current ones. */
+  _renderInterpolated(alpha) {
+    const moved = [];
+    for (const e of this._lerpables()) {
+      if (e._prevX === undefined) continue;
+      const dx = e.x - e._prevX, dy = e.y - e._prevY;
+      if (Math.abs(dx) + Math.abs(dy) > LERP_SNAP) continue;
+      moved.push([e, e.x, e.y]);
+      e.x = e._prevX + dx * alpha;
+      e.y = e._prevY + dy * alpha;
+    }
     this.render();
+    for (const [e, x, y] of moved) { e.x = x; e.y = y; }
   }
 
   destroy() {
     if (this._rafId) cancelAnimationFrame(this._rafId);
-    window.removeEventListener('resize', this._resize);
+    window.removeEventListener('resize', this._onResize);
+    if (this._cfgBefore) Object.assign(CFG, this._cfgBefore);
   }
 }
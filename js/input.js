@@ -5,7 +5,8 @@
 export class Input {
   constructor() {
     this._held  = new Set();
-    this._prev  = new Set();
+    this._keys  = new Set();   // held as of the last update()
+    this._prev  = new Set();   // held as of the update() before that
 
     this.left  = false;
     this.right = false;
@@ -52,8 +53,8 @@ export class Input {
         return; // don't pass to game keys
       }
       if (!e.repeat) this._held.add(e.code);
-      // Y opens chat
-      if (e.code === 'KeyY' && !e.repeat) {
+      // Y opens chat (when someone listens for it)
+      if (e.code === 'KeyY' && !e.repeat && this.onChatSubmit) {
         this.chatMode   = true;
         this.chatBuffer = '';
         return;
@@ -105,7 +106,8 @@ export class Input {
   }
 
   update() {
-    this._prev = new Set(this._held);
+    this._prev = this._keys;
+    this._keys = new Set(this._held);
 
     // Suppress all movement while chat is open
     if (this.chatMode) {
@@ -129,6 +131,16 @@ export class Input {
     this._mouseWasDown = this.mouseDown;
   }
 
+  /** True while a key (KeyboardEvent.code) is down, as of the last update(). */
+  held(code) {
+    return this._keys.has(code);
+  }
+
+  /** True on the first update() a key (KeyboardEvent.code) is down. */
+  justPressed(code) {
+    return this._keys.has(code) && !this._prev.has(code);
+  }
+
   /** Returns serialisable snapshot for networking. */
   snapshot() {
     return {
@@ -0,0 +1,78 @@
+// ============================================================
+//  interp.js  –  client-side snapshot buffer for remote entities
+// ============================================================
+
+export const INTERP_DELAY_MS = 100;   // render remote entities this far in the past
+
+const FRAME_MS           = 1000 / 60; // host simulation frame (velocities are per frame)
+const MAX_EXTRAPOLATE_MS = 200;       // give up guessing after this long without packets
+const TELEPORT_DIST      = 96;        // jumps larger than this snap instead of sliding
+const BUFFER_SIZE        = 32;
+
+/**
+ * Keeps the last few host states, stamped with the host frame they were taken
+ * on, and answers "where was entity `key` at time t?".
+ *
+ * Host frames are mapped onto the local clock using the smallest arrival
+ * offset seen in the buffer (the least-delayed packet), so network jitter
+ * does not leak into the timeline. Rendering runs INTERP_DELAY_MS behind that
+ * clock, which normally leaves a newer snapshot to interpolate towards; when
+ * packets are late the last known position is extrapolated by its velocity
+ * for up to MAX_EXTRAPOLATE_MS.
+ */
+export class SnapshotBuffer {
+  constructor() {
+    this._snaps = [];  // [{ t, arrived, ents: Map(key → { x, y, vx, vy }) }], oldest first
+  }
+
+  clear() {
+    this._snaps = [];
+  }
+
+  /** Record a host state taken on `frame` and received at local time `now`. */
+  push(frame, ents, now) {
+    const t = frame * FRAME_MS;
+    const newest = this._snaps[this._snaps.length - 1];
+    // Frame counter went backwards a long way: new level or new host
+    if (newest && t < newest.t - 1000) this.clear();
+
+    let i = this._snaps.length;
+    while (i > 0 && this._snaps[i - 1].t > t) i--;
+    if (this._snaps[i - 1]?.t === t) return;  // duplicate
+    this._snaps.splice(i, 0, { t, arrived: now, ents });
+    if (this._snaps.length > BUFFER_SIZE) this._snaps.shift();
+  }
+
+  /** Host timeline position that should be on screen at local time `now`. */
+  renderTime(now) {
+    let offset = Infinity;
+    for (const s of this._snaps) offset = Math.min(offset, s.arrived - s.t);
+    return now - offset - INTERP_DELAY_MS;
+  }
+
+  /** Interpolated { x, y } for `key` at host time t, or null if never seen. */
+  sample(key, t) {
+    let before = null, after = null;
+    for (const snap of this._snaps) {
+      const e = snap.ents.get(key);
+      if (!e) continue;
+      if (snap.t <= t) before = { t: snap.t, e };
+      else { after = { t: snap.t, e }; break; }
+    }
+
+    if (before && after) {
+      const a = before.e, b = after.e;
+      if (Math.abs(b.x - a.x) + Math.abs(b.y - a.y) > TELEPORT_DIST) return { x: b.x, y: b.y };
+      const k = (t - before.t) / (after.t - before.t);
+      return { x: a.x + (b.x - a.x) * k, y: a.y + (b.y - a.y) * k };
+    }
+    if (before) {
+      // Nothing newer yet – carry on along the last known velocity
+      const frames = Math.min(t - before.t, MAX_EXTRAPOLATE_MS) / FRAME_MS;
+      const e = before.e;
+      return { x: e.x + (e.vx ?? 0) * frames, y: e.y + (e.vy ?? 0) * frames };
+    }
+    if (after) return { x: after.e.x, y: after.e.y };
+    return null;
+  }
+}
@@ -4,6 +4,7 @@
 
 import { GRAVITY, MAX_FALL, TILE } from './constants.js';
 import { resolveEntity } from './physics.js';
+import { FIELD } from './codec.js';
 
 // ── Item type keys ────────────────────────────────────────
 
@@ -252,10 +253,11 @@ export class GrenadeProj {
 // ── Explosion ─────────────────────────────────────────────
 
 export class Explosion {
-  constructor(x, y, radius = 80) {
+  constructor(x, y, radius = 80, ownerId) {
     this.id        = _nid++;
     this.cx        = x; this.cy = y;
     this.maxRadius = radius;
+    this.ownerId   = ownerId;  // versus: the blast never hurts whoever set it off
     this.radius    = 0;
     this.timer     = 22;
     this.dead      = false;
@@ -414,6 +416,11 @@ export class SwordSwing {
 
 // ── Drawn Object (pencil stroke becomes physics blob) ─────
 
+/** Binary layout of serialize() for state sync (codec.js) – every key but id. */
+export const DRAWOBJ_NET_FIELDS = [
+  ['x', FIELD.INT], ['y', FIELD.INT], ['vx', FIELD.FIXED], ['vy', FIELD.FIXED],
+];
+
 export class DrawObject {
   constructor(worldX, worldY, w, h, strokePts) {
     this.id = _nid++;
@@ -467,4 +474,16 @@ export class DrawObject {
   applyState(s) {
     this.x = s.x; this.y = s.y; this.vx = s.vx; this.vy = s.vy;
   }
+
+  /** Full description (shape included) for rebuilding on another peer. */
+  snapshot() {
+    return { ...this.serialize(), w: this.w, h: this.h, pts: this.strokePts };
+  }
+
+  static fromSnapshot(s) {
+    const obj = new DrawObject(s.x, s.y, s.w, s.h, s.pts);
+    obj.id = s.id;
+    obj.applyState(s);
+    return obj;
+  }
 }
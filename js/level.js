@@ -2,43 +2,24 @@
 //  level.js  –  level data, tile rendering, spawns
 // ============================================================
 
-import { T, SPAWN, SOLID_TILES, HAZARD_TILES, TILE } from './constants.js';
+import { T, SPAWN, SOLID_TILES, HAZARD_TILES, TILE, MAX_PLAYERS } from './constants.js';
 import { Sprites } from './sprites.js';
+import {
+  levelFromLegacy, validateLevelFile, fetchLevelFile, readLevelFile, spawnOf,
+  SPAWN_QBLOCK_MUSHROOM, SPAWN_QBLOCK_FLOWER,
+} from './levelfile.js';
 
-// Spawn type for weapon crates
-export const SPAWN_CRATE = 'CRATE';
-
-// ── Level string format ───────────────────────────────────
-// Each level is described as an array of strings (rows, top→bottom).
-// Width is determined by the length of the longest row.
-// Characters:
-//  ' ' | '.' = air
-//  'G'        = ground (solid)
-//  'B'        = brick
-//  'Q'        = question block (coin)
-//  'M'        = question block (mushroom)
-//  'F'        = question block (fire flower)
-//  '5' '6'    = pipe top-left / top-right
-//  '7' '8'    = pipe body-left / body-right
-//  'g'        = goomba spawn (drawn as air, entity placed)
-//  'k'        = koopa spawn
-//  'c'        = coin spawn
-//  'X'        = goal flag (invisible tile column)
-//  '%'        = solid invisible tile (ceiling/wall)
-//  'L'        = lava (hazard, kills on touch)
-//  'I'        = ice (solid, low friction)
-//  'S'        = snow ground (solid)
-//  'D'        = dark brick / castle brick (solid)
-//  'f'        = FireBro spawn
-//  'i'        = IceGoomba spawn
-//  'l'        = Lizard spawn
-//  'p'        = Flyer spawn
-//  'P'        = moving platform spawn
+export { SPAWN_CRATE } from './levelfile.js';
+
+// ── Built-in levels ───────────────────────────────────────
+// Written in the legacy string format (legend in levelfile.js) and converted
+// to level files when this module loads. New levels ship as JSON files.
 
 const LEVELS = [
 
   // ── LEVEL  1 ─────────────────────────────────────────────
   {
+    name:     'Overworld',
     bgTop:    '#5C94FC',
     bgBottom: '#5C94FC',
     music:    'overworld',
@@ -63,10 +44,13 @@ const LEVELS = [
     ],
     p1Spawn: { col: 2,  row: 11 },
     p2Spawn: { col: 4,  row: 11 },
+    p3Spawn: { col: 3,  row: 11 },
+    p4Spawn: { col: 5,  row: 11 },
   },
 
   // ── LEVEL  2 ─────────────────────────────────────────────
   {
+    name:     'Underground',
     bgTop:    '#000080',
     bgBottom: '#000040',
     music:    'underground',
@@ -89,10 +73,13 @@ const LEVELS = [
     ],
     p1Spawn: { col: 2, row: 5 },
     p2Spawn: { col: 3, row: 5 },
+    p3Spawn: { col: 4, row: 5 },
+    p4Spawn: { col: 1, row: 5 },
   },
 
   // ── LEVEL  3 — Ice Tundra ────────────────────────────────
   {
+    name:     'Ice Tundra',
     bgTop:    '#B8D4F0',
     bgBottom: '#D8EEF8',
     music:    'ice',
@@ -110,10 +97,13 @@ const LEVELS = [
     ],
     p1Spawn: { col: 2, row: 6 },
     p2Spawn: { col: 4, row: 6 },
+    p3Spawn: { col: 6, row: 6 },
+    p4Spawn: { col: 8, row: 6 },
   },
 
   // ── LEVEL  4 — Fire World ────────────────────────────────
   {
+    name:     'Fire World',
     bgTop:    '#330000',
     bgBottom: '#550000',
     music:    'fire',
@@ -133,11 +123,14 @@ const LEVELS = [
     ],
     p1Spawn: { col: 1, row: 5 },
     p2Spawn: { col: 2, row: 5 },
+    p3Spawn: { col: 3, row: 5 },
+    p4Spawn: { col: 4, row: 5 },
   },
 
   // ── LEVEL  5 — Sky Fortress ──────────────────────────────
   // Moving platforms (P) placed across wide gaps; Flyers patrol
   {
+    name:     'Sky Fortress',
     bgTop:    '#2277FF',
     bgBottom: '#88CCFF',
     music:    'sky',
@@ -155,10 +148,13 @@ const LEVELS = [
     ],
     p1Spawn: { col: 1, row: 4 },
     p2Spawn: { col: 2, row: 4 },
+    p3Spawn: { col: 3, row: 4 },
+    p4Spawn: { col: 0, row: 4 },
   },
 
   // ── LEVEL  6 — Castle ───────────────────────────────────
   {
+    name:     'Castle',
     bgTop:    '#000010',
     bgBottom: '#000020',
     music:    'castle',
@@ -179,10 +175,13 @@ const LEVELS = [
     ],
     p1Spawn: { col: 4, row: 6 },
     p2Spawn: { col: 5, row: 6 },
+    p3Spawn: { col: 6, row: 6 },
+    p4Spawn: { col: 7, row: 6 },
   },
 
   // ── LEVEL  7 — Bonus Gauntlet ────────────────────────────
   {
+    name:     'Bonus Gauntlet',
     bgTop:    '#1A0040',
     bgBottom: '#2A0060',
     music:    'bonus',
@@ -199,104 +198,88 @@ const LEVELS = [
     ],
     p1Spawn: { col: 2, row: 3 },
     p2Spawn: { col: 4, row: 3 },
+    p3Spawn: { col: 6, row: 3 },
+    p4Spawn: { col: 7, row: 3 },
   },
 ];
 
-// ── Parse a level string map into tiles + spawn list ──────
+const BUILTIN_LEVELS = LEVELS.map(levelFromLegacy);
 
-function parseLevel(levelDef) {
-  const rows   = levelDef.map;
-  const height = rows.length;
-  const width  = Math.max(...rows.map(r => r.length));
+/** A level file's layer as rows of tile ids. */
+function layerRows(doc, layer) {
+  const rows = [];
+  for (let row = 0; row < doc.height; row++) {
+    rows.push(Uint8Array.from(layer.data.slice(row * doc.width, (row + 1) * doc.width)));
+  }
+  return rows;
+}
+
+function mainLayer(doc) {
+  return doc.layers.find(l => l.name === 'main');
+}
 
-  const tiles  = [];
+/** One { col, row } per player slot; slots the file leaves out line up after the first. */
+function playerSpawnsOf(doc) {
+  const first = doc.spawns[0];
   const spawns = [];
-  let goalCol  = -1;
-
-  for (let row = 0; row < height; row++) {
-    const rowArr = new Uint8Array(width); // defaults to 0 (AIR)
-    for (let col = 0; col < rows[row].length; col++) {
-      const ch = rows[row][col];
-      switch (ch) {
-        case 'G': rowArr[col] = T.GROUND; break;
-        case 'B': rowArr[col] = T.BRICK;  break;
-        case 'Q': rowArr[col] = T.QBLOCK; break;
-        case 'M': rowArr[col] = T.QBLOCK; break; // qblock w/ mushroom (flagged below)
-        case 'F': rowArr[col] = T.QBLOCK; break; // qblock w/ flower
-        case '5': rowArr[col] = T.PIPE_TL; break;
-        case '6': rowArr[col] = T.PIPE_TR; break;
-        case '7': rowArr[col] = T.PIPE_BL; break;
-        case '8': rowArr[col] = T.PIPE_BR; break;
-        case '%': rowArr[col] = T.SOLID_INVISIBLE; break;
-        case 'L': rowArr[col] = T.LAVA;         break;
-        case 'I': rowArr[col] = T.ICE;          break;
-        case 'S': rowArr[col] = T.SNOW;         break;
-        case 'D': rowArr[col] = T.DARK_BRICK;   break;
-        // Spawn markers → air tile + spawn entry
-        case 'g': spawns.push({ type: SPAWN.GOOMBA,    col, row }); break;
-        case 'k': spawns.push({ type: SPAWN.KOOPA,     col, row }); break;
-        case 'c': spawns.push({ type: SPAWN.COIN,      col, row }); break;
-        case 'w': spawns.push({ type: SPAWN_CRATE,     col, row }); break;
-        case 'f': spawns.push({ type: SPAWN.FIREBRO,   col, row }); break;
-        case 'i': spawns.push({ type: SPAWN.ICEGOOMBA, col, row }); break;
-        case 'l': spawns.push({ type: SPAWN.LIZARD,    col, row }); break;
-        case 'p': spawns.push({ type: SPAWN.FLYER,     col, row }); break;
-        case 'P': spawns.push({ type: 'MOVING_PLATFORM', col, row }); break;
-        case 'X': goalCol = col; break;
-        default:  break; // air
-      }
-      // Detect mushroom / flower blocks
-      if (ch === 'M') spawns.push({ type: 'QBLOCK_MUSHROOM', col, row });
-      if (ch === 'F') spawns.push({ type: 'QBLOCK_FLOWER',   col, row });
-    }
-    tiles.push(rowArr);
+  for (let i = 0; i < MAX_PLAYERS; i++) {
+    const sp = doc.spawns[i] ?? { col: Math.min(first.col + i, doc.width - 1), row: first.row };
+    spawns.push({ col: sp.col, row: sp.row });
   }
-
-  return {
-    tiles,
-    spawns,
-    goalCol,
-    width,
-    height,
-    bgTop:    levelDef.bgTop,
-    bgBottom: levelDef.bgBottom,
-    p1Spawn:  levelDef.p1Spawn,
-    p2Spawn:  levelDef.p2Spawn,
-  };
+  return spawns;
 }
 
 // ── Level class ───────────────────────────────────────────
 
 export class Level {
-  constructor(index) {
-    const def = LEVELS[index % LEVELS.length];
-    const parsed = parseLevel(def);
-
-    this.tiles    = parsed.tiles;
-    this.spawns   = parsed.spawns;
-    this.goalCol  = parsed.goalCol;
-    this.cols     = parsed.width;
-    this.rows     = parsed.height;
-    this.bgTop    = parsed.bgTop;
-    this.bgBottom = parsed.bgBottom;
-    this.p1Spawn  = parsed.p1Spawn;
-    this.p2Spawn  = parsed.p2Spawn;
+  /** `source`: a built-in level's index, or a level file (see levelfile.js). */
+  constructor(source) {
+    const def = typeof source === 'number'
+      ? BUILTIN_LEVELS[source % BUILTIN_LEVELS.length]
+      : validateLevelFile(source);
+    this._def = def;
+
+    this.name     = def.name;
+    this.tiles    = layerRows(def, mainLayer(def));
+    this.scenery  = def.layers.filter(l => l.name !== 'main').map(l => layerRows(def, l));  // drawn behind
+    this.spawns   = def.entities.map(spawnOf);
+    this.goalCol  = def.goal ? def.goal.col : -1;
+    this.goalRow  = def.goal?.row ?? -1;       // -1: the pole spans the whole column
+    this.cols     = def.width;
+    this.rows     = def.height;
+    this.bgTop    = def.background.top;
+    this.bgBottom = def.background.bottom;
+    this.music    = def.music ?? null;
+    this.playerSpawns = playerSpawnsOf(def);  // one { col, row } per player slot
+    this.p1Spawn  = this.playerSpawns[0];
+    this.p2Spawn  = this.playerSpawns[1];
     this.widthPx  = this.cols * TILE;
     this.heightPx = this.rows * TILE;
 
     // Per-block state (for question blocks: contents remaining)
     // Map: "col,row" → item type or null if spent
-    this.blockItems = new Map();
-    for (const sp of this.spawns) {
-      if (sp.type === 'QBLOCK_MUSHROOM') this.blockItems.set(`${sp.col},${sp.row}`, SPAWN.MUSHROOM);
-      if (sp.type === 'QBLOCK_FLOWER')   this.blockItems.set(`${sp.col},${sp.row}`, SPAWN.FLOWER);
-    }
+    this.blockItems = this._initialBlockItems();
+
+    // Tile change log: every setTile() bumps `version`, so the host can send
+    // peers only the edits made since the version they last acknowledged
+    this.version  = 0;
+    this._tileLog = [];  // [{ v, col, row, tile }]
 
     // Question block animation frame
     this._qframe = 0;
     this._qtimer = 0;
   }
 
+  /** A Level from the level file at `url`. */
+  static async fromURL(url) {
+    return new Level(await fetchLevelFile(url));
+  }
+
+  /** A Level from a level file the user picked (a File or Blob). */
+  static async fromFile(file) {
+    return new Level(await readLevelFile(file));
+  }
+
   get(col, row) {
     if (row < 0 || row >= this.rows || col < 0 || col >= this.cols) return T.AIR;
     return this.tiles[row][col];
@@ -307,13 +290,79 @@ export class Level {
   }
 
   /** Hit a question / brick block from below. Returns item type spawned (or null). */
+  _initialBlockItems() {
+    const items = new Map();
+    for (const sp of this.spawns) {
+      if (sp.type === SPAWN_QBLOCK_MUSHROOM) items.set(`${sp.col},${sp.row}`, SPAWN.MUSHROOM);
+      if (sp.type === SPAWN_QBLOCK_FLOWER)   items.set(`${sp.col},${sp.row}`, SPAWN.FLOWER);
+    }
+    return items;
+  }
+
+  /** Tiles that differ from the level as authored → [[col, row, tile], ...]. */
+  changedTiles() {
+    const original = layerRows(this._def, mainLayer(this._def));
+    const changes = [];
+    for (let row = 0; row < this.rows; row++) {
+      for (let col = 0; col < this.cols; col++) {
+        if (this.tiles[row][col] !== original[row][col]) changes.push([col, row, this.tiles[row][col]]);
+      }
+    }
+    return changes;
+  }
+
+  /** Change a tile and record it in the change log. */
+  setTile(col, row, tile) {
+    if (row < 0 || row >= this.rows || col < 0 || col >= this.cols) return;
+    if (this.tiles[row][col] === tile) return;
+    this._writeTile(col, row, tile);
+    this.version++;
+    this._tileLog.push({ v: this.version, col, row, tile });
+  }
+
+  _writeTile(col, row, tile) {
+    this.tiles[row][col] = tile;
+    // A question block that is no longer a question block has given up its item
+    if (tile !== T.QBLOCK) this.blockItems.delete(`${col},${row}`);
+  }
+
+  /** Net effect of every edit after version `v` → [[col, row, tile], ...]. */
+  changesSince(v) {
+    const latest = new Map();
+    for (let i = this._tileLog.length - 1; i >= 0 && this._tileLog[i].v > v; i--) {
+      const e = this._tileLog[i];
+      const key = `${e.col},${e.row}`;
+      if (!latest.has(key)) latest.set(key, [e.col, e.row, e.tile]);
+    }
+    return [...latest.values()];
+  }
+
+  /** Apply edits received from the host (not logged – they are not ours to resend). */
+  applyTileChanges(changes) {
+    for (const [col, row, tile] of changes) {
+      if (this.tiles[row] && col >= 0 && col < this.cols) this._writeTile(col, row, tile);
+    }
+  }
+
+  /**
+   * Rebuild the tile grid from another peer's changedTiles() plus the keys of
+   * its still-full question blocks, discarding any local edits.
+   */
+  restoreTiles(changes, blockKeys) {
+    this.tiles = layerRows(this._def, mainLayer(this._def));
+    this.applyTileChanges(changes);
+    const keep = new Set(blockKeys);
+    this.blockItems = this._initialBlockItems();
+    for (const key of [...this.blockItems.keys()]) {
+      if (!keep.has(key)) this.blockItems.delete(key);
+    }
+  }
+
   hitBlock(col, row) {
     const tile = this.get(col, row);
     if (tile === T.QBLOCK) {
-      this.tiles[row][col] = T.QUSED;
-      const key = `${col},${row}`;
-      const item = this.blockItems.get(key) ?? SPAWN.COIN;
-      this.blockItems.delete(key);
+      const item = this.blockItems.get(`${col},${row}`) ?? SPAWN.COIN;
+      this.setTile(col, row, T.QUSED);
       return item;
     }
     if (tile === T.BRICK) {
@@ -335,15 +384,17 @@ export class Level {
     const startRow = Math.max(0, Math.floor(camera.y / TILE));
     const endRow   = Math.min(this.rows - 1, Math.ceil((camera.y + camera.h) / TILE));
 
-    for (let row = startRow; row <= endRow; row++) {
-      for (let col = startCol; col <= endCol; col++) {
-        const tile = this.get(col, row);
-        if (tile === T.AIR) continue;
+    for (const tiles of [...this.scenery, this.tiles]) {
+      for (let row = startRow; row <= endRow; row++) {
+        for (let col = startCol; col <= endCol; col++) {
+          const tile = tiles[row][col];
+          if (tile === T.AIR) continue;
 
-        const sx = col * TILE - camera.x;
-        const sy = row * TILE - camera.y;
+          const sx = col * TILE - camera.x;
+          const sy = row * TILE - camera.y;
 
-        this._drawTile(ctx, tile, sx, sy);
+          this._drawTile(ctx, tile, sx, sy);
+        }
       }
     }
   }
@@ -426,4 +477,5 @@ export class Level {
   }
 }
 
-export const LEVEL_COUNT = LEVELS.length;
+export const LEVEL_COUNT = BUILTIN_LEVELS.length;
+export const LEVEL_NAMES = BUILTIN_LEVELS.map(def => def.name);
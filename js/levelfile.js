@@ -0,0 +1,258 @@
+// ============================================================
+//  levelfile.js  –  JSON level format: schema, checks, loading
+// ============================================================
+//
+// A level file is one JSON object:
+//
+//   {
+//     "format":  "marioonline-level",
+//     "version": 1,
+//     "name":    "Overworld",
+//     "width":   152,                 // tiles
+//     "height":  15,
+//     "background": { "top": "#5C94FC", "bottom": "#5C94FC" },
+//     "music":   "overworld",
+//     "layers": [                     // tile ids (T in constants.js), row-major,
+//       { "name": "main", "data": [0, 0, 1, …] }  // width × height each
+//     ],
+//     "entities": [
+//       { "type": "goomba",   "col": 24, "row": 11 },
+//       { "type": "goomba",   "col": 30, "row": 11, "props": { "dir": "right" } },
+//       { "type": "platform", "col": 9,  "row": 5,  "props": { "range": 96, "speed": 1.4 } },
+//       { "type": "mushroom", "col": 60, "row": 5 }
+//     ],
+//     "spawns": [ { "col": 2, "row": 11 }, { "col": 4, "row": 11 } ],
+//     "goal":   { "col": 151, "row": 12 }
+//   }
+//
+// The "main" layer is the playfield: it collides, and its blocks can be hit.
+// Any other layer is scenery drawn behind it, in list order.
+//
+// Entities stand on the tile below their row (enemies, crates, platforms)
+// or fill their cell (coins). "mushroom" and "flower" are the contents of
+// the question block at their cell. Props:
+//   enemies   dir: 'left' | 'right'            – which way they start walking
+//   platform  range: px each side, speed: px per frame, width: px
+//
+// `spawns` holds one player start per slot; missing slots line up to the
+// right of the first. Without a `goal` the level has no flag (versus arenas);
+// the goal's `row` is the cell its pole stands on – leave it out and the
+// whole column counts.
+
+import { T, SPAWN, MAX_PLAYERS } from './constants.js';
+
+export const LEVEL_FORMAT       = 'marioonline-level';
+export const LEVEL_FILE_VERSION = 1;
+export const MAX_LEVEL_COLS     = 1024;
+export const MAX_LEVEL_ROWS     = 256;
+export const MAX_ENTITIES       = 4096;
+
+// Spawn types as Level.spawns and game.js know them
+export const SPAWN_CRATE    = 'CRATE';
+export const SPAWN_PLATFORM = 'MOVING_PLATFORM';
+export const SPAWN_QBLOCK_MUSHROOM = 'QBLOCK_MUSHROOM';
+export const SPAWN_QBLOCK_FLOWER   = 'QBLOCK_FLOWER';
+
+/** Moving platform props a file leaves out. */
+export const PLATFORM_DEFAULTS = { range: 96, speed: 1.4, width: 72 };
+
+/** File entity type → spawn type. */
+export const ENTITY_TYPES = {
+  goomba:    SPAWN.GOOMBA,
+  koopa:     SPAWN.KOOPA,
+  firebro:   SPAWN.FIREBRO,
+  icegoomba: SPAWN.ICEGOOMBA,
+  lizard:    SPAWN.LIZARD,
+  flyer:     SPAWN.FLYER,
+  coin:      SPAWN.COIN,
+  crate:     SPAWN_CRATE,
+  platform:  SPAWN_PLATFORM,
+  mushroom:  SPAWN_QBLOCK_MUSHROOM,
+  flower:    SPAWN_QBLOCK_FLOWER,
+};
+
+const TILE_IDS = new Set(Object.values(T));
+const COLOR    = /^#([0-9a-f]{3}|[0-9a-f]{6})$/i;
+
+// ── Legacy string maps ─────────────────────────────────────
+// The original format (the built-in levels in level.js still use it): `map`
+// is an array of strings (rows, top→bottom), one character per tile, with
+// p1Spawn … p4Spawn ({ col, row }), bgTop/bgBottom and music beside it.
+// Width is the longest row. Characters:
+//  ' ' | '.' = air
+//  'G'        = ground (solid)
+//  'B'        = brick
+//  'Q'        = question block (coin)
+//  'M'        = question block (mushroom)
+//  'F'        = question block (fire flower)
+//  '5' '6'    = pipe top-left / top-right
+//  '7' '8'    = pipe body-left / body-right
+//  'g'        = goomba spawn (drawn as air, entity placed)
+//  'k'        = koopa spawn
+//  'c'        = coin spawn
+//  'w'        = weapon crate spawn
+//  'X'        = goal flag (invisible tile column)
+//  '%'        = solid invisible tile (ceiling/wall)
+//  'L'        = lava (hazard, kills on touch)
+//  'I'        = ice (solid, low friction)
+//  'S'        = snow ground (solid)
+//  'D'        = dark brick / castle brick (solid)
+//  'f'        = FireBro spawn
+//  'i'        = IceGoomba spawn
+//  'l'        = Lizard spawn
+//  'p'        = Flyer spawn
+//  'P'        = moving platform spawn
+
+const LEGACY_TILES = {
+  'G': T.GROUND,  'B': T.BRICK,   'Q': T.QBLOCK,  'M': T.QBLOCK, 'F': T.QBLOCK,
+  '5': T.PIPE_TL, '6': T.PIPE_TR, '7': T.PIPE_BL, '8': T.PIPE_BR,
+  '%': T.SOLID_INVISIBLE, 'L': T.LAVA, 'I': T.ICE, 'S': T.SNOW, 'D': T.DARK_BRICK,
+};
+const LEGACY_ENTITIES = {
+  'g': 'goomba', 'k': 'koopa', 'c': 'coin', 'w': 'crate', 'f': 'firebro',
+  'i': 'icegoomba', 'l': 'lizard', 'p': 'flyer', 'P': 'platform',
+  'M': 'mushroom', 'F': 'flower',  // question block tile + its contents
+};
+
+/**
+ * Convert a level in the string format (see above) to a level file. Any
+ * character not in the legend is air; 'X' marks the goal column.
+ */
+export function levelFromLegacy(def) {
+  const rows   = def.map;
+  const height = rows.length;
+  const width  = Math.max(...rows.map(r => r.length));
+  const data   = new Array(width * height).fill(T.AIR);
+  const entities = [];
+  let goal = null;
+
+  rows.forEach((line, row) => {
+    for (let col = 0; col < line.length; col++) {
+      const ch = line[col];
+      if (ch in LEGACY_TILES) data[row * width + col] = LEGACY_TILES[ch];
+      if (ch in LEGACY_ENTITIES) entities.push({ type: LEGACY_ENTITIES[ch], col, row });
+      if (ch === 'X') goal = { col };
+    }
+  });
+
+  // p1Spawn, p2Spawn, … up to the first missing one (Level places the rest)
+  const spawns = [];
+  for (let i = 0; i < MAX_PLAYERS && def[`p${i + 1}Spawn`]; i++) {
+    const sp = def[`p${i + 1}Spawn`];
+    spawns.push({ col: sp.col, row: sp.row });
+  }
+
+  return {
+    format:  LEVEL_FORMAT,
+    version: LEVEL_FILE_VERSION,
+    name:    def.name ?? 'Untitled',
+    width,
+    height,
+    background: { top: def.bgTop ?? '#5C94FC', bottom: def.bgBottom ?? def.bgTop ?? '#5C94FC' },
+    music:   def.music ?? null,
+    layers:  [{ name: 'main', data }],
+    entities,
+    spawns,
+    goal,
+  };
+}
+
+// ── Checks ─────────────────────────────────────────────────
+
+const isInt = (v, min, max) => Number.isInteger(v) && v >= min && v <= max;
+
+/**
+ * Throw an Error naming the first problem with `doc`, a parsed level file;
+ * return it unchanged when it is playable.
+ */
+export function validateLevelFile(doc) {
+  const fail = (what) => { throw new Error('Bad level file: ' + what); };
+  if (doc === null || typeof doc !== 'object') fail('not an object');
+  if (doc.format !== LEVEL_FORMAT) fail('not a level file');
+  if (doc.version !== LEVEL_FILE_VERSION) fail(`unsupported version ${doc.version}`);
+  if (typeof doc.name !== 'string' || doc.name.length > 40) fail('name');
+
+  const { width, height } = doc;
+  if (!isInt(width, 1, MAX_LEVEL_COLS))  fail(`width (1–${MAX_LEVEL_COLS})`);
+  if (!isInt(height, 1, MAX_LEVEL_ROWS)) fail(`height (1–${MAX_LEVEL_ROWS})`);
+  const inside = (p) => p && isInt(p.col, 0, width - 1) && isInt(p.row, 0, height - 1);
+
+  const bg = doc.background;
+  if (!bg || !COLOR.test(bg.top) || !COLOR.test(bg.bottom)) fail('background (#rgb or #rrggbb colours)');
+  if (doc.music != null && (typeof doc.music !== 'string' || doc.music.length > 40)) fail('music');
+
+  if (!Array.isArray(doc.layers) || doc.layers.length > 8) fail('layers');
+  if (doc.layers.filter(l => l?.name === 'main').length !== 1) fail('layers: exactly one "main" layer');
+  doc.layers.forEach((layer, i) => {
+    if (typeof layer?.name !== 'string') fail(`layers[${i}].name`);
+    if (!Array.isArray(layer.data) || layer.data.length !== width * height) {
+      fail(`layers[${i}].data: ${width * height} tile ids (width × height)`);
+    }
+    const bad = layer.data.findIndex(id => !TILE_IDS.has(id));
+    if (bad >= 0) fail(`layers[${i}].data[${bad}]: unknown tile id ${layer.data[bad]}`);
+  });
+
+  if (!Array.isArray(doc.entities) || doc.entities.length > MAX_ENTITIES) fail('entities');
+  doc.entities.forEach((e, i) => {
+    if (!(e?.type in ENTITY_TYPES)) fail(`entities[${i}].type "${e?.type}"`);
+    if (!inside(e)) fail(`entities[${i}] is outside the level`);
+    const props = e.props ?? {};
+    if (typeof props !== 'object') fail(`entities[${i}].props`);
+    if (props.dir !== undefined && props.dir !== 'left' && props.dir !== 'right') fail(`entities[${i}].props.dir`);
+    for (const key of ['range', 'speed', 'width']) {
+      if (props[key] !== undefined && !(typeof props[key] === 'number' && props[key] >= 0 && props[key] <= 4096)) {
+        fail(`entities[${i}].props.${key}`);
+      }
+    }
+  });
+
+  if (!Array.isArray(doc.spawns) || doc.spawns.length < 1 || doc.spawns.length > MAX_PLAYERS) {
+    fail(`spawns (1–${MAX_PLAYERS} player starts)`);
+  }
+  doc.spawns.forEach((sp, i) => { if (!inside(sp)) fail(`spawns[${i}] is outside the level`); });
+  if (doc.goal != null && !(isInt(doc.goal.col, 0, width - 1) && (doc.goal.row === undefined || inside(doc.goal)))) {
+    fail('goal');
+  }
+  return doc;
+}
+
+/** Level file text → validated level file. Throws an Error saying what is wrong. */
+export function parseLevelFile(text) {
+  let doc;
+  try {
+    doc = JSON.parse(text);
+  } catch {
+    throw new Error('Bad level file: not JSON');
+  }
+  return validateLevelFile(doc);
+}
+
+/** Fetch and check the level file at `url`. */
+export async function fetchLevelFile(url) {
+  const res = await fetch(url);
+  if (!res.ok) throw new Error(`Could not load the level (${res.status}).`);
+  return parseLevelFile(await res.text());
+}
+
+/** Read and check a level file the user picked (a File or Blob). */
+export async function readLevelFile(file) {
+  return parseLevelFile(await file.text());
+}
+
+/** Offer `doc` (a level file) to the user as a .level.json download. */
+export function downloadLevelFile(doc) {
+  const slug = doc.name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'level';
+  const blob = new Blob([JSON.stringify(doc)], { type: 'application/json' });
+  const a = document.createElement('a');
+  a.href = URL.createObjectURL(blob);
+  a.download = `${slug}.level.json`;
+  document.body.append(a);
+  a.click();
+  a.remove();
+  setTimeout(() => URL.revokeObjectURL(a.href), 0);
+}
+
+/** Level.spawns entry for file entity `e` → { type, col, row, props }. */
+export function spawnOf(e) {
+  return { type: ENTITY_TYPES[e.type], col: e.col, row: e.row, props: e.props ?? {} };
+}
@@ -0,0 +1,129 @@
+// ============================================================
+//  levelshare.js  –  custom levels over the connection + cache
+// ============================================================
+//
+// A host playing a level file sends it to every peer that lacks it as
+// MSG.LEVEL chunks on the reliable channel, ahead of the WELCOME or RESTART
+// that names it. Each chunk carries the checksum of the whole file's JSON
+// text, which is also the level's id: a peer lists the ids it has cached in
+// its JOIN and is only sent the others. Received levels are kept in
+// IndexedDB, so the same file is not transferred again next time.
+
+import { MSG } from './constants.js';
+import { validateLevelFile } from './levelfile.js';
+
+export const LEVEL_CHUNK_CHARS = 8 * 1024;  // JSON text per chunk (≤ 2× on the wire once escaped)
+export const MAX_LEVEL_CHUNKS  = 512;       // 4 MB of text: the largest level file, 8 full layers
+export const MAX_CACHED_LEVELS = 16;
+
+const DB_NAME  = 'marioonline-levels';
+const DB_STORE = 'levels';
+
+/** FNV-1a of `text` as 8 hex digits – the level's id on the wire and in the cache. */
+export function levelChecksum(text) {
+  let h = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    h ^= text.charCodeAt(i);
+    h = Math.imul(h, 0x01000193);
+  }
+  return (h >>> 0).toString(16).padStart(8, '0');
+}
+
+/** A level file → { sum, chunks }: its checksum and the MSG.LEVEL messages that carry it. */
+export function levelChunks(doc) {
+  const text  = JSON.stringify(doc);
+  const sum   = levelChecksum(text);
+  const parts = Math.max(1, Math.ceil(text.length / LEVEL_CHUNK_CHARS));
+  if (parts > MAX_LEVEL_CHUNKS) throw new Error('The level is too large to send.');
+  const chunks = [];
+  for (let part = 0; part < parts; part++) {
+    const data = text.slice(part * LEVEL_CHUNK_CHARS, (part + 1) * LEVEL_CHUNK_CHARS);
+    chunks.push({ type: MSG.LEVEL, sum, part, parts, data });
+  }
+  return { sum, chunks };
+}
+
+/**
+ * Puts levels back together from their MSG.LEVEL chunks. Chunks travel in
+ * order on one reliable connection, so a transfer that restarts (the host
+ * resending after a reconnect) simply starts over.
+ */
+export class LevelAssembler {
+  constructor() {
+    this._transfers = new Map();  // sum → [chunk text, …] received so far
+  }
+
+  /**
+   * Take one chunk → the validated level file once its last chunk is in,
+   * otherwise null. Throws an Error if the whole fails its checksum or is
+   * not a playable level.
+   */
+  add(msg) {
+    let parts = this._transfers.get(msg.sum);
+    if (!parts || msg.part === 0) this._transfers.set(msg.sum, parts = []);
+    if (msg.part !== parts.length) {
+      this._transfers.delete(msg.sum);
+      throw new Error(`Level ${msg.sum}: chunk ${msg.part} out of order`);
+    }
+    parts.push(msg.data);
+    if (parts.length < msg.parts) return null;
+
+    this._transfers.delete(msg.sum);
+    const text = parts.join('');
+    if (levelChecksum(text) !== msg.sum) throw new Error(`Level ${msg.sum}: checksum mismatch`);
+    let doc;
+    try {
+      doc = JSON.parse(text);
+    } catch {
+      throw new Error(`Level ${msg.sum}: not JSON`);
+    }
+    return validateLevelFile(doc);
+  }
+}
+
+// ── Cache (IndexedDB) ───────────────────────────────────────
+// One record per level, { sum, doc, saved }, keyed by checksum. Failures
+// (private mode, storage blocked) only cost a transfer, so they are quiet.
+
+function openCache() {
+  return new Promise((resolve, reject) => {
+    const req = indexedDB.open(DB_NAME, 1);
+    req.onupgradeneeded = () => req.result.createObjectStore(DB_STORE, { keyPath: 'sum' });
+    req.onsuccess = () => resolve(req.result);
+    req.onerror   = () => reject(req.error);
+  });
+}
+
+/** Every cached level whose file still validates → Map of sum → level file. */
+export async function loadCachedLevels() {
+  const levels = new Map();
+  try {
+    const db = await openCache();
+    const records = await new Promise((resolve, reject) => {
+      const req = db.transaction(DB_STORE).objectStore(DB_STORE).getAll();
+      req.onsuccess = () => resolve(req.result);
+      req.onerror   = () => reject(req.error);
+    });
+    db.close();
+    for (const { sum, doc } of records) {
+      try {
+        levels.set(sum, validateLevelFile(doc));
+      } catch { /* written by an older build – it will be sent again */ }
+    }
+  } catch { /* storage blocked */ }
+  return levels;
+}
+
+/** Keep `doc` under `sum`, dropping the oldest entries beyond MAX_CACHED_LEVELS. */
+export async function cacheLevel(sum, doc) {
+  try {
+    const db = await openCache();
+    const store = db.transaction(DB_STORE, 'readwrite').objectStore(DB_STORE);
+    store.put({ sum, doc, saved: Date.now() });
+    store.getAll().onsuccess = (e) => {
+      const old = e.target.result.sort((a, b) => b.saved - a.saved).slice(MAX_CACHED_LEVELS);
+      for (const { sum: stale } of old) store.delete(stale);
+    };
+    store.transaction.oncomplete = () => db.close();
+  } catch { /* storage blocked */ }
+}
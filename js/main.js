@@ -3,8 +3,18 @@
 // ============================================================
 
 import { Game }    from './game.js';
-import { Network } from './network.js';
+import { Network, MAX_SPECTATORS } from './network.js';
+import { PeerTransport, WebSocketTransport } from './transport.js';
 import { Input }   from './input.js';
+import { GAME_VERSION, cleanName } from './protocol.js';
+import { MAX_PLAYERS } from './constants.js';
+import { LEVEL_NAMES } from './level.js';
+import { PLAYER_PALETTES } from './sprites.js';
+import { configureNetSim } from './netsim.js';
+import { parseReplay, fetchReplay } from './replay.js';
+import { fetchLevelFile, readLevelFile } from './levelfile.js';
+import { loadCachedLevels, cacheLevel } from './levelshare.js';
+import { LevelEditor } from './editor.js';
 
 //  DOM refs 
 
@@ -12,12 +22,37 @@ const lobbyEl       = document.getElementById('lobby');
 const gameEl        = document.getElementById('game-screen');
 const btnHost       = document.getElementById('btn-host');
 const btnJoin       = document.getElementById('btn-join');
+const btnWatch      = document.getElementById('btn-watch');
 const btnRandom     = document.getElementById('btn-random');
 const hostNameInput = document.getElementById('host-name-input');
 const joinInput     = document.getElementById('join-input');
 const hostStatus    = document.getElementById('host-status');
 const joinStatus    = document.getElementById('join-status');
 const canvas        = document.getElementById('game-canvas');
+const nameInput     = document.getElementById('player-name');
+const nameRow       = document.querySelector('#lobby .name-row');
+const lobbyColumns  = document.getElementById('lobby-columns');
+const lobbySolo     = document.getElementById('lobby-solo');
+const btnTrial      = document.getElementById('btn-trial');
+const btnReplay     = document.getElementById('btn-replay');
+const replayFile    = document.getElementById('replay-file');
+const replayStatus  = document.getElementById('replay-status');
+const btnEditor     = document.getElementById('btn-editor');
+const editorBar     = document.getElementById('editor-bar');
+const hudEl         = document.getElementById('hud');
+const hudEdit       = document.getElementById('hud-edit');
+const roomPanel     = document.getElementById('room-panel');
+const roomTitle     = document.getElementById('room-title');
+const roomPlayers   = document.getElementById('room-players');
+const roomSpectators = document.getElementById('room-spectators');
+const roomLevel     = document.getElementById('room-level');
+const roomLevelFile = document.getElementById('room-level-file');
+const roomMode      = document.getElementById('room-mode');
+const roomRules     = document.getElementById('room-rules');
+const roomStatus    = document.getElementById('room-status');
+const btnStart      = document.getElementById('btn-start');
+const btnReady      = document.getElementById('btn-ready');
+const btnLeave      = document.getElementById('btn-leave');
 
 //  Globals 
 
@@ -25,6 +60,41 @@ let game    = null;
 let net     = null;
 let input   = null;
 let rafId   = null;
+let editor  = null;  // LevelEditor while editing (a play-test runs as `game` beside it)
+let currentRoom = null;  // room name while waiting in the pre-game room
+
+document.querySelector('#lobby .version').textContent = 'v' + GAME_VERSION;
+
+//  Transport 
+// ?relay=ws://host:8787/relay sends everything through server/relay.mjs
+// instead of WebRTC. Without PeerJS (CDN blocked, offline LAN) we assume the
+// page is served by the relay itself and use that.
+
+const RELAY_URL = new URLSearchParams(location.search).get('relay')
+  ?? (PeerTransport.available ? null : WebSocketTransport.sameOrigin());
+
+function createTransport() {
+  return RELAY_URL ? new WebSocketTransport(RELAY_URL) : new PeerTransport();
+}
+
+// Custom levels hosts have sent us (kept in IndexedDB), shared by every Network
+const knownLevels = new Map();
+loadCachedLevels().then(levels => {
+  for (const [sum, doc] of levels) knownLevels.set(sum, doc);
+});
+
+/** A Network on the configured transport that introduces us by our display name. */
+function createNetwork() {
+  const network = new Network(createTransport());
+  network.name = playerName();
+  network.levels  = knownLevels;
+  network.onLevel = (sum, doc) => cacheLevel(sum, doc);
+  return network;
+}
+
+// ?lag=80&jitter=20&loss=5&dup=1&reorder=2 starts with a simulated bad
+// connection (ms and %); the debug panel changes it live.
+configureNetSim(new URLSearchParams(location.search));
 
 //  Random room name 
 
@@ -51,6 +121,22 @@ btnRandom.addEventListener('click', () => {
 hostNameInput.addEventListener('keydown', (e) => { if (e.key === 'Enter') btnHost.click(); });
 joinInput.addEventListener('keydown',     (e) => { if (e.key === 'Enter') btnJoin.click(); });
 
+//  Display name 
+// Remembered between visits; empty means "use the character's name".
+
+const NAME_KEY = 'marioonline-name';
+
+try { nameInput.value = localStorage.getItem(NAME_KEY) ?? ''; } catch { /* storage blocked */ }
+
+nameInput.addEventListener('change', () => {
+  nameInput.value = playerName();
+  try { localStorage.setItem(NAME_KEY, nameInput.value); } catch { /* storage blocked */ }
+});
+
+function playerName() {
+  return cleanName(nameInput.value);
+}
+
 //  Lobby: Host flow 
 
 btnHost.addEventListener('click', () => {
@@ -58,59 +144,295 @@ btnHost.addEventListener('click', () => {
   if (!roomName) { setStatus(hostStatus, 'Enter a room name first.', true); return; }
 
   setStatus(hostStatus, '');
-  btnHost.disabled = true;
-  btnJoin.disabled = true;
+  btnHost.disabled  = true;
+  btnJoin.disabled  = true;
+  btnWatch.disabled = true;
 
-  net = new Network();
-
-  // Start game immediately using the room name
-  startGame(0, roomName);
-
-  net.onConnected = () => {
-    if (game) game.onPeerJoined();
-  };
+  net = createHostNetwork(roomName, 0);
 
   net.onError = (err) => {
-    console.warn('PeerJS error (non-fatal):', err.type);
+    console.warn('Network error (non-fatal):', err.type);
     if (game) game._peerCode = 'Room: ' + roomName + ' (solo  network error)';
-    else setStatus(hostStatus, 'Network error: ' + err.type, true);
+    else if (err.type === 'unavailable-id') {
+      resetLobby();
+      setStatus(hostStatus, 'Room ' + roomName + ' is already taken – pick another name.', true);
+    } else setStatus(roomStatus, 'Network error: ' + err.type, true);
+  };
+
+  net.onLobby = () => {
+    if (!game) renderRoom();
   };
 
+  // Wait in the room until everyone is ready and the host starts
   net.host(roomName);
+  showRoom(roomName);
 });
 
+/** Network in host mode with the roster callbacks wired to the running game. */
+function createHostNetwork(roomName, hostPid, mode = 'host') {
+  const hostNet = createNetwork();
+  hostNet.hostPid = hostPid;
+  applyMode(hostNet, mode);
+
+  hostNet.onPeerJoined = (pid, info) => {
+    if (game) game.onPeerJoined(pid, info.resumed);
+  };
+
+  hostNet.onPeerDropped = (pid) => {
+    if (game) game.onPeerDropped(pid);
+  };
+
+  hostNet.onPeerLeft = (pid) => {
+    if (game) game.onPeerLeft(pid);
+  };
+
+  hostNet.onSpectatorJoined = (sid) => {
+    if (game) game.onSpectatorJoined(sid);
+  };
+
+  hostNet.onSpectatorLeft = (sid) => {
+    if (game) game.onSpectatorLeft(sid);
+  };
+
+  hostNet.welcomeInfo = () => ({
+    level: game ? game._levelIndex : hostNet.room.level,
+    seed:  game?.seed,
+    mode:  game ? (game.rollback ? 'rollback' : 'host') : hostNet.room.mode,
+    rules: game ? (game.versus ? 'versus' : 'coop') : hostNet.room.rules,
+    lobby: !game,  // still in the room: wait for the host to start
+    custom: hostNet.sharedLevel?.sum,  // its chunks went out just before the WELCOME
+  });
+
+  return hostNet;
+}
+
+/** Host: room size and requirements for netcode `mode` ('host' or 'rollback'). */
+function applyMode(hostNet, mode) {
+  const rollback = mode === 'rollback';
+  hostNet.maxPlayers    = rollback ? 2 : MAX_PLAYERS;
+  hostNet.requiredCaps  = rollback ? ['rollback'] : [];
+  hostNet.maxSpectators = rollback ? 0 : MAX_SPECTATORS;  // rollback sends no state syncs to watch
+  hostNet.room.mode     = mode;
+}
+
 //  Lobby: Join flow 
 
-btnJoin.addEventListener('click', () => {
+btnJoin.addEventListener('click',  () => joinRoom(false));
+btnWatch.addEventListener('click', () => joinRoom(true));
+
+/** Join as a player, or as a spectator who only watches. */
+function joinRoom(spectate) {
   const roomName = joinInput.value.trim().toUpperCase().replace(/[^A-Z0-9]/g, '');
   if (!roomName) { setStatus(joinStatus, 'Enter a room name first.', true); return; }
 
   setStatus(joinStatus, 'Connecting to room ' + roomName + '');
-  btnHost.disabled = true;
-  btnJoin.disabled = true;
-
-  net = new Network();
+  btnHost.disabled  = true;
+  btnJoin.disabled  = true;
+  btnWatch.disabled = true;
+
+  net = createNetwork();
+
+  net.onConnected = (pid, welcome) => {
+    if (welcome.lobby) {
+      // The host has not started yet: wait in the room
+      setStatus(joinStatus, '');
+      showRoom(roomName);
+      return;
+    }
+    setStatus(joinStatus, (spectate ? 'Connected as a spectator' : 'Connected as P' + (pid + 1)) + '! Starting');
+    setTimeout(() => enterGame(roomName, welcome), 600);
+  };
 
-  net.onConnected = () => {
-    setStatus(joinStatus, 'Connected! Starting');
-    setTimeout(() => startGame(1, roomName), 600);
+  net.onLobby = () => {
+    if (game || currentRoom === null) return;  // in game the roster only supplies names
+    if (!net.room.started) { renderRoom(); return; }
+    hideRoom();
+    enterGame(roomName, { ...net.room, custom: net.room.custom?.sum });
   };
 
   net.onError = (err) => {
-    setStatus(joinStatus, 'Could not connect: ' + err.type, true);
+    if (game && isFatal(err)) { returnToLobby(err.message); return; }
+    const reason = err.type === 'room-full' ? 'room is full' : err.message ?? err.type;
+    setStatus(joinStatus, 'Could not connect: ' + reason, true);
     resetLobby();
   };
 
   net.onDisconnected = () => {
     if (game) showDisconnect();
+    else if (currentRoom !== null) {
+      resetLobby();
+      setStatus(joinStatus, 'The host closed the room.', true);
+    }
   };
 
-  net.join(roomName);
+  if (spectate) net.spectate(roomName);
+  else net.join(roomName);
+}
+
+/** Client: start playing the host's game – `info` is its WELCOME or room settings. */
+function enterGame(roomName, { level, seed, mode, rules, custom }) {
+  const doc = custom ? net.levels.get(custom) : null;
+  if (custom && !doc) {
+    resetLobby();
+    setStatus(joinStatus, "The host's level did not arrive intact – try joining again.", true);
+    return;
+  }
+  startGame(net.localPid, roomName, level ?? 0, seed, mode, rules, doc);
+}
+
+//  Pre-game room 
+// Everyone who hosted or joined waits here: the roster shows names and ready
+// flags, the host picks the level, mode and rules and starts once all are ready.
+
+LEVEL_NAMES.forEach((name, i) => roomLevel.add(new Option(`${i + 1}. ${name}`, i)));
+// A level file the host picked (named once chosen), and the entry that picks one
+const customLevelOption = new Option('', 'custom');
+const levelFileOption   = new Option('📂 Level file…', 'file');
+roomLevel.add(customLevelOption);
+roomLevel.add(levelFileOption);
+
+function showRoom(roomName) {
+  currentRoom = roomName;
+  roomTitle.textContent = 'Room ' + roomName;
+  setStatus(roomStatus, '');
+  nameRow.classList.add('hidden');
+  lobbyColumns.classList.add('hidden');
+  lobbySolo.classList.add('hidden');
+  roomPanel.classList.remove('hidden');
+  renderRoom();
+}
+
+function hideRoom() {
+  currentRoom = null;
+  roomPanel.classList.add('hidden');
+  nameRow.classList.remove('hidden');
+  lobbyColumns.classList.remove('hidden');
+  lobbySolo.classList.remove('hidden');
+}
+
+function renderRoom() {
+  if (!net || currentRoom === null) return;
+  const { roster, room } = net;
+  const slots = room.mode === 'rollback' ? 2 : MAX_PLAYERS;
+
+  roomPlayers.innerHTML = '';
+  for (let pid = 0; pid < slots; pid++) {
+    const li = document.createElement('li');
+    const entry = roster.get(pid);
+    if (!entry) {
+      li.className = 'open';
+      li.textContent = 'Open slot';
+      roomPlayers.append(li);
+      continue;
+    }
+    const palette = PLAYER_PALETTES[pid];
+    const who = document.createElement('span');
+    who.style.color = palette.color;
+    who.textContent = entry.name || palette.name;
+    const tags = [entry.name ? palette.name : null, pid === net.hostPid ? 'host' : null,
+                  pid === net.localPid ? 'you' : null].filter(Boolean);
+    if (tags.length) {
+      const tag = document.createElement('span');
+      tag.className = 'tag';
+      tag.textContent = tags.join(' · ');
+      who.append(tag);
+    }
+    const state = document.createElement('span');
+    state.className = entry.ready ? 'ready' : 'not-ready';
+    state.textContent = pid === net.hostPid ? '👑' : entry.ready ? '✔ Ready' : 'Not ready';
+    li.append(who, state);
+    roomPlayers.append(li);
+  }
+  roomSpectators.textContent = room.spectators ? '👁 ' + room.spectators + ' watching' : '';
+
+  customLevelOption.textContent = room.custom ? '★ ' + room.custom.name : '';
+  customLevelOption.hidden = !room.custom;
+  levelFileOption.hidden   = !net.isHost;
+  roomLevel.value    = room.custom ? 'custom' : room.level;
+  roomMode.value     = room.mode;
+  roomRules.value    = room.rules;
+  roomLevel.disabled = !net.isHost;
+  roomMode.disabled  = !net.isHost;
+  roomRules.disabled = !net.isHost;
+
+  if (net.isHost) {
+    const waiting = [...roster].filter(([pid, e]) => pid !== net.localPid && !e.ready);
+    btnStart.classList.remove('hidden');
+    btnStart.disabled = waiting.length > 0;
+    setStatus(roomStatus, waiting.length
+      ? 'Waiting for ' + waiting.map(([pid, e]) => e.name || PLAYER_PALETTES[pid].name).join(', ') + ' to get ready…'
+      : '');
+  } else {
+    const ready = !!roster.get(net.localPid)?.ready;
+    btnReady.classList.toggle('hidden', net.spectating);
+    btnReady.textContent = ready ? 'Not Ready' : "I'm Ready";
+    setStatus(roomStatus, net.spectating ? 'Watching – the game starts when the host is ready…'
+                                          : 'Waiting for the host to start…');
+  }
+}
+
+roomLevel.addEventListener('change', () => {
+  if (!net?.isHost) return;
+  if (roomLevel.value === 'file') {
+    renderRoom();  // the current level stays picked until a file is read
+    roomLevelFile.click();
+    return;
+  }
+  net.shareLevel(null);
+  net.setRoom({ level: Number(roomLevel.value), custom: null });
+});
+
+// Everyone in the room is sent the file now, so it is there when the game starts
+roomLevelFile.addEventListener('change', async () => {
+  const file = roomLevelFile.files[0];
+  roomLevelFile.value = '';  // the same file can be picked again
+  if (!file || !net?.isHost) return;
+  try {
+    const doc = await readLevelFile(file);
+    const sum = net.shareLevel(doc);
+    net.setRoom({ custom: { sum, name: doc.name } });
+  } catch (err) {
+    setStatus(roomStatus, err.message, true);
+  }
+});
+
+roomMode.addEventListener('change', () => {
+  if (!net?.isHost) return;
+  const mode = roomMode.value;
+  if (mode === 'rollback' && (net.conns.size > 1 || net.spectators.size > 0)) {
+    roomMode.value = net.room.mode;
+    setStatus(roomStatus, 'Rollback rooms are for two players and no spectators.', true);
+    return;
+  }
+  applyMode(net, mode);
+  net.setRoom({ mode });
+});
+
+roomRules.addEventListener('change', () => {
+  if (net?.isHost) net.setRoom({ rules: roomRules.value });
+});
+
+btnReady.addEventListener('click', () => {
+  if (net && !net.isHost) net.setReady(!net.roster.get(net.localPid)?.ready);
 });
 
+btnStart.addEventListener('click', () => {
+  if (!net?.isHost || game) return;
+  const { level, mode, rules } = net.room;
+  const roomName = currentRoom;
+  hideRoom();
+  startGame(net.localPid, roomName, level, undefined, mode, rules, net.sharedLevel?.doc);
+  net.setRoom({ started: true, seed: game.seed });
+  // Everyone who waited in the room enters the world now
+  for (const pid of net.conns.keys()) game.onPeerJoined(pid);
+  for (const sid of net.spectators.keys()) game.onSpectatorJoined(sid);
+});
+
+btnLeave.addEventListener('click', () => resetLobby());
+
 //  Game start 
 
-function startGame(playerIndex, roomName = null) {
+function startGame(playerIndex, roomName = null, levelIndex = 0, seed, mode = 'host', rules = 'coop', custom = null) {
   lobbyEl.classList.add('hidden');
   gameEl.classList.remove('hidden');
 
@@ -121,63 +443,264 @@ function startGame(playerIndex, roomName = null) {
   // Show human-readable room name on canvas
   game._peerCode = roomName ? 'Room: ' + roomName : '';
 
-  net.onDisconnected = () => showDisconnect();
+  // Host drops individual players via onPeerDropped; a client reconnects or migrates
+  const gameNet = net;
+  net.onDisconnected = () => onConnectionLost(roomName, gameNet);
 
   game.setInput(input);
-  game.load(0);
+  game.onQuit = (message) => returnToLobby(message);
+  if (mode === 'rollback') game.useRollback();
+  if (rules === 'versus') game.useVersus();
+  if (custom) game.useCustomLevel(custom);
+  game.load(levelIndex, seed);
+
+  loop();
+}
+
+function loop(now) {
+  rafId = requestAnimationFrame(loop);
+  (game ?? editor).tick(now);
+}
+
+// Pause RAF when tab is hidden to prevent position-jump on refocus. The
+// session pauses with us, so nobody plays on against a frozen peer.
+document.addEventListener('visibilitychange', () => {
+  if (document.hidden) {
+    if (game?.autoPause) game.requestPause(true, 'hidden');
+    if (rafId) { cancelAnimationFrame(rafId); rafId = null; }
+  } else {
+    if (!rafId && (game || editor)) loop();
+  }
+});
 
-  // Pause RAF when tab is hidden to prevent position-jump on refocus
-  document.addEventListener('visibilitychange', () => {
-    if (document.hidden) {
-      if (rafId) { cancelAnimationFrame(rafId); rafId = null; }
+//  Reconnect / host migration 
+// A client that loses its connection keeps playing locally and retries the
+// room under its old slot, backing off between attempts; the host holds the
+// slot and answers with a full snapshot. If the room's peer id is gone
+// entirely the host has left: the surviving client with the lowest player
+// slot re-opens the room and takes over authority from its last synced world,
+// while everyone else keeps retrying until it is up.
+
+const RECONNECT_TRIES    = 8;
+const RECONNECT_BASE_MS  = 500;
+const RECONNECT_MAX_MS   = 8000;
+const MIGRATE_RETRIES    = 6;
+const MIGRATE_DELAY_MS   = 1000;
+
+/** `lost` is the network that dropped – ignored unless it is still the current one. */
+function onConnectionLost(roomName, lost) {
+  if (lost !== net) return;
+  if (!game || !roomName) { showDisconnect(); return; }
+  const token   = lost ? lost.token : null;
+  const newHost = game.nextHostPid();
+  if (lost) lost.destroy();
+  game._showMsg('Connection lost – reconnecting…');
+  reconnect(roomName, token, newHost, 0);
+}
+
+function reconnect(roomName, token, newHost, attempt) {
+  // Handlers act on this attempt's network only; a stale attempt never touches its successor
+  const attemptNet = net = createNetwork();
+  attemptNet.onConnected = (pid, welcome) => game.rejoined(attemptNet, welcome);
+  attemptNet.onDisconnected = () => onConnectionLost(roomName, attemptNet);
+  attemptNet.onError = (err) => {
+    attemptNet.destroy();
+    if (attemptNet !== net) return;
+    if (isFatal(err)) { returnToLobby(err.message); return; }
+    if (err.type === 'room-full') { showDisconnect(); return; }
+    // No one answers to the room id any more – the host itself is gone
+    if (err.type === 'peer-unavailable' && !game.spectating && newHost === game.localIdx) {
+      promoteToHost(roomName, 0);
+      return;
+    }
+    if (attempt + 1 >= RECONNECT_TRIES) { showDisconnect(); return; }
+    const delay = Math.min(RECONNECT_MAX_MS, RECONNECT_BASE_MS * 2 ** attempt);
+    setTimeout(() => {
+      if (attemptNet === net) reconnect(roomName, token, newHost, attempt + 1);
+    }, delay);
+  };
+  if (game.spectating) attemptNet.spectate(roomName);
+  else attemptNet.join(roomName, game.localIdx, token);
+}
+
+function promoteToHost(roomName, attempt) {
+  const hostNet = net = createHostNetwork(roomName, game.localIdx, game.rollback ? 'rollback' : 'host');
+  Object.assign(hostNet.room, { level: game._levelIndex, seed: game.seed, started: true,
+                                rules: game.versus ? 'versus' : 'coop' });
+  hostNet.shareLevel(game.customLevel);  // rejoining peers without it are sent it
+  hostNet.onError = (err) => {
+    if (hostNet !== net) return;
+    // The signalling server may still hold the old host's id for a moment
+    if (err.type === 'unavailable-id' && attempt < MIGRATE_RETRIES) {
+      hostNet.destroy();
+      setTimeout(() => {
+        if (hostNet === net) promoteToHost(roomName, attempt + 1);
+      }, MIGRATE_DELAY_MS * (attempt + 1));
     } else {
-      if (!rafId) loop();
+      console.warn('Network error (non-fatal):', err.type);
     }
-  });
+  };
+  if (attempt === 0) game.promoteToHost(hostNet);
+  else game.setNet(hostNet);
+  hostNet.reserve(game.rejoinPids);
+  hostNet.host(roomName);
+}
 
-  function loop() {
-    rafId = requestAnimationFrame(loop);
-    game.tick();
-  }
+//  Solo: dev mode (URL param ?solo=1, ?level=<url> for a level file) and time trial (?trial=1 or the lobby button) 
+
+function startSolo(timeTrial = false, customLevel = null) {
+  lobbyEl.classList.add('hidden');
+  gameEl.classList.remove('hidden');
+
+  input = new Input();
+  input.attachCanvas(canvas);
+  game  = new Game(canvas, null, 0);
+  game.setInput(input);
+  game.onQuit = () => returnToLobby();
+  if (timeTrial) game.useTimeTrial();
+  if (customLevel) game.useCustomLevel(customLevel);
+  game.load(0);
   loop();
 }
 
-//  Solo / dev mode (URL param ?solo=1) 
+btnTrial.addEventListener('click', () => startSolo(true));
 
-if (new URLSearchParams(location.search).get('solo') === '1') {
+//  Replays: a recording saved from the pause menu (?replay=<url> or the lobby button) 
+
+function startReplay(replay) {
   lobbyEl.classList.add('hidden');
   gameEl.classList.remove('hidden');
 
+  input = new Input();
+  input.attachCanvas(canvas);
+  game  = new Game(canvas, null, replay.local);
+  game.setInput(input);
+  game.onQuit = () => returnToLobby();
+  game.useReplay(replay);
+  if (replay.custom) game.useCustomLevel(replay.custom);
+  game.load(replay.level, replay.seed);
+  loop();
+}
+
+btnReplay.addEventListener('click', () => replayFile.click());
+replayFile.addEventListener('change', async () => {
+  const file = replayFile.files[0];
+  replayFile.value = '';  // the same file can be picked again
+  if (!file) return;
+  try {
+    startReplay(parseReplay(await file.text()));
+    setStatus(replayStatus, '');
+  } catch (err) {
+    setStatus(replayStatus, err.message, true);
+  }
+});
+
+const soloParams = new URLSearchParams(location.search);
+if (soloParams.get('level')) {
+  fetchLevelFile(soloParams.get('level'))
+    .then(doc => startSolo(false, doc))
+    .catch(err => setStatus(joinStatus, err.message, true));
+} else if (soloParams.get('solo') === '1') startSolo();
+else if (soloParams.get('trial') === '1') startSolo(true);
+else if (soloParams.get('replay')) {
+  fetchReplay(soloParams.get('replay'))
+    .then(startReplay)
+    .catch(err => setStatus(replayStatus, err.message, true));
+}
+
+//  Level editor: build a level, Play (or Tab) to try it, Tab again to keep editing 
+
+function startEditor() {
+  lobbyEl.classList.add('hidden');
+  gameEl.classList.remove('hidden');
+  hudEl.classList.add('hidden');
+
+  editor = new LevelEditor(canvas, editorBar);
+  editor.onPlay = () => startPlaytest();
+  editor.onQuit = () => returnToLobby();
+  loop();
+}
+
+/** Swap the editor for a solo game on the level as it is now – no reload, nothing saved. */
+function startPlaytest() {
+  let doc;
+  try {
+    doc = editor.playable();
+  } catch (err) {
+    editor.status(err.message, true);
+    return;
+  }
+  editor.suspend();
+  hudEl.classList.remove('hidden');
+  hudEdit.classList.remove('hidden');
+
   input = new Input();
   input.attachCanvas(canvas);
   game  = new Game(canvas, null, 0);
   game.setInput(input);
+  game.onQuit = () => stopPlaytest();
+  game.useCustomLevel(doc);
+  game.usePlaytest();
   game.load(0);
+}
 
-  (function loop() {
-    rafId = requestAnimationFrame(loop);
-    game.tick();
-  })();
+function stopPlaytest() {
+  if (game)  { game.destroy(); game = null; }
+  if (input) { input.destroy(); input = null; }
+  hudEl.classList.add('hidden');
+  hudEdit.classList.add('hidden');
+  editor.resume();
 }
 
+btnEditor.addEventListener('click', () => startEditor());
+hudEdit.addEventListener('click', () => stopPlaytest());
+
+document.addEventListener('keydown', (e) => {
+  if (!editor || e.code !== 'Tab' || e.target.matches?.('input, select')) return;
+  e.preventDefault();
+  if (game) stopPlaytest();
+  else startPlaytest();
+});
+
 //  Helpers 
 
 function showDisconnect() {
   if (rafId) { cancelAnimationFrame(rafId); rafId = null; }
   const msg = document.getElementById('game-msg');
   if (msg) {
-    msg.textContent = 'Peer disconnected. Refresh to play again.';
+    msg.textContent = 'Host disconnected. Refresh to play again.';
     msg.classList.remove('hidden');
   }
 }
 
+/** Errors that end the session for good: kicked, or an incompatible version. */
+function isFatal(err) {
+  return err.type === 'kicked' || err.type === 'incompatible';
+}
+
+/** Leave the running game and show `message` in the lobby. */
+function returnToLobby(message) {
+  if (rafId) { cancelAnimationFrame(rafId); rafId = null; }
+  if (game)  { game.destroy(); game = null; }
+  if (input) { input.destroy(); input = null; }
+  if (editor) { editor.destroy(); editor = null; }
+  hudEl.classList.remove('hidden');
+  hudEdit.classList.add('hidden');
+  gameEl.classList.add('hidden');
+  lobbyEl.classList.remove('hidden');
+  resetLobby();
+  if (message) setStatus(joinStatus, message, true);
+}
+
 function setStatus(el, text, isError = false) {
   el.textContent = text;
   el.className   = 'status-msg' + (isError ? ' error' : '');
 }
 
 function resetLobby() {
-  btnHost.disabled = false;
-  btnJoin.disabled = false;
+  hideRoom();
+  btnHost.disabled  = false;
+  btnJoin.disabled  = false;
+  btnWatch.disabled = false;
   if (net) { net.destroy?.(); net = null; }
 }
@@ -0,0 +1,83 @@
+// ============================================================
+//  netdiag.js  –  link diagnostics: RTT, jitter, loss, bandwidth
+// ============================================================
+
+const LOSS_WINDOW = 120;   // numbered packets the loss estimate looks back over
+const MAX_RTT_MS  = 30000; // longer "round trips" are stale pongs, not samples
+
+/**
+ * What we know about the connection to one peer. RTT and jitter come from
+ * ping/pong (see Network); loss from the numbers already carried by the
+ * traffic itself – input seqs, state sync frames – by counting how many of
+ * the expected numbers in a recent window actually arrived.
+ */
+export class LinkStats {
+  constructor() {
+    this.rtt    = null;  // ms, smoothed; null until the first pong
+    this.jitter = 0;     // ms, smoothed variation between RTT samples
+    this._lastRtt = null;
+    this._seen    = [];  // recent distinct packet numbers, oldest first
+    this._stride  = 1;
+  }
+
+  /** A pong came back for a ping we sent at `sentAt` (our clock). */
+  pong(sentAt, now = performance.now()) {
+    const sample = now - sentAt;
+    if (!(sample >= 0 && sample < MAX_RTT_MS)) return;
+    // Same smoothing as RFC 6298 / RFC 3550
+    this.rtt = this.rtt === null ? sample : this.rtt + (sample - this.rtt) / 8;
+    if (this._lastRtt !== null) this.jitter += (Math.abs(sample - this._lastRtt) - this.jitter) / 16;
+    this._lastRtt = sample;
+  }
+
+  /** Packet number `n` arrived; the sender numbers its packets `stride` apart. */
+  arrived(n, stride = 1) {
+    const seen = this._seen;
+    const newest = seen.length ? seen[seen.length - 1] : null;
+    // Numbering restarted (new level, reconnect): start a new window
+    if (newest !== null && (n < newest - stride * LOSS_WINDOW || stride !== this._stride)) seen.length = 0;
+    this._stride = stride;
+    if (seen.includes(n) || (seen.length && n < seen[0])) return;  // duplicate, or too old to count
+    seen.push(n);
+    seen.sort((a, b) => a - b);
+    while (seen.length > LOSS_WINDOW) seen.shift();
+  }
+
+  /** Fraction of the packets in the window that never arrived (0…1). */
+  get loss() {
+    const seen = this._seen;
+    if (seen.length < 2) return 0;
+    const expected = Math.round((seen[seen.length - 1] - seen[0]) / this._stride) + 1;
+    return Math.max(0, 1 - seen.length / expected);
+  }
+}
+
+/** 'good' | 'fair' | 'poor' for the HUD indicator, or null before any RTT sample. */
+export function linkQuality(link) {
+  if (!link || link.rtt === null) return null;
+  if (link.rtt < 100 && link.jitter < 20 && link.loss < 0.02) return 'good';
+  if (link.rtt < 200 && link.jitter < 50 && link.loss < 0.08) return 'fair';
+  return 'poor';
+}
+
+/** Bytes per second each way, from running byte counters (netStats). */
+export class BandwidthMeter {
+  constructor(counters) {
+    this._counters = counters;
+    this._last = null;
+    this.up   = 0;  // bytes/s sent
+    this.down = 0;  // bytes/s received
+  }
+
+  /** Call as often as you like; the rates are refreshed once a second. */
+  update(now = performance.now()) {
+    const c = this._counters;
+    if (this._last && now - this._last.t < 1000) return;
+    if (this._last) {
+      const secs = (now - this._last.t) / 1000;
+      this.up   = (c.sent - this._last.sent) / secs;
+      this.down = (c.received - this._last.received) / secs;
+    }
+    this._last = { t: now, sent: c.sent, received: c.received };
+  }
+}
@@ -0,0 +1,75 @@
+// ============================================================
+//  netsim.js  –  simulated bad connections for local testing
+// ============================================================
+
+const RESEND_MS  = 200;  // a lost reliable packet turns up this much after a round trip
+const REORDER_MS = 50;   // extra hold on a packet picked for reordering
+
+/**
+ * What the simulated link does to every packet, in each direction. Shared by
+ * every Network on the page so the debug panel can change it mid-game. The
+ * delays are one-way: 50 ms of latency on one tab adds ~100 ms to its RTT,
+ * and the same settings in both tabs double that again.
+ *
+ * Loss, duplication and reordering only hit the unreliable channel. A
+ * reliable one would resend and keep order, so a "lost" reliable packet is
+ * late instead – and holds back everything queued behind it.
+ */
+export const netSim = {
+  latency: 0,  // ms added to every packet
+  jitter:  0,  // ms, random extra delay of up to this much
+  loss:    0,  // % of packets dropped
+  dup:     0,  // % of packets delivered twice
+  reorder: 0,  // % of packets held back so later ones overtake them
+};
+if (typeof window !== 'undefined') window.NET_SIM = netSim;
+
+/** Read ?lag=80&jitter=20&loss=5&dup=1&reorder=2 (ms and %) into netSim. */
+export function configureNetSim(params) {
+  const read = (name, key, max) => {
+    const v = parseFloat(params.get(name));
+    if (Number.isFinite(v)) netSim[key] = Math.min(max, Math.max(0, v));
+  };
+  read('lag',     'latency', 5000);
+  read('jitter',  'jitter',  5000);
+  read('loss',    'loss',    100);
+  read('dup',     'dup',     100);
+  read('reorder', 'reorder', 100);
+}
+
+/** True when any setting is on; otherwise packets pass straight through. */
+export function netSimActive() {
+  return netSim.latency > 0 || netSim.jitter > 0 || netSim.loss > 0 || netSim.dup > 0 || netSim.reorder > 0;
+}
+
+// conn → time its last reliable packet is due, per direction
+const reliableDue = { in: new WeakMap(), out: new WeakMap() };
+
+/**
+ * Pass one packet on `conn` ('in' or 'out') through the simulated link:
+ * `deliver` runs later – once, twice or not at all. Delayed packets are
+ * dropped if the connection has closed by the time they are due.
+ */
+export function simulatePacket(conn, dir, reliable, deliver) {
+  if (!netSimActive()) {
+    deliver();
+    return;
+  }
+  const chance = (pct) => Math.random() * 100 < pct;
+  const later = (ms) => setTimeout(() => { if (conn.open) deliver(); }, Math.max(0, ms));
+  let delay = netSim.latency + Math.random() * netSim.jitter;
+
+  if (reliable) {
+    if (chance(netSim.loss)) delay += 2 * netSim.latency + RESEND_MS;
+    const now = performance.now();
+    const due = Math.max(now + delay, reliableDue[dir].get(conn) ?? 0);
+    reliableDue[dir].set(conn, due);
+    later(due - now);
+    return;
+  }
+
+  if (chance(netSim.loss)) return;
+  if (chance(netSim.reorder)) delay += REORDER_MS;
+  later(delay);
+  if (chance(netSim.dup)) later(delay + Math.random() * netSim.jitter);
+}
@@ -1,81 +1,442 @@
 // ============================================================
-//  network.js  –  PeerJS wrapper for host ↔ client messaging
+//  network.js  –  host ↔ client messaging over a transport
 // ============================================================
 
-import { MSG } from './constants.js';
+import { MSG, MAX_PLAYERS } from './constants.js';
+import { PeerTransport } from './transport.js';
+import { LinkStats } from './netdiag.js';
+import { simulatePacket } from './netsim.js';
+import { levelChunks, LevelAssembler, MAX_CACHED_LEVELS } from './levelshare.js';
+import {
+  PROTOCOL_VERSION, GAME_VERSION, CAPABILITIES, validateMessage, checkHello, RateLimiter, cleanName,
+} from './protocol.js';
 
-/** Wraps PeerJS and exposes simple callbacks. */
+const RECONNECT_GRACE_MS = 20000;
+const BIND_RETRY_MS      = 500;
+const MAX_STRIKES        = 50;    // host: rejected messages before a client is kicked
+const PING_INTERVAL_MS   = 1000;
+const FAST_LABEL         = 'unreliable';  // the unreliable channel's connection label
+
+/** Spectator seats a host offers (its `maxSpectators`) unless told otherwise. */
+export const MAX_SPECTATORS = 8;
+
+// Per-frame traffic that is stale by the time a resend would arrive; rides the
+// unreliable channel. Everything else (events, control) must arrive, in order.
+// Pings go the same way so the RTT they measure is the one gameplay sees.
+const UNRELIABLE_TYPES = new Set([MSG.INPUT, MSG.STATE, MSG.PING, MSG.PONG]);
+
+/** Traffic counters for the debug panel – bytes since page load. */
+export const netStats = {
+  sent: 0, received: 0,
+  stateBytes: 0,      // binary state syncs sent (host) / received (client)
+  stateJsonBytes: 0,  // what the same syncs would have been as JSON
+  rejected: 0,        // inbound messages dropped by validation or rate limits
+};
+if (typeof window !== 'undefined') window.NET_STATS = netStats;
+
+/**
+ * Room messaging with simple callbacks, on top of a transport (PeerJS by
+ * default, or the WebSocket relay – see transport.js).
+ *
+ * The host accepts up to maxPlayers - 1 connections and owns the player
+ * roster: every client sends MSG.JOIN once its connection opens and the host
+ * answers with MSG.WELCOME carrying the player slot (pid) it was given.
+ * A client that was already in the session (a dropped connection, or host
+ * migration) asks for its previous slot back, proving it with the session
+ * token from its first WELCOME, and is told whether it got it (`resumed`).
+ *
+ * When a client drops, its slot stays reserved for RECONNECT_GRACE_MS so the
+ * same player can come back with position and inventory intact.
+ *
+ * Each client holds two connections to the host: the reliable, ordered one it
+ * joined on, and an unreliable one bound to its slot with MSG.BIND once the
+ * WELCOME arrives. `send` picks the channel by message type; until the
+ * unreliable channel is bound everything goes over the reliable one.
+ *
+ * The JOIN/WELCOME exchange doubles as the protocol handshake: both carry
+ * PROTOCOL_VERSION and CAPABILITIES, and a mismatch is refused with an error
+ * the lobby can show. After that every inbound message is validated against
+ * protocol.js; a client that keeps sending bad or excessive traffic is kicked.
+ *
+ * Spectators join with `spectate: true` and get no slot: they are kept apart
+ * from `conns`, so they never count as players. They receive every broadcast
+ * (state syncs, events, restarts) on their reliable connection and send
+ * nothing back after the JOIN.
+ *
+ * The host also keeps the room's `roster` – each connected player's display
+ * name (sent in their JOIN) and lobby ready flag (MSG.READY) – and the `room`
+ * settings it picked, and broadcasts both as MSG.LOBBY whenever either
+ * changes; clients keep the copy they last received.
+ *
+ * Every PING_INTERVAL_MS each side pings the other (the host pings every
+ * client) and keeps a LinkStats per peer in `links` for the diagnostics
+ * overlay; Game feeds it the packet numbers it receives for loss estimates.
+ *
+ * A host playing a custom level file shares it with `shareLevel`: every
+ * peer that lacks it gets its MSG.LEVEL chunks, right away and on joining,
+ * before the WELCOME or RESTART that names the level by checksum. Peers list
+ * the checksums they already have (`levels`, e.g. from their cache) in the
+ * JOIN; a client adds each level it receives and reports it with onLevel.
+ *
+ * Messages may carry Uint8Array fields (binary state syncs). The unreliable
+ * channel sends them as-is; JSON connections get them base64-wrapped.
+ *
+ * Every packet written, and every message handed on after the handshake,
+ * passes through the network condition simulator (netsim.js), which does
+ * nothing unless a lag setting is on.
+ */
 export class Network {
-  constructor() {
-    this.peer   = null;
-    this.conn   = null;
+  constructor(transport = new PeerTransport()) {
+    this.transport = transport;
+    this.conn   = null;        // client: reliable connection to the host
+    this.fast   = null;        // client: unreliable connection to the host
+    this._fastBound = false;   // client: host acked MSG.BIND on `fast`
+    this.conns  = new Map();   // host: pid → reliable DataConnection
+    this._fast  = new Map();   // host: pid → unreliable DataConnection
     this.isHost = false;
     this.peerId = null;
+    this.localPid = null;      // our player slot (host: 0, client: from WELCOME)
+    this.hostPid  = 0;         // slot the host plays in
+    this.maxPlayers = MAX_PLAYERS;  // host: room size (rollback rooms are 2)
+    this.requiredCaps = [];    // host: capabilities a client needs to join this room
+    this.peerCaps  = new Map(); // host: pid → Set of the client's capabilities
+    this.hostCaps  = null;     // client: Set of the host's capabilities
+    this.token    = null;      // client: session token proving ownership of our slot
+    this._tokens   = new Map(); // host: pid → session token
+    this._reserved = new Map(); // host: pid → { token, timer } for dropped clients
+    this.spectators = new Map(); // host: spectator id ('s1', …) → reliable DataConnection
+    this.maxSpectators = MAX_SPECTATORS;  // host: 0 turns spectators away
+    this._nextSpectator = 1;
+    this.spectating = false;   // client: joined as a spectator (no slot, sends nothing)
+    this.links     = new Map(); // pid → LinkStats (client: just the host's)
+    this.name      = '';        // our display name ('' = the character's), sent in MSG.JOIN
+    this.roster    = new Map(); // pid → { name, ready } for every connected player
+    this.room      = { level: 0, mode: 'host', rules: 'coop', started: false, seed: undefined, spectators: 0,
+                       custom: null };  // custom: { sum, name } of the level file picked instead of `level`
+    this.levels    = new Map();  // checksum → level file we can play (client: received or cached)
+    this.sharedLevel = null;     // host: { sum, doc, chunks } of the custom level being played
+    this.peerLevels  = new Map(); // host: pid / spectator id → Set of the level checksums it has
+    this._assembler  = new LevelAssembler();  // client
+    this._pingTimer = null;
 
-    // Callbacks set by Game
-    this.onConnected    = null;  // () => {}
-    this.onMessage      = null;  // (msg) => {}
-    this.onDisconnected = null;  // () => {}
+    // Callbacks set by main.js / Game
+    this.onConnected    = null;  // client: (pid, welcomeMsg) => {}
+    this.onPeerJoined   = null;  // host:   (pid, { resumed }) => {}
+    this.onPeerDropped  = null;  // host:   (pid) => {}  connection lost, slot reserved
+    this.onPeerLeft     = null;  // host:   (pid) => {}  slot released for good
+    this.onSpectatorJoined = null;  // host: (sid) => {}
+    this.onSpectatorLeft   = null;  // host: (sid) => {}
+    this.onLobby        = null;  // () => {}  roster or room settings changed
+    this.onMessage      = null;  // (msg, fromPid) => {}
+    this.onLevel        = null;  // client: (sum, levelFile) => {}  a custom level arrived
+    this.onDisconnected = null;  // client: () => {}
     this.onError        = null;  // (err) => {}
+    this.welcomeInfo    = null;  // host: () => extra fields merged into MSG.WELCOME
 
     this._pending = [];  // queued outbound messages before conn is open
   }
 
-  /** Normalise a room name to a valid, namespaced PeerJS id. */
+  /** Normalise a room name to a valid, namespaced peer id. */
   static roomToPeerId(roomName) {
     return 'marioonline-' + roomName.trim().toUpperCase().replace(/[^A-Z0-9]/g, '');
   }
 
-  /** Create a new Peer using roomName as the peer ID, then wait for a remote to connect (host mode). */
+  /** Register under the room's peer id, then wait for remotes to connect (host mode). */
   host(roomName) {
-    this.isHost = true;
-    const peerId = Network.roomToPeerId(roomName);
-    this.peer = new Peer(peerId, { debug: 0 });
+    this.isHost   = true;
+    this.localPid = this.hostPid;
+    this.roster.set(this.localPid, { name: cleanName(this.name), ready: true });
 
-    this.peer.on('open', (id) => {
+    this.transport.onOpen = (id) => {
       this.peerId = id;
-    });
+    };
 
-    this.peer.on('connection', (conn) => {
-      this.conn = conn;
-      this._setupConn(conn);
-    });
+    this.transport.onConnection = (conn) => {
+      this._setupHostConn(conn);
+    };
 
-    this.peer.on('error', (err) => {
+    this.transport.onError = (err) => {
       if (this.onError) this.onError(err);
-    });
+    };
+
+    this.transport.open(Network.roomToPeerId(roomName));
+    this._startPings();
   }
 
-  /** Connect to a host identified by roomName (client mode). */
-  join(roomName) {
-    this.isHost = false;
-    const hostId = Network.roomToPeerId(roomName);
-    this.peer = new Peer(undefined, { debug: 0 });
+  /** Connect to a host identified by roomName (client mode); wantPid/token ask for a slot back. */
+  join(roomName, wantPid = null, token = null) {
+    this.isHost   = false;
+    this._wantPid = wantPid;
+    this.token    = token;
+    const hostId = this._hostId = Network.roomToPeerId(roomName);
 
-    this.peer.on('open', () => {
-      const conn = this.peer.connect(hostId, { reliable: false, serialization: 'json' });
+    this.transport.onOpen = () => {
+      const conn = this.transport.connect(hostId, { reliable: true, label: 'reliable' });
       this.conn = conn;
-      this._setupConn(conn);
+      this._setupClientConn(conn);
+    };
+
+    this.transport.onError = (err) => {
+      if (this.onError) this.onError(err);
+    };
+
+    this.transport.open();
+  }
+
+  /** Watch the room's session as a spectator (client mode, no player slot). */
+  spectate(roomName) {
+    this.spectating = true;
+    this.join(roomName);
+  }
+
+  /** Player slots currently bound to a connection, plus the host's own. */
+  get pids() {
+    return [this.localPid, ...this.conns.keys()];
+  }
+
+  /**
+   * Host: hold slots for players expected to reconnect (e.g. the other clients
+   * after host migration). A null token lets any returning peer claim the slot.
+   */
+  reserve(pids, token = null) {
+    for (const pid of pids) {
+      if (pid === this.localPid || this.conns.has(pid)) continue;
+      this._release(pid);
+      const timer = setTimeout(() => {
+        this._reserved.delete(pid);
+        this._tokens.delete(pid);
+        if (this.onPeerLeft) this.onPeerLeft(pid);
+      }, RECONNECT_GRACE_MS);
+      this._reserved.set(pid, { token, timer });
+    }
+  }
+
+  _release(pid) {
+    const r = this._reserved.get(pid);
+    if (r) clearTimeout(r.timer);
+    this._reserved.delete(pid);
+  }
+
+  /** Pick a slot for a joining peer → { pid, resumed } (pid -1 = room full). */
+  _claimSlot(wanted, token) {
+    if (Number.isInteger(wanted) && wanted >= 0 && wanted < this.maxPlayers && wanted !== this.localPid) {
+      const reserved = this._reserved.get(wanted);
+      if (reserved && (reserved.token === null || reserved.token === token)) {
+        this._release(wanted);
+        return { pid: wanted, resumed: true };
+      }
+      // Same peer coming back before we noticed its old connection die
+      const stale = this.conns.get(wanted);
+      if (stale && token && this._tokens.get(wanted) === token) {
+        this.conns.delete(wanted);
+        this._dropFast(wanted);
+        stale.close();
+        return { pid: wanted, resumed: true };
+      }
+      // Free anyway: the slot it asked for, but as a new player with a new token
+      if (!stale && !reserved) return { pid: wanted, resumed: false };
+    }
+    const taken = new Set([...this.pids, ...this._reserved.keys()]);
+    for (let pid = 0; pid < this.maxPlayers; pid++) {
+      if (!taken.has(pid)) return { pid, resumed: false };
+    }
+    return { pid: -1, resumed: false };
+  }
+
+  _setupHostConn(conn) {
+    let pid = null;
+    let sid = null;  // set instead of pid when this is a spectator
+    const limiter = new RateLimiter();
+    let strikes = 0, kicked = false;
+
+    conn.on('data', (raw) => {
+      const data = limiter.take() ? this._read(raw, 'client') : null;
+      if (data === null) {
+        netStats.rejected++;
+        if (pid === null) conn.close();
+        else if (++strikes >= MAX_STRIKES && !kicked) {
+          kicked = true;
+          this.kick(pid, 'Disconnected by the host: too many invalid or excessive messages.');
+        }
+        return;
+      }
+      strikes = Math.max(0, strikes - 0.1);  // the odd bad packet is forgiven
+      if (sid !== null) return;  // spectators only listen
+
+      if (pid === null && data.type === MSG.BIND) {
+        pid = this._bindFast(conn, data);
+        return;
+      }
+      if (pid === null) {
+        // First message must be the join request, which is also the hello
+        if (data.type !== MSG.JOIN) return;
+        const error = checkHello(data, this.requiredCaps)
+          ?? (data.spectate && !this.maxSpectators ? 'This room does not take spectators.' : null);
+        if (error) {
+          this._write(conn, { type: MSG.WELCOME, error, proto: PROTOCOL_VERSION });
+          setTimeout(() => conn.close(), 500);
+          return;
+        }
+        if (data.spectate) {
+          sid = this._addSpectator(conn, data);
+          if (sid === null) setTimeout(() => conn.close(), 500);
+          return;
+        }
+        const slot = this._claimSlot(data.pid, data.token);
+        if (slot.pid < 0) {
+          this._write(conn, { type: MSG.WELCOME, full: true });
+          setTimeout(() => conn.close(), 500);
+          return;
+        }
+        pid = slot.pid;
+        this.conns.set(pid, conn);
+        this.peerCaps.set(pid, new Set(data.caps));
+        this.peerLevels.set(pid, new Set(data.levels));
+        this._sendLevel(pid);
+        const token = (slot.resumed && data.token) || Math.random().toString(36).slice(2);
+        this._tokens.set(pid, token);
+        const extra = this.welcomeInfo ? this.welcomeInfo(pid) : {};
+        this._write(conn, { ...extra, type: MSG.WELCOME, pid, hostPid: this.localPid,
+                            resumed: slot.resumed, token,
+                            proto: PROTOCOL_VERSION, version: GAME_VERSION, caps: CAPABILITIES });
+        // In the roster first – onPeerJoined greets the player by name
+        this.roster.set(pid, { name: cleanName(data.name), ready: false });
+        if (this.onPeerJoined) this.onPeerJoined(pid, { resumed: slot.resumed });
+        this._rosterChanged();
+        return;
+      }
+      if (data.type === MSG.BIND) {
+        this._write(conn, { type: MSG.BIND });  // client retried before our ack landed
+        return;
+      }
+      this._receive(conn, data, pid);
+    });
+
+    conn.on('close', () => {
+      if (sid !== null) {
+        this.spectators.delete(sid);
+        this.peerCaps.delete(sid);
+        this.peerLevels.delete(sid);
+        if (this.onSpectatorLeft) this.onSpectatorLeft(sid);
+        this._rosterChanged();
+        return;
+      }
+      if (pid !== null && this._fast.get(pid) === conn) {
+        this._fast.delete(pid);
+        return;
+      }
+      if (pid === null || this.conns.get(pid) !== conn) return;
+      this.conns.delete(pid);
+      this.peerCaps.delete(pid);
+      this.peerLevels.delete(pid);
+      this.links.delete(pid);
+      this._dropFast(pid);
+      this.reserve([pid], this._tokens.get(pid));
+      if (this.onPeerDropped) this.onPeerDropped(pid);
+      this.roster.delete(pid);
+      this._rosterChanged();
     });
 
-    this.peer.on('error', (err) => {
+    conn.on('error', (err) => {
       if (this.onError) this.onError(err);
     });
   }
 
-  _setupConn(conn) {
+  /** Host: welcome a spectator → its id, or null if the room has no seat left. */
+  _addSpectator(conn, hello) {
+    if (this.spectators.size >= this.maxSpectators) {
+      this._write(conn, { type: MSG.WELCOME, full: true });
+      return null;
+    }
+    const sid = 's' + this._nextSpectator++;
+    this.spectators.set(sid, conn);
+    this.peerCaps.set(sid, new Set(hello.caps));
+    this.peerLevels.set(sid, new Set(hello.levels));
+    this._sendLevel(sid);
+    const extra = this.welcomeInfo ? this.welcomeInfo(null) : {};
+    this._write(conn, { ...extra, type: MSG.WELCOME, spectator: true, hostPid: this.localPid,
+                        proto: PROTOCOL_VERSION, version: GAME_VERSION, caps: CAPABILITIES });
+    if (this.onSpectatorJoined) this.onSpectatorJoined(sid);
+    this._rosterChanged();
+    return sid;
+  }
+
+  /** Host: attach an unreliable connection to the slot whose token it presents → pid or null. */
+  _bindFast(conn, data) {
+    const pid = data.pid;
+    if (!this.conns.has(pid) || !data.token || this._tokens.get(pid) !== data.token) {
+      conn.close();
+      return null;
+    }
+    this._dropFast(pid);
+    this._fast.set(pid, conn);
+    this._write(conn, { type: MSG.BIND });
+    return pid;
+  }
+
+  _dropFast(pid) {
+    const fast = this._fast.get(pid);
+    this._fast.delete(pid);
+    if (fast) fast.close();
+  }
+
+  _setupClientConn(conn) {
     conn.on('open', () => {
-      // Flush pending
-      for (const m of this._pending) conn.send(m);
-      this._pending = [];
-      if (this.onConnected) this.onConnected();
+      this._write(conn, { type: MSG.JOIN, pid: this._wantPid, token: this.token,
+                          spectate: this.spectating || undefined, name: cleanName(this.name) || undefined,
+                          levels: [...this.levels.keys()].slice(-MAX_CACHED_LEVELS),
+                          proto: PROTOCOL_VERSION, version: GAME_VERSION, caps: CAPABILITIES });
     });
 
-    conn.on('data', (data) => {
-      if (this.onMessage) this.onMessage(data);
+    conn.on('data', (raw) => {
+      const data = this._read(raw, 'host');
+      if (data === null) {
+        netStats.rejected++;
+        return;
+      }
+      if (data.type === MSG.KICK) {
+        this.onDisconnected = null;  // no reconnecting after this
+        if (this.onError) this.onError({ type: 'kicked', message: data.reason });
+        return;
+      }
+      // Taken as they come, like the WELCOME they may precede
+      if (data.type === MSG.LEVEL) {
+        this._onLevelMsg(data);
+        return;
+      }
+      if (data.type === MSG.WELCOME) {
+        if (data.full) {
+          if (this.onError) this.onError({ type: 'room-full' });
+          return;
+        }
+        const error = data.error ?? (data.proto !== PROTOCOL_VERSION
+          ? `Version mismatch: the host runs v${data.version ?? '?'} (protocol ${data.proto ?? '?'}), `
+            + `you have v${GAME_VERSION} (protocol ${PROTOCOL_VERSION}). Everyone needs the same version.`
+          : null);
+        if (error) {
+          this.onDisconnected = null;
+          if (this.onError) this.onError({ type: 'incompatible', message: error });
+          return;
+        }
+        this.hostCaps = new Set(data.caps);
+        this.localPid = data.pid ?? null;
+        this.hostPid  = data.hostPid ?? 0;
+        this.token    = data.token ?? null;
+        // Flush pending
+        for (const m of this._pending) this._write(conn, m);
+        this._pending = [];
+        if (!this.spectating) {
+          this._openFastChannel();
+          this._startPings();
+        }
+        if (this.onConnected) this.onConnected(data.pid, data);
+        return;
+      }
+      this._receive(conn, data, this.hostPid);
     });
 
     conn.on('close', () => {
+      if (this.fast) this.fast.close();
       if (this.onDisconnected) this.onDisconnected();
     });
 
@@ -84,19 +445,304 @@ export class Network {
     });
   }
 
+  /** Client: open the unreliable channel and bind it to our slot (BIND is resent until acked). */
+  _openFastChannel() {
+    const fast = this.fast = this.transport.connect(this._hostId, {
+      reliable: false, label: FAST_LABEL, serialization: 'binary',
+    });
+    let timer = null;
+    const bind = () => {
+      if (fast.open) this._write(fast, { type: MSG.BIND, pid: this.localPid, token: this.token });
+      else clearInterval(timer);
+    };
+
+    fast.on('open', () => {
+      bind();
+      timer = setInterval(bind, BIND_RETRY_MS);
+    });
+
+    fast.on('data', (raw) => {
+      const data = this._read(raw, 'host');
+      if (data === null) {
+        netStats.rejected++;
+        return;
+      }
+      if (data.type === MSG.BIND) {
+        clearInterval(timer);
+        if (this.fast === fast) this._fastBound = true;
+        return;
+      }
+      this._receive(fast, data, this.hostPid);
+    });
+
+    // Losing only this channel is harmless – traffic falls back to the reliable one
+    fast.on('close', () => {
+      clearInterval(timer);
+      if (this.fast === fast) {
+        this.fast = null;
+        this._fastBound = false;
+      }
+    });
+
+    fast.on('error', (err) => {
+      console.warn('Unreliable channel error:', err.type);
+    });
+  }
+
+  /** Link diagnostics for `pid` (client: the host), created on first use. */
+  link(pid) {
+    let link = this.links.get(pid);
+    if (!link) this.links.set(pid, link = new LinkStats());
+    return link;
+  }
+
+  _startPings() {
+    clearInterval(this._pingTimer);
+    this._pingTimer = setInterval(() => {
+      const ping = { type: MSG.PING, t: performance.now() };
+      if (this.isHost) for (const pid of this.conns.keys()) this.sendTo(pid, ping);
+      else if (this.conn?.open) this.send(ping);
+    }, PING_INTERVAL_MS);
+  }
+
+  /** Hand a validated message that arrived on `conn` to the ping timer or onMessage. */
+  _receive(conn, data, pid) {
+    simulatePacket(conn, 'in', conn.label !== FAST_LABEL, () => {
+      if (this._onPingPong(data, pid) || this._onLobbyMsg(data, pid)) return;
+      if (this.onMessage) this.onMessage(data, pid);
+    });
+  }
+
+  /** Answer a ping, or time a pong → true if `data` was either. */
+  _onPingPong(data, pid) {
+    if (data.type === MSG.PING) {
+      const pong = { type: MSG.PONG, t: data.t };
+      if (this.isHost) this.sendTo(pid, pong);
+      else this.send(pong);
+      return true;
+    }
+    if (data.type === MSG.PONG) {
+      this.link(pid).pong(data.t);
+      return true;
+    }
+    return false;
+  }
+
+  // ── Lobby ─────────────────────────────────────────────────
+
+  /** Client: tell the host whether we are ready to start. */
+  setReady(ready) {
+    if (!this.isHost) this.send({ type: MSG.READY, ready });
+  }
+
+  /** Host: change the room settings (level, mode, rules, started, seed) and tell everyone. */
+  setRoom(changes) {
+    Object.assign(this.room, changes);
+    this._rosterChanged();
+  }
+
+  /** Host: broadcast the roster and room settings, and report the change locally. */
+  _rosterChanged() {
+    if (!this.isHost) return;
+    this.room.spectators = this.spectators.size;
+    const { level, mode, rules, started, seed, spectators, custom } = this.room;
+    const players = [...this.roster].map(([pid, e]) => [pid, e.name, e.ready]);
+    this.send({ type: MSG.LOBBY, players, level, mode, rules, started, seed, spectators, custom });
+    if (this.onLobby) this.onLobby();
+  }
+
+  /** Handle READY (host) or LOBBY (client) → true if `data` was either. */
+  _onLobbyMsg(data, pid) {
+    if (data.type === MSG.READY) {
+      const entry = this.roster.get(pid);
+      if (entry && entry.ready !== data.ready) {
+        entry.ready = data.ready;
+        this._rosterChanged();
+      }
+      return true;
+    }
+    if (data.type === MSG.LOBBY) {
+      this.roster = new Map(data.players.map(([p, name, ready]) => [p, { name, ready }]));
+      this.room = { level: data.level, mode: data.mode, rules: data.rules, started: data.started,
+                    seed: data.seed ?? undefined, spectators: data.spectators, custom: data.custom ?? null };
+      if (this.onLobby) this.onLobby();
+      return true;
+    }
+    return false;
+  }
+
+  // ── Custom levels ─────────────────────────────────────────
+
+  /**
+   * Host: play level file `doc` (null: a built-in level again) and send it to
+   * every peer that does not have it yet → its checksum. Cheap to repeat.
+   */
+  shareLevel(doc) {
+    if (!doc) {
+      this.sharedLevel = null;
+      return undefined;
+    }
+    if (this.sharedLevel?.doc !== doc) {
+      const { sum, chunks } = levelChunks(doc);
+      this.sharedLevel = { sum, doc, chunks };
+      this.levels.set(sum, doc);
+    }
+    for (const id of [...this.conns.keys(), ...this.spectators.keys()]) this._sendLevel(id);
+    return this.sharedLevel.sum;
+  }
+
+  /** Host: send the shared level's chunks to peer `id` unless it has them. */
+  _sendLevel(id) {
+    const shared = this.sharedLevel;
+    const has = this.peerLevels.get(id);
+    if (!shared || !has || has.has(shared.sum)) return;
+    for (const chunk of shared.chunks) this.sendTo(id, chunk);
+    has.add(shared.sum);
+  }
+
+  /** Client: collect a MSG.LEVEL chunk; report the level once it is whole. */
+  _onLevelMsg(data) {
+    try {
+      const doc = this._assembler.add(data);
+      if (doc) {
+        this.levels.set(data.sum, doc);
+        if (this.onLevel) this.onLevel(data.sum, doc);
+      }
+    } catch (err) {
+      netStats.rejected++;
+      console.warn('Dropped level:', err.message);
+    }
+  }
+
+  /** Host: the connection `msg` should travel to `pid` on. */
+  _connFor(pid, msg) {
+    if (UNRELIABLE_TYPES.has(msg.type)) {
+      const fast = this._fast.get(pid);
+      if (fast && fast.open) return fast;
+    }
+    return this.conns.get(pid) ?? this.spectators.get(pid);
+  }
+
+  /**
+   * Host: broadcast to every client and spectator. Client: send to the host.
+   * Channel is chosen by msg.type. Spectators send nothing.
+   */
   send(msg) {
-    if (this.conn && this.conn.open) {
-      this.conn.send(msg);
+    if (this.spectating) return;
+    if (this.isHost) {
+      for (const pid of this.conns.keys()) {
+        const conn = this._connFor(pid, msg);
+        if (conn.open) this._write(conn, msg);
+      }
+      this._sendSpectators(msg);
+    } else if (UNRELIABLE_TYPES.has(msg.type) && this._fastBound && this.fast.open) {
+      this._write(this.fast, msg);
+    } else if (this.conn && this.conn.open && this.localPid !== null) {
+      this._write(this.conn, msg);
     } else {
       this._pending.push(msg);
     }
   }
 
-  destroy() {
-    if (this.peer) {
-      this.peer.destroy();
-      this.peer = null;
+  /** Host only: send to a single client or spectator. */
+  sendTo(pid, msg) {
+    const conn = this._connFor(pid, msg);
+    if (conn && conn.open) this._write(conn, msg);
+  }
+
+  /** Host only: broadcast to every client except `exceptPid` (used to relay client messages). */
+  relay(msg, exceptPid) {
+    for (const pid of this.conns.keys()) {
+      const conn = this._connFor(pid, msg);
+      if (pid !== exceptPid && conn.open) this._write(conn, msg);
+    }
+    this._sendSpectators(msg);
+  }
+
+  _sendSpectators(msg) {
+    if (msg.type === MSG.INPUT) return;  // they have nobody to simulate
+    for (const conn of this.spectators.values()) {
+      if (conn.open) this._write(conn, msg);
     }
+  }
+
+  _write(conn, msg) {
+    const wire = conn.serialization === 'json' ? packBinary(msg) : msg;
+    simulatePacket(conn, 'out', conn.label !== FAST_LABEL, () => conn.send(wire));
+    netStats.sent += wireSize(wire);
+  }
+
+  /** Count, unwrap and validate an inbound message → the message, or null to drop it. */
+  _read(data, sender) {
+    const size = wireSize(data);
+    netStats.received += size;
+    const msg = unpackBinary(data);
+    const problem = validateMessage(msg, size, sender);
+    if (problem) {
+      console.warn('Dropped message:', problem);
+      return null;
+    }
+    return msg;
+  }
+
+  /** Host only: tell a client why, then drop it. Its session token is void. */
+  kick(pid, reason) {
+    const conn = this.conns.get(pid) ?? this.spectators.get(pid);
+    if (!conn) return;
+    this._write(conn, { type: MSG.KICK, reason });
+    this._tokens.delete(pid);
+    setTimeout(() => conn.close(), 200);
+  }
+
+  destroy() {
+    // Tear-down is deliberate – don't report it as a peer dropping
+    this.onDisconnected = null;
+    this.onError        = null;
+    this.onPeerDropped  = null;
+    this.onPeerLeft     = null;
+    this.onSpectatorLeft = null;
+    this.onLobby        = null;
+    clearInterval(this._pingTimer);
+    for (const pid of [...this._reserved.keys()]) this._release(pid);
+    this.transport.destroy();
     this.conn = null;
+    this.fast = null;
+    this._fastBound = false;
+    this.conns.clear();
+    this._fast.clear();
+    this.spectators.clear();
+  }
+}
+
+// ── Binary fields over JSON ─────────────────────────────────
+
+function packBinary(msg) {
+  let out = msg;
+  for (const [key, v] of Object.entries(msg)) {
+    if (v instanceof Uint8Array) {
+      if (out === msg) out = { ...msg };
+      let bin = '';
+      for (const b of v) bin += String.fromCharCode(b);
+      out[key] = { $bin: btoa(bin) };
+    }
   }
+  return out;
+}
+
+function unpackBinary(msg) {
+  if (!msg || typeof msg !== 'object') return msg;
+  for (const [key, v] of Object.entries(msg)) {
+    if (typeof v?.$bin === 'string') msg[key] = Uint8Array.from(atob(v.$bin), c => c.charCodeAt(0));
+  }
+  return msg;
+}
+
+/** Approximate bytes on the wire: JSON text plus raw binary payloads. */
+function wireSize(msg) {
+  let bytes = 0;
+  const json = JSON.stringify(msg, (key, v) => {
+    if (v instanceof Uint8Array || v instanceof ArrayBuffer) { bytes += v.byteLength; return 0; }
+    return v;
+  });
+  return bytes + (json?.length ?? 0);
 }
@@ -1,5 +1,5 @@
 // ============================================================
-//  player.js  –  Mario / Luigi player entity
+//  player.js  –  player entity (Mario / Luigi / Wario / Waluigi)
 // ============================================================
 
 import {
@@ -7,8 +7,9 @@ import {
 } from './constants.js';
 import { CFG } from './config.js';
 import { resolveEntity, levelBoundaryCheck } from './physics.js';
-import { Sprites, flipH } from './sprites.js';
+import { Sprites, flipH, playerSprite, PLAYER_PALETTES } from './sprites.js';
 import { InventorySlot } from './items.js';
+import { FIELD } from './codec.js';
 
 const SMALL_W = 24;
 const SMALL_H = 28;
@@ -17,15 +18,30 @@ const BIG_H   = 28;  // same height – sprite stays on ground, no floating
 const INVULN_FRAMES = 120;
 const WALK_ANIM_SPD = 6;  // frames per step
 const FIRE_COOLDOWN = 24;
+const RESPAWN_FRAMES = 180;  // death animation before a respawn (or game over)
+const SMOOTH_DECAY  = 0.8;   // per frame: how fast a prediction correction is eased out
+const SMOOTH_MAX    = 64;    // corrections larger than this snap (respawn, teleport)
+
+/** Binary layout of serialize() for state sync (codec.js) – every key but id. */
+export const PLAYER_NET_FIELDS = [
+  ['x', FIELD.FIXED], ['y', FIELD.FIXED], ['vx', FIELD.FIXED], ['vy', FIELD.FIXED],
+  ['state', FIELD.STR], ['power', FIELD.INT],
+  ['facingRight', FIELD.BOOL], ['onGround', FIELD.BOOL], ['jumpHold', FIELD.FIXED],
+  ['dead', FIELD.BOOL], ['invuln', FIELD.INT],
+  ['coins', FIELD.INT], ['lives', FIELD.INT], ['score', FIELD.INT], ['kills', FIELD.INT],
+  ['activeSlot', FIELD.INT], ['inventory', FIELD.SLOTS],
+];
 
 export class Player {
-  constructor(id, isLuigi, spawnX, spawnY) {
-    this.id       = id;       // 0 = P1 Mario, 1 = P2 Luigi
-    this.isLuigi  = isLuigi;
+  constructor(id, spawnX, spawnY) {
+    this.id       = id;       // player slot 0..MAX_PLAYERS-1
+    this.palette  = PLAYER_PALETTES[id % PLAYER_PALETTES.length];
     this.power    = POWER.SMALL;
     this.lives    = 3;
     this.coins    = 0;
     this.score    = 0;
+    this.kills    = 0;        // versus: other players knocked out
+    this.endlessLives = false;  // versus: always respawn, lives never run out
 
     this.x  = spawnX;
     this.y  = spawnY;
@@ -67,6 +83,11 @@ export class Player {
     this._swordCooldown = 0;
     // Machine gun rapid-fire timer
     this._gunTimer = 0;
+
+    // Client-side prediction (see Game._reconcileLocal)
+    this._replaying = false;  // true while re-simulating unacknowledged inputs
+    this._errX      = 0;      // visual offset left over from the last correction
+    this._errY      = 0;
   }
 
   /** Add an item to inventory. Returns true if added (false if full). */
@@ -113,10 +134,15 @@ export class Player {
     this._resolveCollisions(level);
     this._updateState();
     this._updateAnimation(dt);
-    this._updateFireballs(level, dt);
+    if (!this._replaying) this._updateFireballs(level, dt);
 
     if (this.fireCooldown > 0) this.fireCooldown -= dt;
 
+    if (!this._replaying) {
+      this._errX *= SMOOTH_DECAY;
+      this._errY *= SMOOTH_DECAY;
+    }
+
     // Fell off level
     if (levelBoundaryCheck(this, level)) {
       this.kill(false);
@@ -175,7 +201,7 @@ export class Player {
     }
 
     // Fire
-    if (input.fire && this.power === POWER.FIRE && this.fireCooldown <= 0) {
+    if (input.fire && this.power === POWER.FIRE && this.fireCooldown <= 0 && !this._replaying) {
       this._spawnFireball();
       this.fireCooldown = FIRE_COOLDOWN;
     }
@@ -195,6 +221,8 @@ export class Player {
     this.hitWall    = false;
 
     const blocksHit = resolveEntity(this, level);
+    // A replayed frame already hit its blocks the first time round
+    if (this._replaying) return;
 
     // Block hits from below (question blocks, bricks)
     for (const { col, row } of blocksHit) {
@@ -278,9 +306,11 @@ export class Player {
     this.deadTimer += dt;
     this.vy = Math.min(this.vy + GRAVITY * dt, CFG.MAX_FALL);
     this.y += this.vy;
-    if (this.deadTimer > 180 && !this._deathHandled) {
+    if (this.deadTimer > RESPAWN_FRAMES && !this._deathHandled) {
       this._deathHandled = true;
-      if (this.lives > 1) {
+      if (this.endlessLives) {
+        this.respawn();
+      } else if (this.lives > 1) {
         this.lives--;
         this.respawn();
       } else {
@@ -306,6 +336,11 @@ export class Player {
     this.onGround = false;
   }
 
+  /** Frames until a dead player respawns (0 while alive). */
+  get respawnIn() {
+    return this.dead ? Math.max(0, RESPAWN_FRAMES - this.deadTimer) : 0;
+  }
+
   grow(newPower) {
     if (newPower <= this.power) return;
     this.power = newPower;
@@ -314,6 +349,16 @@ export class Player {
     this.h = BIG_H;
   }
 
+  /**
+   * Keep drawing the player where it was before a prediction correction moved
+   * it by (dx, dy), then ease the difference out over the next few frames.
+   */
+  smoothCorrection(dx, dy) {
+    this._errX += dx;
+    this._errY += dy;
+    if (Math.hypot(this._errX, this._errY) > SMOOTH_MAX) this._errX = this._errY = 0;
+  }
+
   drainEvents() {
     const evts = this._events || [];
     this._events = [];
@@ -322,32 +367,23 @@ export class Player {
 
   /** === DRAWING === */
   draw(ctx, camera) {
-    if (this.dead && this.deadTimer > 180) return;
+    if (this.dead && this.deadTimer > RESPAWN_FRAMES) return;
     if (this.invuln > 0 && !this.flashOn) return;
 
-    const sx = this.x - camera.x;
-    const sy = this.y - camera.y;
+    const sx = this.x + this._errX - camera.x;
+    const sy = this.y + this._errY - camera.y;
 
     const bigOff = 0; // hitbox and sprite are the same height now
 
-    let sprFn;
-    if (this.isLuigi) {
-      if (this.dead)                        sprFn = Sprites.LUIGI_IDLE_R;
-      else if (this.state === PSTATE.JUMP || this.state === PSTATE.FALL)
-                                            sprFn = Sprites.LUIGI_JUMP_R;
-      else if (this.animFrame === 1 && this.state !== PSTATE.IDLE)
-                                            sprFn = Sprites.LUIGI_WALK1_R;
-      else                                  sprFn = Sprites.LUIGI_IDLE_R;
-    } else {
-      if (this.dead)                        sprFn = Sprites.MARIO_IDLE_R;
-      else if (this.state === PSTATE.JUMP || this.state === PSTATE.FALL)
-                                            sprFn = this.big ? Sprites.MARIO_BIG_R : Sprites.MARIO_JUMP_R;
-      else if (this.animFrame === 1 && this.state !== PSTATE.IDLE)
-                                            sprFn = this.big ? Sprites.MARIO_BIG_R : Sprites.MARIO_WALK1_R;
-      else                                  sprFn = this.big ? Sprites.MARIO_BIG_R : Sprites.MARIO_IDLE_R;
-    }
+    let pose;
+    if (this.dead)                        pose = 'IDLE';
+    else if (this.state === PSTATE.JUMP || this.state === PSTATE.FALL)
+                                          pose = 'JUMP';
+    else if (this.animFrame === 1 && this.state !== PSTATE.IDLE)
+                                          pose = 'WALK1';
+    else                                  pose = 'IDLE';
 
-    let spr = sprFn();
+    let spr = playerSprite(this.palette, pose, this.big && !this.dead);
     if (!this.facingRight) spr = flipH(spr);
 
     // Center sprite on entity bounding box
@@ -356,66 +392,49 @@ export class Player {
     ctx.drawImage(spr, Math.round(drawX), Math.round(drawY));
 
     // Player label
-    ctx.fillStyle = this.isLuigi ? '#50C840' : '#D01018';
+    ctx.fillStyle = this.palette.color;
     ctx.font = 'bold 10px sans-serif';
     ctx.textAlign = 'center';
-    ctx.fillText(this.isLuigi ? 'P2' : 'P1', sx + this.w / 2, sy - 4);
+    ctx.fillText('P' + (this.id + 1), sx + this.w / 2, sy - 4);
 
     // Draw fireballs
     for (const fb of this._fireballs) fb.draw(ctx, camera);
   }
 
-  /** Serialise for network sync. */
+  /** Serialise for network sync (binary layout: PLAYER_NET_FIELDS). */
   serialize() {
     return {
       id:    this.id,
-      x:     Math.round(this.x),
-      y:     Math.round(this.y),
+      // Not whole pixels: a client rewinds its own player to this and replays from it
+      x:     +this.x.toFixed(2),
+      y:     +this.y.toFixed(2),
       vx:    +this.vx.toFixed(2),
       vy:    +this.vy.toFixed(2),
       state: this.state,
       power: this.power,
       facingRight: this.facingRight,
       onGround:    this.onGround,
+      jumpHold:    this.jumpHold,
       dead:        this.dead,
       invuln:      Math.round(this.invuln),
       coins:       this.coins,
       lives:       this.lives,
       score:       this.score,
+      kills:       this.kills,
       activeSlot:  this.activeSlot,
       inventory:   this.inventory.map(s => ({ type: s.type, ammo: s.ammo })),
     };
   }
 
-  /** Apply auth state from host.
-   * Hard-snap non-position fields; lerp x/y to avoid tab-switch teleporting. */
+  /** Apply authoritative state from the host. Hard snap – smoothing of the
+   * local player is done by Game._reconcileLocal, remote players are
+   * interpolated by Game._applyInterpolation. */
   applyState(s) {
-    // Position correction from host snapshot.
-    // The host's snapshot is always a few frames stale due to network lag,
-    // so we must not blindly snap the client toward a position that's behind
-    // where they've already moved.
-    const dx = s.x - this.x;
-    const dy = s.y - this.y;
-    const dist = Math.sqrt(dx * dx + dy * dy);
-
-    if (dist > 160) {
-      // Very far off (tab hidden, respawn, etc.) – hard snap immediately
-      this.x = s.x;
-      this.y = s.y;
-    } else if (dist > 4) {
-      // Only pull x back if the server says we're ahead by more than one tile,
-      // OR if we're moving in the opposite direction to the discrepancy.
-      // This prevents continuous backwards drift from stale snapshots.
-      const movingAgainstX = (this.vx > 0 && dx < 0) || (this.vx < 0 && dx > 0);
-      const largeXErr = Math.abs(dx) > 40;
-      if (largeXErr || movingAgainstX || Math.abs(dx) < 2) {
-        this.x += dx * 0.08;
-      }
-      // Y is always corrected – prevents floating / sinking through floors
-      this.y += dy * 0.15;
-    }
+    this.x    = s.x;
+    this.y    = s.y;
     this.vx   = s.vx;
     this.vy   = s.vy;
+    this.jumpHold = s.jumpHold ?? this.jumpHold;
     this.state = s.state;
     if (s.power !== undefined && s.power !== this.power) {
       this.power = s.power;
@@ -429,6 +448,7 @@ export class Player {
     this.coins       = s.coins  ?? this.coins;
     this.lives       = s.lives  ?? this.lives;
     this.score       = s.score  ?? this.score;
+    this.kills       = s.kills  ?? this.kills;
     if (s.inventory) {
       this.inventory  = s.inventory.map(i => { const sl = new InventorySlot(i.type); sl.ammo = i.ammo; return sl; });
       this.activeSlot = s.activeSlot ?? this.activeSlot;
@@ -0,0 +1,221 @@
+// ============================================================
+//  protocol.js  –  wire protocol version, handshake, validation
+// ============================================================
+
+import { MSG, MAX_PLAYERS, SPAWN } from './constants.js';
+import { LEVEL_COUNT } from './level.js';
+import { ITEM } from './items.js';
+import { LEVEL_CHUNK_CHARS, MAX_LEVEL_CHUNKS, MAX_CACHED_LEVELS } from './levelshare.js';
+
+/** Bump whenever a message changes shape; peers must match exactly. */
+export const PROTOCOL_VERSION = 11;
+export const GAME_VERSION     = '2.13';
+
+/**
+ * Optional features this build understands, exchanged in the JOIN/WELCOME
+ * handshake so a host can adapt to (or turn away) a peer that lacks one.
+ */
+export const CAPABILITIES = ['binary-state', 'rollback'];
+
+export const MAX_MSG_BYTES      = 32 * 1024;    // any single message…
+export const MAX_SNAPSHOT_BYTES = 1024 * 1024;  // …except the full-world snapshot
+export const MAX_STROKE_PTS     = 500;          // pencil stroke points
+export const MAX_CHAT_LEN       = 80;
+export const MAX_NAME_LEN       = 16;
+
+/** Game modes a host can pick in the lobby. */
+export const GAME_MODES = ['host', 'rollback'];
+
+/** Rules a host can pick in the lobby: reach the goal together, or fight each other. */
+export const GAME_RULES = ['coop', 'versus'];
+
+const RATE_PER_SEC = 120;   // client → host messages (inputs run at 60 Hz)
+const RATE_BURST   = 240;
+
+// ── Checks ───────────────────────────────────────────────────
+// Each returns true if the value is acceptable. null/undefined only pass
+// inside opt().
+
+const int   = (min = -(2 ** 31), max = 2 ** 32) => v => Number.isInteger(v) && v >= min && v <= max;
+const num   = (min = -1e6, max = 1e6) => v => typeof v === 'number' && Number.isFinite(v) && v >= min && v <= max;
+const bool  = v => typeof v === 'boolean';
+const str   = (max) => v => typeof v === 'string' && v.length <= max;
+const oneOf = (...values) => v => values.includes(v);
+const opt   = (check) => v => v === undefined || v === null || check(v);
+const list  = (check, max) => v => Array.isArray(v) && v.length <= max && v.every(check);
+const tuple = (...checks) => v => Array.isArray(v) && v.length === checks.length && checks.every((c, i) => c(v[i]));
+const bytes = (max) => v => (v instanceof Uint8Array || v instanceof ArrayBuffer) && v.byteLength <= max;
+const plain = v => v !== null && typeof v === 'object' && !Array.isArray(v);
+const shape = (fields) => v => plain(v) && badField(fields, v) === null;
+const record = (check, max) => v => plain(v) && Object.keys(v).length <= max && Object.values(v).every(check);
+
+/** Name of the first field of `v` that fails its check, or null. */
+function badField(fields, v) {
+  for (const [key, check] of Object.entries(fields)) {
+    if (!check(v[key])) return key;
+  }
+  return null;
+}
+
+const pid   = int(0, MAX_PLAYERS - 1);
+const frame = int(0);
+const tile  = int(0, 4095);       // level column / row
+const coord = num(-1e5, 1e5);
+const sum   = v => typeof v === 'string' && /^[0-9a-f]{8}$/.test(v);  // a custom level's checksum
+
+const KEYS = shape({
+  left: opt(bool), right: opt(bool), jump: opt(bool), run: opt(bool), fire: opt(bool),
+  mouseDown: opt(bool), mouseClicked: opt(bool),
+  mouseAngle: opt(num(-10, 10)), slot: opt(int(0, 9)),
+  draw: opt(shape({
+    x: coord, y: coord, w: num(0, 1e5), h: num(0, 1e5),
+    pts: list(tuple(coord, coord), MAX_STROKE_PTS),
+  })),
+});
+
+const TILE_CHANGE = tuple(tile, tile, int(0, 255));
+
+// ── Messages ─────────────────────────────────────────────────
+// `from`: who may send it – 'host', 'client' or 'any'.
+
+const MESSAGES = {
+  [MSG.INPUT]: { from: 'any', fields: {
+    frame: opt(frame), seq: opt(int(0)), keys: opt(KEYS),
+    tileVer: opt(int(0)), stateAck: opt(int(-1)), ackSeed: opt(int(0)),
+    // Rollback mode: redundant recent inputs
+    epoch: opt(int(0)), inputs: opt(list(tuple(frame, KEYS), 32)),
+  } },
+  // A binary STATE is checked twice: `bin` as it arrives, the rest once game.js has decoded it
+  [MSG.STATE]:    { from: 'host', fields: {
+    bin: opt(bytes(MAX_MSG_BYTES)), frame: opt(frame), seed: opt(int(0)),
+    active: opt(list(pid, MAX_PLAYERS)), acks: opt(record(int(0), MAX_PLAYERS)),
+    players: opt(list(plain, MAX_PLAYERS)), enemies: opt(list(plain, 1 << 12)), drawn: opt(list(plain, 1024)),
+    coins: opt(list(str(16), 1 << 16)),
+    platforms: opt(list(tuple(coord, oneOf(-1, 1)), 1024)),
+    powerUps: opt(list(shape({ id: int(0), x: coord, y: coord, vx: opt(num(-100, 100)), vy: opt(num(-100, 100)),
+                               dead: opt(bool), type: oneOf(SPAWN.MUSHROOM, SPAWN.FLOWER) }), 1024)),
+    tiles: opt(shape({ from: int(0), to: int(0), changes: list(TILE_CHANGE, 1 << 16) })),
+    spectators: opt(int(0, 1000)),
+  } },
+  [MSG.SNAPSHOT]: { from: 'host', maxBytes: MAX_SNAPSHOT_BYTES, fields: {
+    level: int(0, LEVEL_COUNT - 1), seed: int(0), state: plain,
+    tiles: list(TILE_CHANGE, 1 << 20), tileVer: int(0),
+    blocks: list(str(16), 1 << 16), crates: list(str(16), 1 << 16),
+    drawn: list(shape({ id: int(0), x: coord, y: coord, w: num(0, 1e5), h: num(0, 1e5),
+                        pts: list(tuple(coord, coord), MAX_STROKE_PTS) }), 1024),
+  } },
+  [MSG.EVENT]:    { from: 'any', fields: { event: str(32) } },
+  [MSG.READY]:    { from: 'client', fields: { ready: bool } },
+  [MSG.RESTART]:  { from: 'host', fields: { level: int(0, LEVEL_COUNT - 1), seed: opt(int(0)), custom: opt(sum) } },
+  [MSG.JOIN]:     { from: 'client', fields: {
+    pid: opt(pid), token: opt(str(64)), spectate: opt(bool), name: opt(str(MAX_NAME_LEN)),
+    // Checked by checkHello, which explains a mismatch instead of dropping it
+    proto: opt(int(0)), version: opt(str(16)), caps: opt(list(str(32), 32)),
+    levels: opt(list(sum, MAX_CACHED_LEVELS)),  // custom levels it has cached
+  } },
+  [MSG.WELCOME]:  { from: 'host', fields: {
+    pid: opt(pid), hostPid: opt(pid), token: opt(str(64)), spectator: opt(bool),
+    proto: opt(int(0)), caps: opt(list(str(32), 32)), error: opt(str(200)),
+    lobby: opt(bool), custom: opt(sum),
+  } },
+  [MSG.BIND]:     { from: 'any', fields: { pid: opt(pid), token: opt(str(64)) } },
+  [MSG.KICK]:     { from: 'host', fields: { reason: str(200) } },
+  [MSG.PING]:     { from: 'any',  fields: { t: num(0, 1e12) } },
+  [MSG.PONG]:     { from: 'any',  fields: { t: num(0, 1e12) } },
+  [MSG.LOBBY]:    { from: 'host', fields: {
+    players: list(tuple(pid, str(MAX_NAME_LEN), bool), MAX_PLAYERS),
+    level: int(0, LEVEL_COUNT - 1), mode: oneOf(...GAME_MODES), rules: oneOf(...GAME_RULES), started: bool,
+    seed: opt(int(0)), spectators: int(0, 1000), custom: opt(shape({ sum, name: str(40) })),
+  } },
+  [MSG.PAUSE]:    { from: 'any', fields: { paused: bool, pid: opt(pid), reason: opt(oneOf('menu', 'hidden')) } },
+  [MSG.LEVEL]:    { from: 'host', fields: {
+    sum, part: int(0, MAX_LEVEL_CHUNKS - 1), parts: int(1, MAX_LEVEL_CHUNKS), data: str(LEVEL_CHUNK_CHARS),
+  } },
+};
+
+// `from` as for messages: a host only takes the 'any' events from clients
+const EVENTS = {
+  COIN:          { from: 'host', fields: { pid, score: int(0) } },
+  POWERUP:       { from: 'host', fields: { pid, power: int(0, 2) } },
+  HURT:          { from: 'host', fields: { pid } },
+  STOMP:         { from: 'host', fields: { pid, eid: int(0) } },
+  GAME_OVER:     { from: 'host', fields: {} },
+  WIN:           { from: 'host', fields: {} },
+  KILL:          { from: 'host', fields: { pid, victim: pid, how: str(16) } },
+  MATCH_OVER:    { from: 'host', fields: { standings: list(tuple(pid, int(0), int(0)), MAX_PLAYERS) } },
+  BRICK_BREAK:   { from: 'host', fields: { col: tile, row: tile } },
+  POWERUP_SPAWN: { from: 'host', fields: { col: tile, row: tile, putype: str(16) } },
+  BLOCK_HIT:     { from: 'host', fields: { col: tile, row: tile, item: opt(str(16)) } },
+  CRATE_PICKUP:  { from: 'host', fields: { pid, key: str(16), item: oneOf(...Object.values(ITEM)) } },
+  CHAT:          { from: 'any',  fields: { pid, text: str(MAX_CHAT_LEN) } },
+  PROJ_SPAWN:    { from: 'any',  fields: {
+    pid, projType: oneOf(...Object.values(ITEM)), x: coord, y: coord,
+    angle: opt(num(-10, 10)), vx: opt(num(-100, 100)), vy: opt(num(-100, 100)),
+  } },
+  DRAW_OBJ:      { from: 'any',  fields: {
+    id: opt(int(0)), x: coord, y: coord, w: num(0, 1e5), h: num(0, 1e5),
+    pts: list(tuple(coord, coord), MAX_STROKE_PTS),
+  } },
+};
+
+/**
+ * Why `msg` (of `size` bytes, from a 'host' or 'client') must be dropped,
+ * or null if it is well-formed.
+ */
+export function validateMessage(msg, size, sender) {
+  if (!plain(msg)) return 'not an object';
+  const spec = MESSAGES[msg.type];
+  if (!spec) return `unknown message type "${String(msg.type).slice(0, 16)}"`;
+  if (size > (spec.maxBytes ?? MAX_MSG_BYTES)) return `${msg.type} too large (${size} bytes)`;
+  if (spec.from !== 'any' && spec.from !== sender) return `${msg.type} not allowed from ${sender}`;
+  const bad = badField(spec.fields, msg);
+  if (bad) return `${msg.type}: invalid "${bad}"`;
+
+  if (msg.type === MSG.EVENT) {
+    const ev = EVENTS[msg.event];
+    if (!ev) return `unknown event "${msg.event}"`;
+    if (ev.from !== 'any' && ev.from !== sender) return `${msg.event} not allowed from ${sender}`;
+    const badEv = badField(ev.fields, msg);
+    if (badEv) return `${msg.event}: invalid "${badEv}"`;
+  }
+  return null;
+}
+
+/**
+ * Is a peer's hello (MSG.JOIN) compatible with us? Returns an error for the
+ * lobby, or null. `required` lists capabilities this room cannot do without.
+ */
+export function checkHello(hello, required = []) {
+  if (hello.proto !== PROTOCOL_VERSION) {
+    return `Version mismatch: the host runs v${GAME_VERSION} (protocol ${PROTOCOL_VERSION}), `
+         + `you have v${hello.version ?? '?'} (protocol ${hello.proto ?? '?'}). `
+         + 'Everyone needs the same version – refresh to update.';
+  }
+  const missing = required.filter(cap => !(hello.caps ?? []).includes(cap));
+  if (missing.length) return 'Your game does not support this room (' + missing.join(', ') + ').';
+  return null;
+}
+
+/** A display name as everyone will see it: printable, single-spaced, MAX_NAME_LEN at most. */
+export function cleanName(name) {
+  return String(name ?? '').replace(/[\u0000-\u001f\u007f]/g, '').replace(/\s+/g, ' ').trim().slice(0, MAX_NAME_LEN);
+}
+
+/** Token bucket: allows RATE_PER_SEC messages per second with bursts up to RATE_BURST. */
+export class RateLimiter {
+  constructor(rate = RATE_PER_SEC, burst = RATE_BURST) {
+    this.rate   = rate;
+    this.burst  = burst;
+    this.tokens = burst;
+    this._last  = performance.now();
+  }
+
+  take() {
+    const now = performance.now();
+    this.tokens = Math.min(this.burst, this.tokens + (now - this._last) * this.rate / 1000);
+    this._last = now;
+    if (this.tokens < 1) return false;
+    this.tokens--;
+    return true;
+  }
+}
@@ -0,0 +1,179 @@
+// ============================================================
+//  replay.js  –  input recordings of a level and their playback
+// ============================================================
+
+import { MAX_PLAYERS } from './constants.js';
+import { LEVEL_COUNT } from './level.js';
+import { validateLevelFile } from './levelfile.js';
+
+export const REPLAY_FORMAT  = 'marioonline-replay';
+export const REPLAY_VERSION = 1;
+export const MAX_REPLAY_FRAMES = 60 * 60 * 30;  // recording stops after 30 minutes
+
+/**
+ * Records one level load on the peer whose world is authoritative (host,
+ * solo, or either rollback peer): the level (with its file when custom), its
+ * seed and the physics settings, then every frame the input each player's
+ * simulation consumed.
+ * A player's input is only stored when it differs from their previous frame.
+ * `local` is the recording peer's own slot – its player steps first – and
+ * `netcode` how it simulated ('host', or 'rollback' with the other player's
+ * input handed in explicitly).
+ *
+ * Pencil strokes (outside rollback, where they ride in the input) and players
+ * joining or leaving are kept as their own per-frame lists. Frames count like
+ * Game._frame: the first simulated frame after load() is 1.
+ */
+export class ReplayRecorder {
+  constructor({ level, custom, seed, rules, netcode, local, players, names, cfg, version }) {
+    this.data = {
+      format: REPLAY_FORMAT, v: REPLAY_VERSION, version,
+      level, custom, seed, rules, netcode, local, players, names, cfg,
+      frames:  0,
+      inputs:  {},  // pid → [[frame, keys], …] changes only
+      strokes: [],  // [[frame, { id, x, y, w, h, pts }], …]
+      events:  [],  // [[frame, 'join' | 'drop' | 'leave', pid, resumed], …]
+      truncated: false,
+    };
+    this._last = {};  // pid → JSON of their last stored keys
+  }
+
+  /**
+   * `keys` were what player `pid` ran on in `frame`. Recording a frame again
+   * (a rollback resimulating it) replaces what was stored from there on.
+   */
+  input(frame, pid, keys) {
+    if (!this._room(frame)) return;
+    const list = (this.data.inputs[pid] ??= []);
+    if (list.length && list[list.length - 1][0] >= frame) {
+      while (list.length && list[list.length - 1][0] >= frame) list.pop();
+      this._last[pid] = list.length ? JSON.stringify(list[list.length - 1][1]) : undefined;
+    }
+    // The aim only matters on frames that fire – a moving mouse alone is not a change
+    const json = JSON.stringify(keys.mouseDown || keys.mouseClicked ? keys : { ...keys, mouseAngle: undefined });
+    // One-shot clicks and strokes only count in their own frame, so always store them
+    if (json === this._last[pid] && !keys.mouseClicked && !keys.draw) return;
+    this._last[pid] = json;
+    list.push([frame, JSON.parse(json)]);
+  }
+
+  stroke(frame, stroke) {
+    if (this._room(frame)) this.data.strokes.push([frame, stroke]);
+  }
+
+  event(frame, kind, pid, resumed = false) {
+    if (this._room(frame)) this.data.events.push([frame, kind, pid, resumed]);
+  }
+
+  name(pid, name) {
+    this.data.names[pid] = name;
+  }
+
+  /** Extend the recording to `frame` – false once it is full. */
+  _room(frame) {
+    if (frame > MAX_REPLAY_FRAMES) {
+      this.data.truncated = true;
+      return false;
+    }
+    this.data.frames = Math.max(this.data.frames, frame);
+    return true;
+  }
+}
+
+/** Offer `data` (a recording) to the user as a .json download. */
+export function downloadReplay(data) {
+  const stamp = new Date().toISOString().slice(0, 19).replace(/[T:]/g, '-');
+  const blob = new Blob([JSON.stringify(data)], { type: 'application/json' });
+  const a = document.createElement('a');
+  a.href = URL.createObjectURL(blob);
+  a.download = `marioonline-level${data.level + 1}-${stamp}.replay.json`;
+  document.body.append(a);
+  a.click();
+  a.remove();
+  setTimeout(() => URL.revokeObjectURL(a.href), 0);
+}
+
+/**
+ * A recording ready to be played back → ReplayPlayer. Throws an Error that
+ * explains what is wrong with anything else.
+ */
+export function parseReplay(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch {
+    throw new Error('Not a replay file (not JSON).');
+  }
+  if (data?.format !== REPLAY_FORMAT) throw new Error('Not a replay file.');
+  if (data.v !== REPLAY_VERSION) throw new Error(`Unsupported replay format v${data.v}.`);
+  const pidOk = (p) => Number.isInteger(p) && p >= 0 && p < MAX_PLAYERS;
+  if (!Number.isInteger(data.level) || data.level < 0 || data.level >= LEVEL_COUNT ||
+      !Number.isInteger(data.seed) || !Number.isInteger(data.frames) || !pidOk(data.local) ||
+      !Array.isArray(data.players) || !data.players.every(pidOk) ||
+      typeof data.inputs !== 'object' || !Array.isArray(data.strokes) || !Array.isArray(data.events)) {
+    throw new Error('The replay file is damaged.');
+  }
+  if (data.custom) validateLevelFile(data.custom);
+  return new ReplayPlayer(data);
+}
+
+/** Fetch and parse the replay at `url` (?replay=…). */
+export async function fetchReplay(url) {
+  const res = await fetch(url);
+  if (!res.ok) throw new Error(`Could not load the replay (${res.status}).`);
+  return parseReplay(await res.text());
+}
+
+/** Read-only view of a recording, indexed for playback frame by frame. */
+export class ReplayPlayer {
+  constructor(data) {
+    this.data    = data;
+    this.level   = data.level;
+    this.custom  = data.custom ?? null;  // level file, when not a built-in level
+    this.seed    = data.seed;
+    this.rules   = data.rules ?? 'coop';
+    this.netcode = data.netcode ?? 'host';
+    this.local   = data.local;
+    this.players = data.players;
+    this.names   = data.names ?? {};
+    this.cfg     = data.cfg ?? {};
+    this.version = data.version ?? '?';
+    this.frames  = data.frames;
+
+    this._strokes = new Map();  // frame → [stroke, …]
+    for (const [frame, s] of data.strokes) {
+      if (!this._strokes.has(frame)) this._strokes.set(frame, []);
+      this._strokes.get(frame).push(s);
+    }
+
+    this._events = new Map();  // frame → [[kind, pid, resumed], …]
+    for (const [frame, kind, pid, resumed] of data.events) {
+      if (!this._events.has(frame)) this._events.set(frame, []);
+      this._events.get(frame).push([kind, pid, resumed]);
+    }
+  }
+
+  /** What player `pid` pressed in `frame` (their latest change at or before it). */
+  keysFor(pid, frame) {
+    const list = this.data.inputs[pid];
+    if (!list?.length || list[0][0] > frame) return {};
+    // Binary search: last entry with entry frame <= frame
+    let lo = 0, hi = list.length - 1;
+    while (lo < hi) {
+      const mid = (lo + hi + 1) >> 1;
+      if (list[mid][0] <= frame) lo = mid;
+      else hi = mid - 1;
+    }
+    const [at, keys] = list[lo];
+    // One-shot parts belong to the frame they were recorded in
+    return at === frame ? keys : { ...keys, mouseClicked: false, draw: undefined };
+  }
+
+  strokesAt(frame) {
+    return this._strokes.get(frame) ?? [];
+  }
+
+  eventsAt(frame) {
+    return this._events.get(frame) ?? [];
+  }
+}
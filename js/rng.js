@@ -0,0 +1,49 @@
+// ============================================================
+//  rng.js  –  seedable PRNG for all gameplay randomness
+// ============================================================
+
+/**
+ * mulberry32 – a 32-bit state generator, small and fast enough to call per
+ * frame, and fully described by one integer so it can be sent over the
+ * network or stored in a save/replay.
+ */
+export class Rng {
+  constructor(seed = 1) {
+    this.seed(seed);
+  }
+
+  seed(seed) {
+    this.state = seed >>> 0;
+  }
+
+  /** Float in [0, 1). */
+  next() {
+    let t = (this.state = (this.state + 0x6D2B79F5) >>> 0);
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  }
+
+  /** Integer in [0, n). */
+  int(n) {
+    return Math.floor(this.next() * n);
+  }
+
+  /** Random element of `arr`. */
+  pick(arr) {
+    return arr[this.int(arr.length)];
+  }
+
+  /** Independent generator seeded from this one (e.g. one per entity). */
+  fork() {
+    return new Rng(this.int(4294967296));
+  }
+}
+
+/** The world generator: re-seeded on every level load, identically on every peer. */
+export const rng = new Rng(newSeed());
+
+/** A fresh seed for a new level load (host only – clients receive theirs). */
+export function newSeed() {
+  return Math.floor(Math.random() * 4294967296) >>> 0;
+}
@@ -0,0 +1,183 @@
+// ============================================================
+//  rollback.js  –  GGPO-style rollback session (two players)
+// ============================================================
+
+export const ROLLBACK_WINDOW = 12;  // frames we can rewind (200 ms at 60 Hz)
+
+const INPUT_REDUNDANCY = 6;         // each MSG.INPUT repeats our last N frames (packets get lost)
+const MAX_AHEAD        = ROLLBACK_WINDOW - 2;  // stall rather than outrun the rollback window
+
+/**
+ * Both peers simulate the whole world every frame. The remote player's input
+ * for a frame we have not heard about yet is *predicted* (its last known
+ * input held); when the real one arrives and differs, the world is restored
+ * from the ring buffer to that frame and re-simulated up to the present.
+ *
+ * The session is agnostic of the game – it only needs callbacks:
+ *   save()                     → opaque world state for the current frame
+ *   load(state)                → restore it
+ *   step(localKeys, remoteKeys, resim) → simulate exactly one frame (`resim`: one
+ *                              already shown, being replayed after a misprediction)
+ *   send(msg)                  → deliver { epoch, frame, inputs: [[frame, keys], ...] } to the peer
+ *
+ * `epoch` identifies one synchronized run (the level's seed): inputs sent
+ * before a restart must not be mistaken for frames of the new run.
+ */
+export class RollbackSession {
+  constructor({ save, load, step, send }) {
+    this._save = save;
+    this._load = load;
+    this._step = step;
+    this._send = send;
+    this.reset(0);
+  }
+
+  /** Forget everything – call whenever both peers (re)start a level together. */
+  reset(epoch) {
+    this.epoch        = epoch;
+    this.frame        = 0;          // next frame to simulate
+    this._states      = new Array(ROLLBACK_WINDOW + 1);  // ring: frame % size → { frame, state }
+    this._local       = new Map();  // frame → our input
+    this._remote      = new Map();  // frame → confirmed remote input
+    this._predicted   = new Map();  // frame → remote input we guessed
+    this._lastRemote  = {};         // newest confirmed remote input (prediction source)
+    this._lastRemoteFrame = -1;
+    this._remoteFrame = null;       // latest frame the peer reported reaching (null = no peer yet)
+    this._rollbackTo  = Infinity;
+    this.rollbacks    = 0;          // stats for the debug overlay
+  }
+
+  /**
+   * Advance one frame with our input. Returns false if we are so far ahead of
+   * the peer that we stall this frame instead.
+   */
+  advance(localKeys) {
+    if (this._rollbackTo < this.frame) this._resimulate(this._rollbackTo);
+    this._rollbackTo = Infinity;
+
+    if (this._remoteFrame !== null && this.frame - this._remoteFrame > MAX_AHEAD) return false;
+
+    const f = this.frame;
+    this._local.set(f, localKeys);
+    const inputs = [];
+    for (let i = Math.max(0, f - INPUT_REDUNDANCY + 1); i <= f; i++) {
+      if (this._local.has(i)) inputs.push([i, this._local.get(i)]);
+    }
+    this._send({ epoch: this.epoch, frame: f, inputs });
+
+    this._saveState(f);
+    this._step(localKeys, this._remoteInputFor(f), false);
+    this.frame++;
+    this._prune();
+    return true;
+  }
+
+  /** Was every frame up to `frame` simulated with the peer's real input – can it no longer roll back? */
+  isConfirmed(frame) {
+    if (frame > this._lastRemoteFrame || this._rollbackTo <= frame) return false;
+    for (const f of this._predicted.keys()) if (f <= frame) return false;
+    return true;
+  }
+
+  /** Handle the peer's MSG.INPUT. */
+  receive(msg) {
+    if (msg.epoch !== this.epoch) return;
+    if (Number.isInteger(msg.frame)) this._remoteFrame = Math.max(this._remoteFrame ?? -1, msg.frame);
+    for (const [f, keys] of msg.inputs ?? []) {
+      if (this._remote.has(f) || f < this.frame - ROLLBACK_WINDOW) continue;
+      this._remote.set(f, keys);
+      if (f > this._lastRemoteFrame) {
+        this._lastRemoteFrame = f;
+        this._lastRemote = keys;
+      }
+      // Already simulated with a guess – was the guess wrong?
+      const guess = this._predicted.get(f);
+      if (f < this.frame && guess && !sameInput(guess, keys)) {
+        this._rollbackTo = Math.min(this._rollbackTo, f);
+      }
+      this._predicted.delete(f);
+    }
+  }
+
+  _remoteInputFor(f) {
+    if (this._remote.has(f)) return this._remote.get(f);
+    // Predict: keep holding whatever they held last; one-shot actions don't repeat
+    const guess = { ...this._lastRemote, mouseClicked: false, draw: undefined };
+    this._predicted.set(f, guess);
+    return guess;
+  }
+
+  _saveState(f) {
+    this._states[f % this._states.length] = { frame: f, state: this._save() };
+  }
+
+  _resimulate(from) {
+    // Can't rewind past the ring buffer – resimulate from the oldest state we kept
+    let slot = this._states[from % this._states.length];
+    while (!slot || slot.frame !== from) {
+      from++;
+      if (from >= this.frame) return;
+      slot = this._states[from % this._states.length];
+    }
+    this.rollbacks++;
+    this._load(slot.state);
+    for (let f = from; f < this.frame; f++) {
+      if (f > from) this._saveState(f);
+      this._step(this._local.get(f) ?? {}, this._remoteInputFor(f), true);
+    }
+  }
+
+  _prune() {
+    const oldest = this.frame - ROLLBACK_WINDOW - INPUT_REDUNDANCY;
+    for (const map of [this._local, this._remote, this._predicted]) {
+      for (const f of map.keys()) if (f < oldest) map.delete(f);
+    }
+  }
+}
+
+/**
+ * Would these two inputs simulate identically? The aim angle only matters on
+ * frames that fire, so a moving mouse alone does not force a rollback.
+ */
+function sameInput(a, b) {
+  if (a.left !== b.left || a.right !== b.right || a.jump !== b.jump
+   || a.run !== b.run || a.fire !== b.fire || a.slot !== b.slot
+   || a.mouseDown !== b.mouseDown || a.mouseClicked !== b.mouseClicked) return false;
+  if ((b.mouseDown || b.mouseClicked) && a.mouseAngle !== b.mouseAngle) return false;
+  return !a.draw && !b.draw;
+}
+
+/**
+ * Deep copy of a world state that keeps every object's class, so the copy can
+ * be simulated directly. Objects in `shared` (constant data such as palettes)
+ * and anything that is not plain data (functions, canvases) are kept by
+ * reference. Handles shared references and cycles.
+ */
+export function cloneState(value, shared = null, memo = new Map()) {
+  if (value === null || typeof value !== 'object') return value;
+  if (memo.has(value)) return memo.get(value);
+  if (shared?.has(value) || typeof value.getContext === 'function') return value;
+
+  let copy;
+  if (Array.isArray(value)) {
+    copy = new Array(value.length);
+    memo.set(value, copy);
+    for (let i = 0; i < value.length; i++) copy[i] = cloneState(value[i], shared, memo);
+  } else if (ArrayBuffer.isView(value)) {
+    copy = value.slice();
+    memo.set(value, copy);
+  } else if (value instanceof Map) {
+    copy = new Map();
+    memo.set(value, copy);
+    for (const [k, v] of value) copy.set(k, cloneState(v, shared, memo));
+  } else if (value instanceof Set) {
+    copy = new Set();
+    memo.set(value, copy);
+    for (const v of value) copy.add(cloneState(v, shared, memo));
+  } else {
+    copy = Object.create(Object.getPrototypeOf(value));
+    memo.set(value, copy);
+    for (const key of Object.keys(value)) copy[key] = cloneState(value[key], shared, memo);
+  }
+  return copy;
+}
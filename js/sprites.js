@@ -53,7 +53,8 @@ const P = {
 const _cache = new Map();
 
 function makeFrame(rows, opts = {}) {
-  const key = rows.join('|');
+  const remap = opts.remap ?? null;   // optional { char: colour } palette swap
+  const key = rows.join('|') + (remap ? '|' + JSON.stringify(remap) : '');
   if (_cache.has(key)) return _cache.get(key);
 
   const sc = opts.scale ?? SCALE;
@@ -67,7 +68,7 @@ function makeFrame(rows, opts = {}) {
   for (let row = 0; row < rows.length; row++) {
     for (let col = 0; col < rows[row].length; col++) {
       const ch = rows[row][col];
-      const color = P[ch];
+      const color = remap?.[ch] ?? P[ch];
       if (!color) continue;
       ctx.fillStyle = color;
       ctx.fillRect(col * sc, row * sc, sc, sc);
@@ -660,6 +661,39 @@ export const Sprites = {
   CLOUD_M:   () => makeFrame(TILE_CLOUD_M),
 };
 
+// ── Player palettes ──────────────────────────────────────
+// P1/P2 use the hand-drawn Mario/Luigi frames; P3/P4 recolour Mario's
+// cap + shirt ('r') and overalls ('n') so every player stays distinguishable.
+
+const PLAYER_FRAMES = {
+  MARIO: {
+    IDLE:  MARIO_SMALL_IDLE_R,
+    WALK1: MARIO_SMALL_WALK_R,
+    JUMP:  MARIO_SMALL_JUMP_R,
+    BIG:   MARIO_BIG_IDLE_R,
+  },
+  LUIGI: {
+    IDLE:  LUIGI_SMALL_IDLE_R,
+    WALK1: LUIGI_SMALL_IDLE_R, // reuse
+    JUMP:  LUIGI_SMALL_JUMP_R,
+    BIG:   null,               // no big Luigi art – keeps small frames
+  },
+};
+
+export const PLAYER_PALETTES = [
+  { name: 'Mario',   color: '#D01018', chat: '#60AAFF', base: 'MARIO' },
+  { name: 'Luigi',   color: '#50C840', chat: '#66EE88', base: 'LUIGI' },
+  { name: 'Wario',   color: '#E8C800', chat: '#FFE066', base: 'MARIO', remap: { r: '#E8C800', n: '#7A1FA2' } },
+  { name: 'Waluigi', color: '#8A2BE2', chat: '#C9A0FF', base: 'MARIO', remap: { r: '#8A2BE2', n: '#202020' } },
+];
+
+/** Sprite for a player palette + pose ('IDLE' | 'WALK1' | 'JUMP'); big swaps in the big frame if the base has one. */
+export function playerSprite(palette, pose, big = false) {
+  const frames = PLAYER_FRAMES[palette.base];
+  const rows   = (big && frames.BIG) ? frames.BIG : frames[pose];
+  return makeFrame(rows, { remap: palette.remap });
+}
+
 /** Flip a sprite sheet canvas horizontally (for facing left). */
 export function flipH(canvas) {
   const key = 'flip:' + canvas.width + ':' + canvas.height + ':' + (canvas.__id ?? (canvas.__id = Math.random()));
@@ -679,4 +713,8 @@ export function flipH(canvas) {
 /** Pre-warm all sprites (call once at game start). */
 export function preloadSprites() {
   for (const fn of Object.values(Sprites)) fn();
+  for (const pal of PLAYER_PALETTES) {
+    for (const pose of ['IDLE', 'WALK1', 'JUMP']) playerSprite(pal, pose);
+    playerSprite(pal, 'IDLE', true);
+  }
 }
@@ -0,0 +1,201 @@
+// ============================================================
+//  timetrial.js  –  level timer, splits, personal bests, ghosts
+// ============================================================
+
+import { Player } from './player.js';
+
+const PB_KEY     = 'marioonline-pb';  // localStorage: level index → best run
+const PB_VERSION = 1;                 // bump when the recording format changes
+const KEY_EVERY  = 30;                // frames between regular ghost keyframes
+const GHOST_ALPHA = 0.4;
+
+// Recorded input, one bit per button
+const BUTTONS = ['left', 'right', 'jump', 'run', 'fire'];
+
+/** `frames` of 60 Hz simulation as m:ss.mmm. */
+export function formatTime(frames) {
+  const ms = Math.round(frames * 1000 / 60);
+  const m  = Math.floor(ms / 60000);
+  const s  = Math.floor(ms / 1000) % 60;
+  return m + ':' + String(s).padStart(2, '0') + '.' + String(ms % 1000).padStart(3, '0');
+}
+
+/** Signed difference to a best, e.g. "-1.250" (ahead) or "+0.400". */
+export function formatDelta(frames) {
+  const sec = Math.abs(frames) / 60;
+  return (frames < 0 ? '-' : '+') + sec.toFixed(3);
+}
+
+const round2 = (v) => Math.round(v * 100) / 100;
+
+/** The parts of a player a ghost keyframe restores. */
+function keyOf(player) {
+  return [round2(player.x), round2(player.y), round2(player.vx), round2(player.vy), player.power, player.dead];
+}
+
+/**
+ * One level's run as it is played: the input applied every frame, run-length
+ * encoded as [buttons bitmask, frames] pairs, plus keyframes of the player as
+ * [frame, ...keyOf]. There is one every KEY_EVERY frames, and one on every
+ * frame where something besides Player.update moved it – a stomp bounce, a
+ * moving platform, a hit.
+ */
+class RunRecorder {
+  constructor() {
+    this.frames = 0;
+    this.inputs = [];
+    this.keys   = [];
+    this._moved = null;  // keyOf the player right after this frame's Player.update
+  }
+
+  /** Right after Player.update with `input`. */
+  record(input, player) {
+    let mask = 0;
+    BUTTONS.forEach((b, i) => { if (input[b]) mask |= 1 << i; });
+    const last = this.inputs[this.inputs.length - 1];
+    if (last && last[0] === mask) last[1]++;
+    else this.inputs.push([mask, 1]);
+    this._moved = keyOf(player);
+  }
+
+  /** Once the whole frame has run (collisions included). */
+  endFrame(player) {
+    const key = keyOf(player);
+    const pushed = this._moved && key.some((v, i) => v !== this._moved[i]);
+    if (pushed || this.frames % KEY_EVERY === 0) this.keys.push([this.frames, ...key]);
+    this._moved = null;
+    this.frames++;
+  }
+}
+
+/**
+ * A translucent replay of a recorded run. It is a Player stepped by
+ * Player.update with the recorded input, flagged as replaying so it never
+ * hits blocks or throws fireballs. Stomps, platforms and power-ups happen
+ * outside Player.update, so each keyframe puts it back where the run was.
+ */
+class Ghost {
+  constructor(run, pid, spawnX, spawnY) {
+    this._run    = run;
+    this._frame  = 0;
+    this._input  = 0;  // index into run.inputs…
+    this._left   = run.inputs[0]?.[1] ?? 0;  // …and frames left of that entry
+    this._key    = 0;  // next keyframe in run.keys
+    this.player  = new Player(pid, spawnX, spawnY);
+    this.player._replaying = true;
+    this.player.endlessLives = true;
+  }
+
+  get done() {
+    return this._frame >= this._run.frames;
+  }
+
+  step(level) {
+    if (this.done) return;
+    const mask = this._run.inputs[this._input]?.[0] ?? 0;
+    const input = {};
+    BUTTONS.forEach((b, i) => { input[b] = (mask & (1 << i)) !== 0; });
+    this.player.update(input, level);
+
+    // Keyframes were taken at the end of their frame, so they apply after our update
+    const key = this._run.keys[this._key];
+    if (key && key[0] === this._frame) {
+      const p = this.player;
+      [, p.x, p.y, p.vx, p.vy, p.power, p.dead] = key;  // big and small share a hitbox
+      this._key++;
+    }
+
+    this._frame++;
+    if (--this._left <= 0) this._left = this._run.inputs[++this._input]?.[1] ?? 0;
+  }
+
+  draw(ctx, cam) {
+    if (this.done || this.player.dead) return;
+    ctx.save();
+    ctx.globalAlpha = GHOST_ALPHA;
+    this.player.draw(ctx, cam);
+    ctx.restore();
+  }
+}
+
+/**
+ * Time-trial session: times every level from load to clear in simulation
+ * frames (so pauses and slow machines don't count), keeps this run's splits,
+ * and saves a level's run – inputs and keyframes – as its personal best
+ * whenever it beats the stored one. The best run comes back as a ghost.
+ */
+export class TimeTrial {
+  constructor(storage = globalThis.localStorage) {
+    this._storage = storage;
+    this.bests  = this._loadBests();  // level index → { frames, inputs, keys }
+    this.splits = [];                 // this run: [{ level, frames, best, pb }]
+    this.ghost  = null;
+    this.running = false;             // the clock is ticking
+    this._run   = null;
+  }
+
+  _loadBests() {
+    try {
+      const saved = JSON.parse(this._storage?.getItem(PB_KEY) ?? 'null');
+      return saved?.v === PB_VERSION ? saved.levels : {};
+    } catch {
+      return {};  // storage blocked, or not ours
+    }
+  }
+
+  _saveBests() {
+    try {
+      this._storage?.setItem(PB_KEY, JSON.stringify({ v: PB_VERSION, levels: this.bests }));
+    } catch { /* storage blocked or full – the best only lasts this session */ }
+  }
+
+  /** Frames of the stored best for `level`, or null. */
+  bestFor(level) {
+    return this.bests[level]?.frames ?? null;
+  }
+
+  /** Start timing a freshly loaded level; `player` is the one racing. */
+  startLevel(level, player) {
+    this._run = new RunRecorder();
+    this.running = true;
+    const best = this.bests[level];
+    this.ghost = best ? new Ghost(best, player.id, player.x, player.y) : null;
+  }
+
+  /** Right after the racing player's Player.update: record `input` and move the ghost on. */
+  step(input, player, level) {
+    if (!this.running) return;
+    this._run.record(input, player);
+    if (this.ghost) this.ghost.step(level);
+  }
+
+  /** End of the simulation frame: one more frame on the clock. */
+  endFrame(player) {
+    if (this.running) this._run.endFrame(player);
+  }
+
+  /** Frames on the clock for the level being played (or just cleared). */
+  get frames() {
+    return this._run ? this._run.frames : 0;
+  }
+
+  /** Stop the clock at a level clear → the split, saved as the new best if it is one. */
+  finishLevel(level) {
+    const run = this._run;
+    if (!this.running) return null;
+    this.running = false;
+    const best = this.bestFor(level);
+    const split = { level, frames: run.frames, best, pb: best === null || run.frames < best };
+    this.splits.push(split);
+    if (split.pb) {
+      this.bests[level] = { frames: run.frames, inputs: run.inputs, keys: run.keys };
+      this._saveBests();
+    }
+    return split;
+  }
+
+  /** Start over from the first level (game over). */
+  newRun() {
+    this.splits = [];
+  }
+}
@@ -0,0 +1,209 @@
+// ============================================================
+//  transport.js  –  peer connection backends used by Network
+// ============================================================
+
+/**
+ * A transport gets Network from "a room id" to "connections that carry JSON
+ * messages". Every implementation exposes the same small surface:
+ *
+ *   open(id?)              host: listen under `id`; client: omit it
+ *   connect(id, options)   client: open a connection to the host's id → conn
+ *   destroy()              tear everything down (no close events)
+ *   onOpen(id)             callback: ready (host: id registered)
+ *   onConnection(conn)     callback: host accepted a new connection
+ *   onError({ type })      callback: 'unavailable-id', 'peer-unavailable', 'network', …
+ *
+ * Connections look like a PeerJS DataConnection: `open`, `send(data)`,
+ * `close()`, `on('open' | 'data' | 'close' | 'error', fn)` and
+ * `serialization` – 'json' ones cannot carry raw binary fields.
+ */
+
+// ── PeerJS (WebRTC) ──────────────────────────────────────────
+
+/** Direct peer-to-peer via the global `Peer` from the PeerJS script tag. */
+export class PeerTransport {
+  constructor() {
+    this.peer = null;
+    this.onOpen       = null;
+    this.onConnection = null;
+    this.onError      = null;
+  }
+
+  /** False when the PeerJS script did not load (blocked CDN, offline LAN). */
+  static get available() {
+    return typeof Peer !== 'undefined';
+  }
+
+  open(id = undefined) {
+    this.peer = new Peer(id, { debug: 0 });
+    this.peer.on('open',       (peerId) => { if (this.onOpen) this.onOpen(peerId); });
+    this.peer.on('connection', (conn)   => { if (this.onConnection) this.onConnection(conn); });
+    this.peer.on('error',      (err)    => { if (this.onError) this.onError(err); });
+  }
+
+  connect(id, options = {}) {
+    return this.peer.connect(id, { serialization: 'json', ...options });
+  }
+
+  destroy() {
+    if (this.peer) {
+      this.peer.destroy();
+      this.peer = null;
+    }
+  }
+}
+
+// ── WebSocket relay ──────────────────────────────────────────
+
+/**
+ * Routes every connection through server/relay.mjs over a single WebSocket.
+ * Works where WebRTC is blocked and on a LAN without internet access. The
+ * relay speaks small JSON frames, `cid` naming a connection on this socket:
+ *
+ *   → { op: 'host', id }               ← { op: 'open', id }  or  error
+ *   → { op: 'join', id, cid, options } ← { op: 'open', cid } or  error
+ *   ← { op: 'connect', cid, options }  (host: a client joined)
+ *   ↔ { op: 'data', cid, data }
+ *   ↔ { op: 'close', cid }
+ *   ← { op: 'error', type, cid? }
+ */
+export class WebSocketTransport {
+  constructor(url) {
+    this.url = url;
+    this.ws  = null;
+    this.onOpen       = null;
+    this.onConnection = null;
+    this.onError      = null;
+    this._conns     = new Map();  // cid → RelayConnection
+    this._nextCid   = 1;
+    this._ready     = false;
+    this._destroyed = false;
+  }
+
+  /** Relay URL for a page served by the relay itself (same host and port). */
+  static sameOrigin() {
+    return (location.protocol === 'https:' ? 'wss://' : 'ws://') + location.host + '/relay';
+  }
+
+  open(id = undefined) {
+    const ws = this.ws = new WebSocket(this.url);
+
+    ws.onopen = () => {
+      if (id) this._send({ op: 'host', id });
+      else this._opened('ws-' + Math.random().toString(36).slice(2));
+    };
+
+    ws.onmessage = (e) => {
+      let msg;
+      try { msg = JSON.parse(e.data); } catch { return; }
+      this._onRelay(msg);
+    };
+
+    ws.onclose = () => {
+      if (this._destroyed) return;
+      for (const conn of [...this._conns.values()]) conn._closed();
+      if (this.onError) this.onError({ type: this._ready ? 'disconnected' : 'network' });
+    };
+  }
+
+  connect(id, options = {}) {
+    const conn = new RelayConnection(this, this._nextCid++, options);
+    this._conns.set(conn.cid, conn);
+    this._send({ op: 'join', id, cid: conn.cid, options });
+    return conn;
+  }
+
+  destroy() {
+    this._destroyed = true;
+    for (const conn of this._conns.values()) conn.open = false;
+    this._conns.clear();
+    if (this.ws) {
+      this.ws.close();
+      this.ws = null;
+    }
+  }
+
+  _opened(id) {
+    this._ready = true;
+    if (this.onOpen) this.onOpen(id);
+  }
+
+  _onRelay(msg) {
+    const conn = this._conns.get(msg.cid);
+    switch (msg.op) {
+      case 'open':
+        if (conn) conn._opened();
+        else if (msg.id) this._opened(msg.id);
+        break;
+
+      case 'connect': {
+        const incoming = new RelayConnection(this, msg.cid, msg.options);
+        this._conns.set(incoming.cid, incoming);
+        if (this.onConnection) this.onConnection(incoming);
+        incoming._opened();
+        break;
+      }
+
+      case 'data':
+        if (conn && conn.open) conn._emit('data', msg.data);
+        break;
+
+      case 'close':
+        if (conn) conn._closed();
+        break;
+
+      case 'error':
+        if (conn) conn._closed();
+        if (this.onError) this.onError({ type: msg.type });
+        break;
+    }
+  }
+
+  _send(msg) {
+    if (this.ws && this.ws.readyState === 1) this.ws.send(JSON.stringify(msg));
+  }
+}
+
+/** One logical connection multiplexed over a WebSocketTransport. */
+class RelayConnection {
+  constructor(transport, cid, options = {}) {
+    this._transport = transport;
+    this._handlers  = {};
+    this.cid     = cid;
+    this.label   = options.label ?? null;
+    this.options = options;
+    this.serialization = 'json';  // whatever the options ask for, the relay carries JSON
+    this.open    = false;
+  }
+
+  on(event, fn) {
+    (this._handlers[event] ??= []).push(fn);
+  }
+
+  send(data) {
+    if (this.open) this._transport._send({ op: 'data', cid: this.cid, data });
+  }
+
+  close() {
+    if (!this._transport._conns.has(this.cid)) return;
+    this._transport._send({ op: 'close', cid: this.cid });
+    this._closed();
+  }
+
+  _opened() {
+    this.open = true;
+    this._emit('open');
+  }
+
+  _closed() {
+    if (!this._transport._conns.delete(this.cid)) return;
+    const wasOpen = this.open;
+    this.open = false;
+    // One that never opened failed instead: the transport's onError says why, as with PeerJS
+    if (wasOpen) this._emit('close');
+  }
+
+  _emit(event, arg) {
+    for (const fn of this._handlers[event] ?? []) fn(arg);
+  }
+}
@@ -0,0 +1,279 @@
+// ============================================================
+//  relay.mjs  –  WebSocket room relay + static file server
+//  For networks that block WebRTC and for offline LAN play.
+//
+//    node server/relay.mjs [port]          (default 8787)
+//
+//  Serves the game at http://<this machine>:<port>/ and relays
+//  room traffic on ws://<this machine>:<port>/relay. No npm
+//  packages – just Node's http and crypto modules.
+// ============================================================
+
+import { createServer } from 'node:http';
+import { createHash }   from 'node:crypto';
+import { readFile, stat } from 'node:fs/promises';
+import { dirname, extname, join, normalize, sep } from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+const PORT      = Number(process.argv[2] ?? process.env.PORT ?? 8787);
+const ROOT      = normalize(join(dirname(fileURLToPath(import.meta.url)), '..'));
+const WS_GUID   = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+const MAX_FRAME = 1 << 20;   // bytes – nothing the game sends comes close
+
+// What the browser needs – nothing else in the repo (.git, server/, notes) is served
+const PUBLIC_FILES = new Set(['index.html', 'favicon.ico']);
+const PUBLIC_DIRS  = new Set(['css', 'js', 'levels', 'assets']);
+
+const MIME = {
+  '.html': 'text/html; charset=utf-8',
+  '.js':   'text/javascript; charset=utf-8',
+  '.mjs':  'text/javascript; charset=utf-8',
+  '.css':  'text/css; charset=utf-8',
+  '.json': 'application/json',
+  '.png':  'image/png',
+  '.svg':  'image/svg+xml',
+  '.ico':  'image/x-icon',
+};
+
+// ── Room state ───────────────────────────────────────────────
+// A host socket registers a room id; each client connection is a link
+// between the joining socket's own `cid` and the host, who knows it by the
+// relay-wide key `<socket id>:<cid>`.
+
+const rooms = new Map();  // room id → host Socket
+const links = new Map();  // key → { key, host, guest, cid }
+let nextSocketId = 1;
+
+function onRelayMessage(sock, msg) {
+  switch (msg.op) {
+    case 'host':
+      if (typeof msg.id !== 'string' || rooms.has(msg.id)) {
+        sock.send({ op: 'error', type: 'unavailable-id' });
+        return;
+      }
+      rooms.set(msg.id, sock);
+      sock.rooms.add(msg.id);
+      sock.send({ op: 'open', id: msg.id });
+      break;
+
+    case 'join': {
+      const host = rooms.get(msg.id);
+      if (!host) {
+        sock.send({ op: 'error', type: 'peer-unavailable', cid: msg.cid });
+        return;
+      }
+      const key  = sock.id + ':' + msg.cid;
+      const link = { key, host, guest: sock, cid: msg.cid };
+      links.set(key, link);
+      host.links.add(link);
+      sock.links.add(link);
+      host.send({ op: 'connect', cid: key, options: msg.options ?? {} });
+      sock.send({ op: 'open', cid: msg.cid });
+      break;
+    }
+
+    case 'data': {
+      const link = findLink(sock, msg.cid);
+      if (!link) return;
+      if (sock === link.guest) link.host.send({ op: 'data', cid: link.key, data: msg.data });
+      else link.guest.send({ op: 'data', cid: link.cid, data: msg.data });
+      break;
+    }
+
+    case 'close': {
+      const link = findLink(sock, msg.cid);
+      if (link) closeLink(link, sock);
+      break;
+    }
+  }
+}
+
+/** The link `cid` names from this socket's side (guests use their own cid, hosts the key). */
+function findLink(sock, cid) {
+  const asGuest = links.get(sock.id + ':' + cid);
+  if (asGuest && asGuest.guest === sock) return asGuest;
+  const asHost = links.get(cid);
+  return asHost && asHost.host === sock ? asHost : null;
+}
+
+/** Drop a link and tell whichever side did not close it. */
+function closeLink(link, closedBy) {
+  links.delete(link.key);
+  link.host.links.delete(link);
+  link.guest.links.delete(link);
+  if (closedBy !== link.host)  link.host.send({ op: 'close', cid: link.key });
+  if (closedBy !== link.guest) link.guest.send({ op: 'close', cid: link.cid });
+}
+
+function onSocketClosed(sock) {
+  for (const link of [...sock.links]) closeLink(link, sock);
+  for (const id of sock.rooms) rooms.delete(id);
+  sock.rooms.clear();
+}
+
+// ── Minimal WebSocket (RFC 6455) ─────────────────────────────
+// Text frames only, which is all browsers send for string messages.
+
+class Socket {
+  constructor(raw) {
+    this.id     = nextSocketId++;
+    this.raw    = raw;
+    this.rooms  = new Set();
+    this.links  = new Set();
+    this._buf   = Buffer.alloc(0);
+    this._frags = null;   // payload pieces of a fragmented message
+    this._closed = false;
+
+    raw.on('data',  (chunk) => this._onData(chunk));
+    raw.on('close', () => this._onClose());
+    raw.on('error', () => this._onClose());
+  }
+
+  send(msg) {
+    if (this._closed) return;
+    this._writeFrame(0x1, Buffer.from(JSON.stringify(msg)));
+  }
+
+  close() {
+    if (this._closed) return;
+    this._writeFrame(0x8, Buffer.alloc(0));
+    this.raw.end();
+    this._onClose();
+  }
+
+  _writeFrame(opcode, payload) {
+    const len = payload.length;
+    let header;
+    if (len < 126) {
+      header = Buffer.from([0x80 | opcode, len]);
+    } else if (len < 65536) {
+      header = Buffer.alloc(4);
+      header[0] = 0x80 | opcode;
+      header[1] = 126;
+      header.writeUInt16BE(len, 2);
+    } else {
+      header = Buffer.alloc(10);
+      header[0] = 0x80 | opcode;
+      header[1] = 127;
+      header.writeBigUInt64BE(BigInt(len), 2);
+    }
+    this.raw.write(Buffer.concat([header, payload]));
+  }
+
+  _onData(chunk) {
+    this._buf = Buffer.concat([this._buf, chunk]);
+    while (!this._closed && this._buf.length >= 2) {
+      const b0 = this._buf[0], b1 = this._buf[1];
+      let len = b1 & 0x7f, off = 2;
+      if (len === 126) {
+        if (this._buf.length < 4) return;
+        len = this._buf.readUInt16BE(2);
+        off = 4;
+      } else if (len === 127) {
+        if (this._buf.length < 10) return;
+        len = Number(this._buf.readBigUInt64BE(2));
+        off = 10;
+      }
+      // Clients must mask; anything huge is not ours
+      if (!(b1 & 0x80) || len > MAX_FRAME) { this.close(); return; }
+      if (this._buf.length < off + 4 + len) return;
+
+      const mask    = this._buf.subarray(off, off + 4);
+      const payload = Buffer.from(this._buf.subarray(off + 4, off + 4 + len));
+      for (let i = 0; i < payload.length; i++) payload[i] ^= mask[i & 3];
+      this._buf = this._buf.subarray(off + 4 + len);
+      this._onFrame(b0 & 0x80, b0 & 0x0f, payload);
+    }
+  }
+
+  _onFrame(fin, opcode, payload) {
+    switch (opcode) {
+      case 0x0:  // continuation
+      case 0x1:  // text
+      case 0x2:  // binary
+        if (opcode !== 0x0) this._frags = [];
+        if (!this._frags) { this.close(); return; }
+        this._frags.push(payload);
+        if (!fin) return;
+        this._onText(Buffer.concat(this._frags).toString('utf8'));
+        this._frags = null;
+        break;
+      case 0x8:
+        this.close();
+        break;
+      case 0x9:
+        this._writeFrame(0xA, payload);
+        break;
+    }
+  }
+
+  _onText(text) {
+    let msg;
+    try { msg = JSON.parse(text); } catch { return; }
+    if (msg && typeof msg === 'object') onRelayMessage(this, msg);
+  }
+
+  _onClose() {
+    if (this._closed) return;
+    this._closed = true;
+    onSocketClosed(this);
+  }
+}
+
+// ── HTTP ─────────────────────────────────────────────────────
+
+/**
+ * URL path → the public file it names, relative to ROOT, or null. Dotfiles,
+ * dot-segments and anything outside PUBLIC_FILES / PUBLIC_DIRS are refused.
+ */
+function publicPath(pathname) {
+  const parts = decodeURIComponent(pathname).split('/').filter(Boolean);
+  if (parts.some(p => p.startsWith('.') || p.includes('\\') || p.includes('\0'))) return null;
+  if (!parts.length) return 'index.html';
+  const allowed = parts.length === 1 ? PUBLIC_FILES.has(parts[0]) : PUBLIC_DIRS.has(parts[0]);
+  return allowed ? parts.join('/') : null;
+}
+
+async function serveStatic(req, res) {
+  let rel;
+  try {
+    rel = publicPath(new URL(req.url, 'http://x').pathname);
+  } catch {
+    res.writeHead(400).end();
+    return;
+  }
+  const path = rel && normalize(join(ROOT, rel));
+  if (!path || !path.startsWith(ROOT + sep)) {
+    res.writeHead(404).end('Not found');
+    return;
+  }
+  try {
+    if (!(await stat(path)).isFile()) throw new Error('not a file');
+    const body = await readFile(path);
+    res.writeHead(200, { 'Content-Type': MIME[extname(path)] ?? 'application/octet-stream' });
+    res.end(body);
+  } catch {
+    res.writeHead(404).end('Not found');
+  }
+}
+
+const server = createServer(serveStatic);
+
+server.on('upgrade', (req, raw) => {
+  const key = req.headers['sec-websocket-key'];
+  if (new URL(req.url, 'http://x').pathname !== '/relay' || !key) {
+    raw.end('HTTP/1.1 400 Bad Request\r\n\r\n');
+    return;
+  }
+  const accept = createHash('sha1').update(key + WS_GUID).digest('base64');
+  raw.write('HTTP/1.1 101 Switching Protocols\r\n'
+          + 'Upgrade: websocket\r\n'
+          + 'Connection: Upgrade\r\n'
+          + 'Sec-WebSocket-Accept: ' + accept + '\r\n\r\n');
+  raw.setNoDelay(true);
+  new Socket(raw);
+});
+
+server.listen(PORT, () => {
+  console.log(`Mario Online relay on http://localhost:${PORT}/  (relay: ws://localhost:${PORT}/relay)`);
+});
@@ -0,0 +1,45 @@
+// ============================================================
+//  relay.test.mjs  –  static file server: only the game is served
+//
+//    node --test server/
+// ============================================================
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawn } from 'node:child_process';
+import { fileURLToPath } from 'node:url';
+
+const PORT = 18787;
+const BASE = `http://localhost:${PORT}`;
+let relay;
+
+before(async () => {
+  relay = spawn(process.execPath, [fileURLToPath(new URL('./relay.mjs', import.meta.url)), String(PORT)],
+                { stdio: ['ignore', 'pipe', 'inherit'] });
+  // Listening once it prints its banner
+  await new Promise((resolve, reject) => {
+    relay.stdout.once('data', resolve);
+    relay.once('exit', code => reject(new Error('relay exited with ' + code)));
+  });
+});
+
+after(() => relay.kill());
+
+const status = async (path) => (await fetch(BASE + path)).status;
+
+test('serves the game', async () => {
+  assert.equal(await status('/'), 200);
+  assert.equal(await status('/index.html'), 200);
+  assert.equal(await status('/js/main.js'), 200);
+  assert.equal(await status('/css/style.css'), 200);
+});
+
+test('refuses everything outside the public files', async () => {
+  assert.equal(await status('/.git/config'), 404);
+  assert.equal(await status('/%2egit/config'), 404);
+  assert.equal(await status('/js/%2e%2e/.git/config'), 404);
+  assert.equal(await status('/README.md'), 404);
+  assert.equal(await status('/requests.jsonl'), 404);
+  assert.equal(await status('/server/relay.mjs'), 404);
+  assert.equal(await status('/js/'), 404);
+});